@@ -9,4 +9,11 @@ module.exports = {
     "no-empty": ["error", { allowEmptyCatch: true }],
     "no-constant-condition": ["error", { checkLoops: false }],
   },
+  overrides: [
+    {
+      files: ["spec/**/*.js"],
+      env: { jasmine: true },
+      globals: { waitsForPromise: "readonly" },
+    },
+  ],
 };
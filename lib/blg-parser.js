@@ -0,0 +1,334 @@
+const fs = require("fs");
+const path = require("path");
+
+// BibTeX: database files read, e.g. "Database file #1: refs.bib"
+const BIBTEX_DATABASE_PATTERN = /^Database file #\d+: (.+)$/;
+
+// BibTeX: location of the previous message, e.g. "---line 12 of file refs.bib"
+const BIBTEX_LOCATION_PATTERN = /^(.*?)-{2,3}line (\d+) of file (.+)$/;
+
+// BibTeX: warnings, e.g. "Warning--empty journal in smith2020"
+const BIBTEX_WARNING_PATTERN = /^Warning--(.+)$/;
+
+// BibTeX: context lines following an error, e.g. " : @article{smith2020"
+const BIBTEX_CONTEXT_PATTERN = /^ : /;
+
+// BibTeX: closing summary, e.g. "(There were 2 error messages)"
+const BIBTEX_SUMMARY_PATTERN = /^\(There (?:was|were) \d+ (?:error|warning) messages?\)$/;
+
+// Biber: log lines, e.g. "[123] Biber.pm:456> WARN - message"
+const BIBER_LINE_PATTERN = /^\[\d+\] [^>]*> (INFO|WARN|ERROR) - (.+)$/;
+
+// Biber: data sources, e.g. "Found BibTeX data source 'refs.bib'"
+const BIBER_DATASOURCE_PATTERN = /^Found \w+ data source '(.+)'$/;
+
+// Biber: parser location, e.g. "BibTeX subsystem: /tmp/x/refs.bib_123.utf8, line 5, syntax error: ..."
+const BIBER_SUBSYSTEM_PATTERN = /^BibTeX subsystem: (.+?), line (\d+), (.+)$/;
+
+// Biber: temporary copies of the data sources, e.g. refs.bib_1234.utf8
+const BIBER_TEMP_FILE_PATTERN = /_\d+\.utf8$/;
+
+// Citation keys quoted in messages, e.g. "smith2020" or 'smith2020'
+const QUOTED_KEY_PATTERN = /(?:entry|key|Entry)\s+(?:for\s+)?["'`]([^"'`]+)["'`]/;
+
+// Citation keys at the end of BibTeX warnings, e.g. "empty journal in smith2020"
+const TRAILING_KEY_PATTERN = /\sin ([^\s,]+)$/;
+
+/**
+ * Parses the .blg log of bibtex and biber into messages shaped like the
+ * ones of `LogParser`. Messages point at the line of the .bib file that
+ * caused them and carry the citation `key` when one is known.
+ */
+module.exports = class BlgParser {
+  constructor() {
+    this.messages = [];
+    this.texFilePath = null;
+    this.blgFilePath = null;
+    this.databases = [];
+    this.entryLines = new Map(); // .bib path -> Map of key -> 0-based row
+  }
+
+  /**
+   * Parse a .blg file written by bibtex or biber.
+   * @param {string} blgContent - Content of the .blg file
+   * @param {string} texFilePath - Path to the root .tex file
+   * @param {string} blgFilePath - Path to the .blg file
+   * @returns {Array} Parsed messages
+   */
+  parse(blgContent, texFilePath, blgFilePath) {
+    this.messages = [];
+    this.texFilePath = texFilePath;
+    this.blgFilePath = blgFilePath;
+    this.databases = [];
+    this.entryLines = new Map();
+
+    const lines = blgContent.split(/\r?\n/);
+    if (lines.some((line) => BIBER_LINE_PATTERN.test(line))) {
+      this.parseBiber(lines);
+    } else {
+      this.parseBibtex(lines);
+    }
+
+    return this.messages;
+  }
+
+  parseBibtex(lines) {
+    let lineIndex = 0;
+    while (lineIndex < lines.length) {
+      const line = lines[lineIndex];
+
+      let match = line.match(BIBTEX_DATABASE_PATTERN);
+      if (match) {
+        this.addDatabase(match[1].trim());
+        lineIndex++;
+        continue;
+      }
+
+      match = line.match(BIBTEX_WARNING_PATTERN);
+      if (match) {
+        let text = match[1].trim();
+        let nextIndex = lineIndex + 1;
+        let location = null;
+
+        // The location of a warning follows on the next line
+        const locationMatch = lines[nextIndex]?.match(BIBTEX_LOCATION_PATTERN);
+        if (locationMatch && !locationMatch[1].trim()) {
+          location = { line: parseInt(locationMatch[2], 10), file: locationMatch[3].trim() };
+          nextIndex++;
+        }
+
+        const key = this.extractKey(text);
+        text = text.replace(/\s+/g, " ");
+        this.addMessage("warning", text, { key, location }, lineIndex, nextIndex - 1, lines);
+        lineIndex = nextIndex;
+        continue;
+      }
+
+      // Errors end with their location, either on the same or the next line
+      match = line.match(BIBTEX_LOCATION_PATTERN);
+      const nextMatch = lines[lineIndex + 1]?.match(BIBTEX_LOCATION_PATTERN);
+      if (match || (line.trim() && nextMatch && !nextMatch[1].trim())) {
+        let text = match ? match[1] : line;
+        let location = match ? { line: parseInt(match[2], 10), file: match[3].trim() } : null;
+        let nextIndex = lineIndex + 1;
+        if (!match) {
+          location = { line: parseInt(nextMatch[2], 10), file: nextMatch[3].trim() };
+          nextIndex++;
+        }
+
+        // Collect " : ..." context and the "I'm skipping..." trailer
+        const context = [];
+        while (nextIndex < lines.length && BIBTEX_CONTEXT_PATTERN.test(lines[nextIndex])) {
+          context.push(lines[nextIndex].slice(3).trim());
+          nextIndex++;
+        }
+        if (/^I'm skipping whatever remains/.test(lines[nextIndex] || "")) {
+          nextIndex++;
+        }
+
+        text = text.replace(/\s+/g, " ").trim();
+        const key = this.extractKey(text) || this.extractEntryKey(context.join(" "));
+        this.addMessage(
+          "error",
+          text,
+          { key, location, context: context.join(" ") || undefined },
+          lineIndex,
+          nextIndex - 1,
+          lines,
+        );
+        lineIndex = nextIndex;
+        continue;
+      }
+
+      if (BIBTEX_SUMMARY_PATTERN.test(line)) {
+        lineIndex++;
+        continue;
+      }
+
+      lineIndex++;
+    }
+  }
+
+  parseBiber(lines) {
+    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+      const match = lines[lineIndex].match(BIBER_LINE_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      const [, level, text] = match;
+      if (level === "INFO") {
+        const sourceMatch = text.match(BIBER_DATASOURCE_PATTERN);
+        if (sourceMatch) {
+          this.addDatabase(sourceMatch[1]);
+        }
+        continue;
+      }
+
+      let excerpt = text.trim();
+      let location = null;
+      const subsystemMatch = excerpt.match(BIBER_SUBSYSTEM_PATTERN);
+      if (subsystemMatch) {
+        // Biber parses temporary UTF-8 copies with the same line numbers
+        const file = path.basename(subsystemMatch[1]).replace(BIBER_TEMP_FILE_PATTERN, "");
+        location = { line: parseInt(subsystemMatch[2], 10), file };
+        excerpt = subsystemMatch[3];
+      } else {
+        // Messages naming a data source, e.g. "Entry 'key' (refs.bib): ..."
+        const fileMatch = excerpt.match(/\(([^()]+\.bib)\)|in file '([^']+\.bib)'/);
+        if (fileMatch) {
+          location = { line: null, file: fileMatch[1] || fileMatch[2] };
+        }
+      }
+
+      const key = this.extractKey(excerpt);
+      const severity = level === "ERROR" ? "error" : "warning";
+      this.addMessage(severity, excerpt, { key, location }, lineIndex, lineIndex, lines);
+    }
+  }
+
+  extractKey(text) {
+    const match = text.match(QUOTED_KEY_PATTERN) || text.match(TRAILING_KEY_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  // Key of an entry from BibTeX context, e.g. "@article{smith2020 ,"
+  extractEntryKey(context) {
+    const match = context.match(/@\w+\s*[{(]\s*([^,\s]+)/);
+    return match ? match[1] : null;
+  }
+
+  addDatabase(name) {
+    const filePath = this.resolveBibFile(name);
+    if (filePath && !this.databases.includes(filePath)) {
+      this.databases.push(filePath);
+    }
+  }
+
+  /**
+   * Resolve a .bib file name as written in the log. Both tools run in the
+   * auxiliary directory, while the databases usually live next to the root.
+   */
+  resolveBibFile(name) {
+    const fileName = name.endsWith(".bib") ? name : `${name}.bib`;
+    if (path.isAbsolute(fileName)) {
+      return fileName;
+    }
+
+    const candidates = [path.dirname(this.texFilePath), path.dirname(this.blgFilePath)].map(
+      (directory) => path.resolve(directory, fileName),
+    );
+    return candidates.find((candidate) => fs.existsSync(candidate)) || candidates[0];
+  }
+
+  // Find the line of an entry in the known databases
+  findEntry(key, preferredFile = null) {
+    const files = preferredFile
+      ? [preferredFile, ...this.databases.filter((file) => file !== preferredFile)]
+      : this.databases;
+
+    for (const filePath of files) {
+      const row = this.getEntryLines(filePath).get(key);
+      if (row !== undefined) {
+        return { fullPath: filePath, row };
+      }
+    }
+    return null;
+  }
+
+  // Find the key of the entry around a line of a database
+  findEntryAt(filePath, row) {
+    let key = null;
+    let keyRow = -1;
+    for (const [entryKey, entryRow] of this.getEntryLines(filePath)) {
+      if (entryRow <= row && entryRow > keyRow) {
+        key = entryKey;
+        keyRow = entryRow;
+      }
+    }
+    return key;
+  }
+
+  getEntryLines(filePath) {
+    if (!this.entryLines.has(filePath)) {
+      const entries = new Map();
+      try {
+        const lines = fs.readFileSync(filePath, "utf8").split(/\r?\n/);
+        lines.forEach((line, row) => {
+          const match = line.match(/^\s*@\w+\s*[{(]\s*([^,\s]+)\s*,/);
+          if (match && !entries.has(match[1])) {
+            entries.set(match[1], row);
+          }
+        });
+      } catch (error) {
+        if (atom.config.get("latex-tools.debug")) {
+          console.log(`[LaTeX Tools] Could not read ${filePath}:`, error.message);
+        }
+      }
+      this.entryLines.set(filePath, entries);
+    }
+    return this.entryLines.get(filePath);
+  }
+
+  resolveLocation({ key, location }) {
+    key = key || null;
+    let fullPath = null;
+    let row = null;
+
+    if (location && /\.bib$/i.test(location.file)) {
+      fullPath = this.resolveBibFile(location.file);
+      row = location.line ? location.line - 1 : null;
+    } else if (location && location.file) {
+      // e.g. "I couldn't open database file" reported in the .aux file
+      fullPath = this.texFilePath;
+    }
+
+    if (row === null && key) {
+      const entry = this.findEntry(key, fullPath);
+      if (entry) {
+        ({ fullPath, row } = entry);
+      }
+    } else if (row !== null && !key && fullPath !== this.texFilePath) {
+      key = this.findEntryAt(fullPath, row);
+    }
+
+    return { fullPath: fullPath || this.texFilePath, row: row || 0, key };
+  }
+
+  addMessage(severity, excerpt, details, startIndex, endIndex, lines) {
+    const { fullPath, row, key } = this.resolveLocation(details);
+    const message = {
+      severity,
+      excerpt,
+      context: details.context,
+      key: key || undefined,
+      location: {
+        file: path.basename(fullPath),
+        fullPath,
+        position: {
+          start: { row, column: 0 },
+          end: { row, column: Number.MAX_SAFE_INTEGER },
+        },
+      },
+      logRange: [
+        [startIndex, 0],
+        [endIndex, lines[endIndex]?.length || 0],
+      ],
+      logPath: this.blgFilePath,
+    };
+
+    const duplicate = this.messages.some(
+      (other) =>
+        other.excerpt === message.excerpt &&
+        other.location.fullPath === message.location.fullPath &&
+        other.location.position.start.row === row,
+    );
+    if (!duplicate) {
+      this.messages.push(message);
+    }
+  }
+
+  getMessages() {
+    return this.messages;
+  }
+};
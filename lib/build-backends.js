@@ -0,0 +1,426 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Latexmk exit codes with descriptions
+ * @see https://github.com/debian-tex/latexmk/blob/main/latexmk.pl
+ */
+const LATEXMK_EXIT_CODES = {
+  10: "Bad command line arguments",
+  11: "File not found",
+  12: "Failure in making files",
+  13: "Error in initialization file",
+  20: "Probable bug in latexmk",
+};
+
+// Artifacts written to the output directory; all others go to the aux directory
+const OUTPUT_EXTENSIONS = ["pdf", "synctex.gz", "dvi", "ps"];
+
+// dvipdfmx converts the DVI output of the (u)pLaTeX engines
+const DVIPDF_COMMAND = "$dvipdf = q/dvipdfmx %O -o %D %S/";
+
+/**
+ * TeX engines by name. `command` runs the engine, `latexmkArgs` select it in
+ * latexmk, `dvi` engines need dvipdfmx for the PDF and ConTeXt (`standalone`)
+ * runs its own passes instead of latexmk.
+ */
+const ENGINES = {
+  pdflatex: { command: "pdflatex", latexmkArgs: ["-pdf"] },
+  "pdflatex-dev": {
+    command: "pdflatex-dev",
+    latexmkArgs: ["-pdf", "-pdflatex=pdflatex-dev %O %S"],
+  },
+  xelatex: { command: "xelatex", latexmkArgs: ["-xelatex"] },
+  "xelatex-dev": {
+    command: "xelatex-dev",
+    latexmkArgs: ["-xelatex", "-xelatex=xelatex-dev %O %S"],
+  },
+  lualatex: { command: "lualatex", latexmkArgs: ["-lualatex"] },
+  "lualatex-dev": {
+    command: "lualatex-dev",
+    latexmkArgs: ["-lualatex", "-lualatex=lualatex-dev %O %S"],
+  },
+  platex: {
+    command: "platex",
+    dvi: true,
+    latexmkArgs: ["-pdfdvi", "-latex=platex %O %S", "-e", DVIPDF_COMMAND],
+  },
+  uplatex: {
+    command: "uplatex",
+    dvi: true,
+    latexmkArgs: ["-pdfdvi", "-latex=uplatex %O %S", "-e", DVIPDF_COMMAND],
+  },
+  context: { command: "context", standalone: true },
+};
+
+// Engine names of TeXShop and TeXstudio standing for one of the engines above
+const ENGINE_ALIASES = {
+  latex: "pdflatex",
+  pdflatexmk: "pdflatex",
+  xelatexmk: "xelatex",
+  lualatexmk: "lualatex",
+};
+
+// Bibliography programs understood by latexmk through its $bibtex variable
+const BIBTEX_PROGRAMS = ["bibtex", "bibtex8", "pbibtex", "upbibtex"];
+const BIB_PROGRAMS = [...BIBTEX_PROGRAMS, "biber"];
+
+// Log messages asking for another engine pass
+const RERUN_PATTERN =
+  /(Rerun to get|Label\(s\) may have changed|Please rerun LaTeX|Please \(re\)run|rerunfilecheck Warning)/i;
+
+/**
+ * Get a description for a latexmk exit code
+ * @param {number} code - The exit code
+ * @returns {string} Description of the exit code
+ */
+function describeLatexmkExitCode(code) {
+  if (LATEXMK_EXIT_CODES[code]) {
+    return LATEXMK_EXIT_CODES[code];
+  }
+  if (code > 0) {
+    return "LaTeX compiler error";
+  }
+  return "Unknown error";
+}
+
+function describeGenericExitCode(code) {
+  return code > 0 ? "LaTeX compiler error" : "Unknown error";
+}
+
+/**
+ * Get a directory as an argument relative to the root file directory.
+ * @param {Object} context - Build context
+ * @param {string} directory - Absolute directory path
+ * @returns {string} Relative path, or "." for the root directory itself
+ */
+function relativeDirectory(context, directory) {
+  return path.relative(context.fileDir, directory) || ".";
+}
+
+/**
+ * Get an engine definition, falling back to pdfLaTeX.
+ * @param {string} name - Engine name
+ * @returns {Object} Engine definition
+ */
+function getEngine(name) {
+  return ENGINES[name] || ENGINES.pdflatex;
+}
+
+/**
+ * Resolve an engine name or alias, ignoring case.
+ * @param {string} name - Engine name, e.g. "XeLaTeX" or "pdflatexmk"
+ * @returns {string|null} Engine name, or null if the engine is unknown
+ */
+function resolveEngineName(name) {
+  const lowerName = String(name).trim().toLowerCase();
+  const engineName = ENGINE_ALIASES[lowerName] || lowerName;
+  return ENGINES[engineName] ? engineName : null;
+}
+
+// ConTeXt reruns itself and writes next to the root file
+function createContextSteps(context) {
+  const args = ["--nonstopmode"];
+  if (context.synctex) {
+    args.push("--synctex");
+  }
+  args.push(...context.engineOptions);
+  args.push(context.fileName);
+  return [{ command: getEngine("context").command, args }];
+}
+
+function readFileSafe(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Build backends share one interface:
+ * - `createSteps(context)` returns the commands to run (see BuildJob),
+ * - `getArtifactPath(context, extension)`, `getLogPath(context)` and
+ *   `getOutputPath(context)` locate the artifacts,
+ * - `describeExitCode(code)` explains a non-zero exit code,
+ * - `describeIgnoredOptions(context)` lists the options of the context the
+ *   backend cannot apply.
+ *
+ * `auxDirectory` tells how a backend places auxiliary files: in their own
+ * directory ("separate"), in the output directory ("output"), or next to the
+ * root file whatever the settings ("none").
+ *
+ * The context is created by the main module and contains the root file path,
+ * its directory and base name, the selected engine, the build options, the
+ * engine options and bibliography program of the magic comments and the
+ * extra arguments of the selected recipe.
+ */
+const BACKENDS = {
+  latexmk: {
+    title: "latexmk",
+    executableConfig: "latexmkPath",
+    auxDirectory: "separate",
+
+    createSteps(context) {
+      const engine = getEngine(context.engine);
+      if (engine.standalone) {
+        return createContextSteps(context);
+      }
+
+      const args = [
+        "-bibtex", // Run bibtex when needed
+        "-interaction=nonstopmode", // Don't stop on errors
+        "-file-line-error", // Better error messages
+      ];
+
+      args.push(...engine.latexmkArgs);
+
+      // biber is picked by latexmk itself when the document uses biblatex
+      if (BIBTEX_PROGRAMS.includes(context.bibProgram) && context.bibProgram !== "bibtex") {
+        args.push("-e", `$bibtex = q/${context.bibProgram} %O %S/`);
+      }
+      for (const option of context.engineOptions) {
+        args.push(`-latexoption=${option}`);
+      }
+
+      if (context.verbosity === "silent") {
+        args.push("-silent");
+      } else if (context.verbosity === "quiet") {
+        args.push("-quiet");
+      }
+
+      if (context.synctex) {
+        args.push("-synctex=1");
+      }
+
+      if (context.shellEscape) {
+        args.push("-shell-escape");
+      }
+
+      if (context.cleanAuxFiles) {
+        args.push("-c");
+      }
+
+      if (context.outDir !== context.fileDir) {
+        args.push(`-outdir=${relativeDirectory(context, context.outDir)}`);
+      }
+      if (context.auxDir !== context.outDir) {
+        args.push(`-auxdir=${relativeDirectory(context, context.auxDir)}`);
+      }
+
+      // Recipe arguments go last so they can override the defaults
+      args.push(...context.extraArgs);
+
+      args.push(context.fileName);
+      return [{ command: context.executable, args }];
+    },
+
+    describeExitCode: describeLatexmkExitCode,
+  },
+
+  tectonic: {
+    title: "Tectonic",
+    executableConfig: "tectonicPath",
+    auxDirectory: "output",
+
+    createSteps(context) {
+      const args = ["--keep-logs"];
+
+      if (context.synctex) {
+        args.push("--synctex");
+      }
+
+      if (context.shellEscape) {
+        args.push("-Z", "shell-escape");
+      }
+
+      if (context.verbosity === "silent" || context.verbosity === "quiet") {
+        args.push("--chatter", "minimal");
+      }
+
+      if (context.outDir !== context.fileDir) {
+        args.push("--outdir", relativeDirectory(context, context.outDir));
+      }
+
+      args.push(...context.extraArgs);
+      args.push(context.fileName);
+      return [{ command: context.executable, args }];
+    },
+
+    // Tectonic runs its own XeTeX engine, which takes no command line options
+    describeIgnoredOptions(context) {
+      const ignored = [];
+      if (context.engine !== "xelatex") {
+        ignored.push(`Tectonic always runs XeLaTeX, the ${context.engine} engine is ignored`);
+      }
+      if (context.engineOptions.length > 0) {
+        ignored.push(`Tectonic ignores the engine options ${context.engineOptions.join(" ")}`);
+      }
+      return ignored;
+    },
+
+    describeExitCode: describeGenericExitCode,
+  },
+
+  engine: {
+    title: "Engine loop",
+    executableConfig: null,
+    auxDirectory: "output",
+
+    createSteps(context) {
+      const engine = getEngine(context.engine);
+      if (engine.standalone) {
+        return createContextSteps(context);
+      }
+
+      const outDir = relativeDirectory(context, context.outDir);
+      const engineArgs = ["-interaction=nonstopmode", "-file-line-error"];
+      if (outDir !== ".") {
+        engineArgs.push(`-output-directory=${outDir}`);
+      }
+      if (context.synctex) {
+        engineArgs.push("-synctex=1");
+      }
+      if (context.shellEscape) {
+        engineArgs.push("-shell-escape");
+      }
+      engineArgs.push(...context.engineOptions);
+      engineArgs.push(...context.extraArgs);
+      engineArgs.push(context.fileName);
+
+      // A bibtex program set by the document wins over biber detection
+      const bibtexProgram = BIBTEX_PROGRAMS.includes(context.bibProgram)
+        ? context.bibProgram
+        : "bibtex";
+      const artifact = (extension) => this.getArtifactPath(context, extension);
+      const usesBiber = () =>
+        !BIBTEX_PROGRAMS.includes(context.bibProgram) && fs.existsSync(artifact("bcf"));
+      const usesBibtex = () => !usesBiber() && /\\bibdata\{/.test(readFileSafe(artifact("aux")));
+      const needsRerun = () => RERUN_PATTERN.test(readFileSafe(artifact("log")));
+
+      const steps = [
+        { command: engine.command, args: engineArgs },
+        {
+          command: "biber",
+          args: ["--input-directory", outDir, "--output-directory", outDir, context.baseName],
+          when: usesBiber,
+        },
+        // BibTeX exits with 1 on warnings such as missing entries
+        {
+          command: bibtexProgram,
+          args: [path.join(outDir, context.baseName)],
+          when: usesBibtex,
+          okExitCodes: [0, 1],
+        },
+        {
+          command: engine.command,
+          args: engineArgs,
+          when: () => usesBiber() || usesBibtex() || needsRerun(),
+          repeatWhile: needsRerun,
+          maxRuns: 4,
+        },
+      ];
+      if (engine.dvi) {
+        const output = (extension) => path.join(outDir, `${context.baseName}.${extension}`);
+        steps.push({ command: "dvipdfmx", args: ["-o", output("pdf"), output("dvi")] });
+      }
+      return steps;
+    },
+
+    describeExitCode: describeGenericExitCode,
+  },
+
+  arara: {
+    title: "arara",
+    executableConfig: "araraPath",
+    auxDirectory: "none",
+
+    createSteps(context) {
+      const args = [];
+      if (context.verbosity === "extended") {
+        args.push("--verbose");
+      }
+      args.push(...context.extraArgs);
+      args.push(context.fileName);
+      return [{ command: context.executable, args }];
+    },
+
+    describeExitCode(code) {
+      if (code === 1) {
+        return "A rule or directive failed";
+      }
+      if (code === 2) {
+        return "arara error";
+      }
+      return describeGenericExitCode(code);
+    },
+  },
+};
+
+// Artifact lookup is the same for every backend once the directories are resolved,
+// and backends without a list of ignored options apply all of them
+for (const backend of Object.values(BACKENDS)) {
+  backend.getArtifactPath = (context, extension) => {
+    const directory = OUTPUT_EXTENSIONS.includes(extension) ? context.outDir : context.auxDir;
+    return path.join(directory, `${context.baseName}.${extension}`);
+  };
+  backend.getLogPath = (context) => backend.getArtifactPath(context, "log");
+  backend.getOutputPath = (context) => backend.getArtifactPath(context, "pdf");
+  if (!backend.describeIgnoredOptions) {
+    backend.describeIgnoredOptions = () => [];
+  }
+}
+
+/**
+ * Resolve the output and aux directories a backend will actually use.
+ * @param {Object} backend - Backend definition
+ * @param {string} fileDir - Directory of the root file
+ * @param {string|null} outDir - Configured output directory (absolute), or null
+ * @param {string|null} auxDir - Configured aux directory (absolute), or null
+ * @returns {{outDir: string, auxDir: string}} Absolute directories
+ */
+function resolveDirectories(backend, fileDir, outDir, auxDir) {
+  if (backend.auxDirectory === "none") {
+    return { outDir: fileDir, auxDir: fileDir };
+  }
+
+  const resolvedOutDir = outDir || fileDir;
+  if (backend.auxDirectory === "output") {
+    return { outDir: resolvedOutDir, auxDir: resolvedOutDir };
+  }
+  return { outDir: resolvedOutDir, auxDir: auxDir || resolvedOutDir };
+}
+
+/**
+ * Get a build backend by name, falling back to latexmk.
+ * @param {string} name - Backend name (latexmk, tectonic, engine, arara)
+ * @returns {Object} Backend definition
+ */
+function getBackend(name) {
+  return BACKENDS[name] || BACKENDS.latexmk;
+}
+
+/**
+ * Resolve the executable of a backend from the package configuration.
+ * @param {Object} backend - Backend definition
+ * @param {string} name - Backend name, used as the default executable
+ * @returns {string|null} Executable path, or null for backends running the engine directly
+ */
+function getBackendExecutable(backend, name) {
+  if (!backend.executableConfig) {
+    return null;
+  }
+  return atom.config.get(`latex-tools.${backend.executableConfig}`) || name;
+}
+
+module.exports = {
+  BACKENDS,
+  ENGINES,
+  BIB_PROGRAMS,
+  LATEXMK_EXIT_CODES,
+  getBackend,
+  getEngine,
+  resolveEngineName,
+  getBackendExecutable,
+  resolveDirectories,
+};
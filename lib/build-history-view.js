@@ -0,0 +1,252 @@
+const { CompositeDisposable } = require("atom");
+
+const BUILD_HISTORY_URI = "atom://latex-tools/build-history";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const SPARKLINE_WIDTH = 240;
+const SPARKLINE_HEIGHT = 40;
+
+/**
+ * Place durations on a sparkline, oldest on the left and the slowest build
+ * at the top.
+ * @param {Array<number>} durations - Build durations, oldest first
+ * @param {number} width - Width of the sparkline
+ * @param {number} height - Height of the sparkline
+ * @returns {Array<Array<number>>} [x, y] points
+ */
+function sparklinePoints(durations, width, height) {
+  const max = Math.max(...durations);
+  const min = Math.min(...durations);
+  const range = max - min || 1;
+  const step = durations.length > 1 ? width / (durations.length - 1) : 0;
+
+  return durations.map((duration, index) => [
+    Math.round(index * step * 10) / 10,
+    Math.round((height - ((duration - min) / range) * height) * 10) / 10,
+  ]);
+}
+
+function formatDuration(milliseconds) {
+  if (milliseconds == null) {
+    return "-";
+  }
+  return milliseconds < 10000
+    ? `${(milliseconds / 1000).toFixed(1)}s`
+    : `${Math.round(milliseconds / 1000)}s`;
+}
+
+function formatTrend(trend) {
+  if (trend == null) {
+    return "not enough builds";
+  }
+  const percent = Math.round(trend * 100);
+  return percent === 0 ? "stable" : `${percent > 0 ? "+" : ""}${percent}%`;
+}
+
+module.exports = class BuildHistoryView {
+  constructor(buildHistory) {
+    this.buildHistory = buildHistory;
+    this.disposables = new CompositeDisposable();
+    this.rootPath = null;
+
+    this.element = document.createElement("div");
+    this.element.classList.add("latex-tools-build-history");
+    this.element.tabIndex = -1;
+
+    // Toolbar: root selector, clear button
+    this.toolbar = document.createElement("div");
+    this.toolbar.classList.add("latex-tools-build-history-toolbar");
+
+    this.rootSelect = document.createElement("select");
+    this.rootSelect.classList.add("input-select");
+    this.rootSelect.addEventListener("change", () => {
+      this.rootPath = this.rootSelect.value || null;
+      this.render();
+    });
+
+    this.clearButton = document.createElement("button");
+    this.clearButton.classList.add("btn", "btn-sm", "icon", "icon-trashcan");
+    this.clearButton.textContent = "Clear";
+    this.clearButton.addEventListener("click", () => {
+      if (this.rootPath) {
+        this.buildHistory.clear(this.rootPath);
+      }
+    });
+
+    this.toolbar.appendChild(this.rootSelect);
+    this.toolbar.appendChild(this.clearButton);
+
+    this.summary = document.createElement("div");
+    this.summary.classList.add("latex-tools-build-history-summary");
+
+    this.list = document.createElement("div");
+    this.list.classList.add("latex-tools-build-history-list", "native-key-bindings");
+    this.list.tabIndex = -1;
+
+    this.element.appendChild(this.toolbar);
+    this.element.appendChild(this.summary);
+    this.element.appendChild(this.list);
+
+    this.disposables.add(
+      this.buildHistory.onDidUpdate(({ rootPath, entry }) => {
+        // Follow the root built last
+        if (entry) {
+          this.rootPath = rootPath;
+        }
+        this.render();
+      }),
+    );
+
+    this.render();
+  }
+
+  getTitle() {
+    return "LaTeX Build History";
+  }
+
+  getIconName() {
+    return "history";
+  }
+
+  getURI() {
+    return BUILD_HISTORY_URI;
+  }
+
+  getDefaultLocation() {
+    return "bottom";
+  }
+
+  getAllowedLocations() {
+    return ["bottom", "left", "right", "center"];
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  render() {
+    const roots = this.buildHistory.getRoots();
+    if (!this.rootPath || !roots.includes(this.rootPath)) {
+      this.rootPath = roots.length > 0 ? roots[roots.length - 1] : null;
+    }
+
+    this.rootSelect.innerHTML = "";
+    for (const rootPath of roots) {
+      const option = document.createElement("option");
+      option.value = rootPath;
+      option.textContent = this.displayPath(rootPath);
+      option.selected = rootPath === this.rootPath;
+      this.rootSelect.appendChild(option);
+    }
+    this.rootSelect.disabled = roots.length === 0;
+
+    this.renderSummary();
+    this.renderList();
+  }
+
+  renderSummary() {
+    this.summary.innerHTML = "";
+    const entries = this.buildHistory.getEntries(this.rootPath);
+    if (entries.length === 0) {
+      return;
+    }
+
+    const statistics = this.buildHistory.getStatistics(this.rootPath);
+    const durations = entries
+      .filter((entry) => entry.status === "success")
+      .map((entry) => entry.duration);
+    if (durations.length > 1) {
+      this.summary.appendChild(this.createSparkline(durations));
+    }
+
+    const text = document.createElement("span");
+    text.textContent = [
+      `${statistics.count} build${statistics.count === 1 ? "" : "s"}`,
+      `${statistics.failures} failed`,
+      `last ${formatDuration(statistics.lastDuration)}`,
+      `average ${formatDuration(statistics.averageDuration)}`,
+      `range ${formatDuration(statistics.minDuration)}-${formatDuration(statistics.maxDuration)}`,
+      `trend ${formatTrend(statistics.trend)}`,
+    ].join(" | ");
+    if (statistics.trend != null && statistics.trend > 0.2) {
+      text.classList.add("text-warning");
+    }
+    this.summary.appendChild(text);
+  }
+
+  createSparkline(durations) {
+    const svg = document.createElementNS(SVG_NAMESPACE, "svg");
+    svg.classList.add("latex-tools-build-history-sparkline");
+    svg.setAttribute("width", String(SPARKLINE_WIDTH));
+    svg.setAttribute("height", String(SPARKLINE_HEIGHT));
+    // Room for the stroke at the edges
+    svg.setAttribute("viewBox", `-2 -2 ${SPARKLINE_WIDTH + 4} ${SPARKLINE_HEIGHT + 4}`);
+
+    const polyline = document.createElementNS(SVG_NAMESPACE, "polyline");
+    polyline.setAttribute(
+      "points",
+      sparklinePoints(durations, SPARKLINE_WIDTH, SPARKLINE_HEIGHT)
+        .map((point) => point.join(","))
+        .join(" "),
+    );
+    svg.appendChild(polyline);
+    return svg;
+  }
+
+  renderList() {
+    this.list.innerHTML = "";
+    const entries = this.buildHistory.getEntries(this.rootPath);
+    if (entries.length === 0) {
+      const empty = document.createElement("div");
+      empty.classList.add("latex-tools-build-history-empty");
+      empty.textContent = "No builds recorded yet";
+      this.list.appendChild(empty);
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (const entry of entries.slice().reverse()) {
+      fragment.appendChild(this.createEntryElement(entry));
+    }
+    this.list.appendChild(fragment);
+  }
+
+  createEntryElement(entry) {
+    const element = document.createElement("div");
+    element.classList.add("latex-tools-build-history-entry", `status-${entry.status}`);
+
+    const exitText = entry.exitCode != null ? ` (exit code ${entry.exitCode})` : "";
+    const columns = [
+      new Date(entry.timestamp).toLocaleString(),
+      formatDuration(entry.duration),
+      `${entry.status}${exitText}`,
+      entry.recipe || entry.engine || entry.backend || "",
+      `${entry.errors} errors, ${entry.warnings} warnings, ${entry.info} info`,
+      entry.rules
+        .map((rule) => (rule.runs > 1 ? `${rule.name} x${rule.runs}` : rule.name))
+        .join(", "),
+    ];
+    for (const text of columns) {
+      const column = document.createElement("span");
+      column.textContent = text;
+      element.appendChild(column);
+    }
+    return element;
+  }
+
+  displayPath(filePath) {
+    const [projectPath, relativePath] = atom.project.relativizePath(filePath);
+    if (projectPath && relativePath) {
+      return relativePath;
+    }
+    return filePath;
+  }
+
+  destroy() {
+    this.disposables.dispose();
+    this.element.remove();
+  }
+};
+
+module.exports.BUILD_HISTORY_URI = BUILD_HISTORY_URI;
+module.exports.sparklinePoints = sparklinePoints;
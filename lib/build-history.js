@@ -0,0 +1,149 @@
+const { Emitter } = require("atom");
+const { parseOutputLine, countPass } = require("./build-progress");
+
+// Builds compared by the duration trend: the most recent against the ones before
+const TREND_WINDOW = 5;
+
+/**
+ * Find the rules a build ran from its output lines, named and counted as
+ * the status bar shows them: the rules reported by latexmk, or the commands
+ * of the build steps for other backends.
+ * @param {Array<Object>} lines - Build output lines ({ text, kind })
+ * @returns {Array<Object>} [{ name, runs }] in the order they first ran
+ */
+function collectRules(lines) {
+  const passes = new Map();
+  for (const line of lines) {
+    const progress = parseOutputLine(line);
+    if (progress) {
+      countPass(passes, progress.phase, progress.pass);
+    }
+  }
+  return Array.from(passes, ([name, runs]) => ({ name, runs }));
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Keeps the finished builds of every root file with their timing, so slow
+ * documents can be spotted. The history survives sessions through
+ * `serialize`.
+ */
+class BuildHistory {
+  /**
+   * @param {Object} [state] - Serialized history: root path -> entries
+   */
+  constructor(state = {}) {
+    this.emitter = new Emitter();
+    this.entries = new Map(); // root path -> entries, oldest first
+
+    for (const [rootPath, entries] of Object.entries(state || {})) {
+      if (Array.isArray(entries) && entries.length > 0) {
+        this.entries.set(rootPath, entries.slice(-this.getSize()));
+      }
+    }
+  }
+
+  /**
+   * Subscribe to recorded builds and cleared history.
+   * @param {Function} callback - Called with { rootPath: string|null, entry: Object|null }
+   * @returns {Disposable}
+   */
+  onDidUpdate(callback) {
+    return this.emitter.on("did-update", callback);
+  }
+
+  getSize() {
+    return Math.max(1, atom.config.get("latex-tools.buildHistorySize") || 1);
+  }
+
+  getRoots() {
+    return Array.from(this.entries.keys());
+  }
+
+  getEntries(rootPath) {
+    return this.entries.get(rootPath) || [];
+  }
+
+  /**
+   * Record a finished build.
+   * @param {string} rootPath - Path to the root .tex file
+   * @param {Object} entry - { timestamp, recipe, backend, engine, duration, status,
+   *   exitCode, errors, warnings, info, rules }
+   * @returns {Object} The recorded entry
+   */
+  record(rootPath, entry) {
+    const recorded = {
+      timestamp: Date.now(),
+      recipe: null,
+      backend: null,
+      engine: null,
+      duration: 0,
+      status: "success",
+      exitCode: null,
+      errors: 0,
+      warnings: 0,
+      info: 0,
+      rules: [],
+      ...entry,
+    };
+
+    // Recorded roots move to the end, so the last one built is listed last
+    const entries = this.getEntries(rootPath).concat(recorded).slice(-this.getSize());
+    this.entries.delete(rootPath);
+    this.entries.set(rootPath, entries);
+    this.emitter.emit("did-update", { rootPath, entry: recorded });
+    return recorded;
+  }
+
+  /**
+   * Summarize the timing of the recorded builds of a root.
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {Object} { count, failures, lastDuration, averageDuration, minDuration,
+   *   maxDuration, trend } with durations of successful builds in milliseconds; trend
+   *   is the relative change of the last builds against the ones before, or null
+   */
+  getStatistics(rootPath) {
+    const entries = this.getEntries(rootPath);
+    const durations = entries
+      .filter((entry) => entry.status === "success")
+      .map((entry) => entry.duration);
+
+    const recent = durations.slice(-TREND_WINDOW);
+    const earlier = durations.slice(-2 * TREND_WINDOW, -TREND_WINDOW);
+    const earlierAverage = average(earlier);
+
+    return {
+      count: entries.length,
+      failures: entries.length - durations.length,
+      lastDuration: durations.length > 0 ? durations[durations.length - 1] : null,
+      averageDuration: average(durations),
+      minDuration: durations.length > 0 ? Math.min(...durations) : null,
+      maxDuration: durations.length > 0 ? Math.max(...durations) : null,
+      trend: earlierAverage ? (average(recent) - earlierAverage) / earlierAverage : null,
+    };
+  }
+
+  clear(rootPath = null) {
+    if (rootPath) {
+      this.entries.delete(rootPath);
+    } else {
+      this.entries.clear();
+    }
+    this.emitter.emit("did-update", { rootPath, entry: null });
+  }
+
+  serialize() {
+    return Object.fromEntries(this.entries);
+  }
+
+  destroy() {
+    this.entries.clear();
+    this.emitter.dispose();
+  }
+}
+
+module.exports = BuildHistory;
+module.exports.collectRules = collectRules;
@@ -0,0 +1,190 @@
+const { Emitter } = require("atom");
+const { spawn } = require("child_process");
+
+/**
+ * Runs the steps of a build backend as a sequence of child processes.
+ *
+ * Each step is `{ command, args, when?, repeatWhile?, maxRuns?, okExitCodes? }`.
+ * A step is skipped when `when()` returns false, and is run again while
+ * `repeatWhile()` returns true (up to `maxRuns` times). The job stops at the
+ * first step that exits with a code outside `okExitCodes` (default `[0]`) or
+ * is terminated by a signal.
+ */
+module.exports = class BuildJob {
+  constructor(steps, options = {}) {
+    this.steps = steps;
+    this.cwd = options.cwd;
+    this.env = options.env || process.env;
+    this.emitter = new Emitter();
+    this.process = null;
+    this.killed = false;
+    this.finished = false;
+    this.stdout = "";
+    this.stderr = "";
+  }
+
+  /**
+   * Subscribe to output chunks of every step.
+   * @param {Function} callback - Called with { stream: 'stdout'|'stderr', text: string }
+   * @returns {Disposable}
+   */
+  onDidOutput(callback) {
+    return this.emitter.on("did-output", callback);
+  }
+
+  /**
+   * Subscribe to the start of every step run.
+   * @param {Function} callback - Called with { step: Object, run: number }
+   * @returns {Disposable}
+   */
+  onDidStartStep(callback) {
+    return this.emitter.on("did-start-step", callback);
+  }
+
+  /**
+   * Subscribe to the end of the job.
+   * @param {Function} callback - Called with { code: number|null, signal: string|null, step: Object|null }
+   * @returns {Disposable}
+   */
+  onDidExit(callback) {
+    return this.emitter.on("did-exit", callback);
+  }
+
+  /**
+   * Subscribe to spawn failures (e.g. executable not found).
+   * @param {Function} callback - Called with { error: Error, step: Object }
+   * @returns {Disposable}
+   */
+  onDidFail(callback) {
+    return this.emitter.on("did-fail", callback);
+  }
+
+  start() {
+    this.runStep(0, 0);
+    return this;
+  }
+
+  runStep(index, runCount) {
+    if (this.killed) {
+      return;
+    }
+
+    if (index >= this.steps.length) {
+      this.finish({ code: 0, signal: null, step: null });
+      return;
+    }
+
+    const step = this.steps[index];
+    if (runCount === 0 && step.when && !step.when()) {
+      this.runStep(index + 1, 0);
+      return;
+    }
+
+    let childProcess;
+    try {
+      childProcess = spawn(step.command, step.args, {
+        cwd: this.cwd,
+        env: this.env,
+        shell: false,
+        // On Unix-like systems, create a new process group for easier termination
+        detached: process.platform !== "win32",
+      });
+    } catch (error) {
+      this.fail(error, step);
+      return;
+    }
+    this.process = childProcess;
+    this.emitter.emit("did-start-step", { step, run: runCount + 1 });
+
+    childProcess.stdout.on("data", (data) => {
+      const text = data.toString();
+      this.stdout += text;
+      this.emitter.emit("did-output", { stream: "stdout", text });
+    });
+
+    childProcess.stderr.on("data", (data) => {
+      const text = data.toString();
+      this.stderr += text;
+      this.emitter.emit("did-output", { stream: "stderr", text });
+    });
+
+    childProcess.on("error", (error) => {
+      this.fail(error, step);
+    });
+
+    childProcess.on("exit", (code, signal) => {
+      if (this.process === childProcess) {
+        this.process = null;
+      }
+      if (this.finished) {
+        return;
+      }
+
+      const okExitCodes = step.okExitCodes || [0];
+      if (signal || this.killed || !okExitCodes.includes(code)) {
+        this.finish({ code, signal: signal || (this.killed ? "SIGTERM" : null), step });
+        return;
+      }
+
+      const maxRuns = step.maxRuns || 1;
+      if (step.repeatWhile && runCount + 1 < maxRuns && step.repeatWhile()) {
+        this.runStep(index, runCount + 1);
+      } else {
+        this.runStep(index + 1, 0);
+      }
+    });
+  }
+
+  finish(result) {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    this.emitter.emit("did-exit", result);
+  }
+
+  fail(error, step) {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    this.process = null;
+    this.emitter.emit("did-fail", { error, step });
+  }
+
+  /**
+   * Terminate the running step and skip the remaining ones.
+   */
+  kill() {
+    this.killed = true;
+    const childProcess = this.process;
+    if (!childProcess) {
+      return;
+    }
+
+    // Kill the process tree (especially important on Windows)
+    if (process.platform === "win32") {
+      // On Windows, use taskkill to kill the entire process tree
+      const taskkill = spawn("taskkill", ["/pid", childProcess.pid.toString(), "/T", "/F"]);
+      taskkill.on("exit", () => {
+        if (atom.config.get("latex-tools.debug")) {
+          console.log(`[LaTeX Tools] Process tree killed for PID ${childProcess.pid}`);
+        }
+      });
+    } else {
+      // On Unix-like systems, kill the process group
+      try {
+        process.kill(-childProcess.pid, "SIGTERM");
+      } catch (error) {
+        if (atom.config.get("latex-tools.debug")) {
+          console.error("[LaTeX Tools] Failed to kill process group:", error);
+        }
+        childProcess.kill("SIGTERM");
+      }
+    }
+  }
+
+  dispose() {
+    this.emitter.dispose();
+  }
+};
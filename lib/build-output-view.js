@@ -0,0 +1,251 @@
+const { CompositeDisposable } = require("atom");
+const path = require("path");
+
+const BUILD_OUTPUT_URI = "atom://latex-tools/build-output";
+
+// file:line references in build output, e.g. ./chapters/intro.tex:42:
+const FILE_LINE_LINK_PATTERN =
+  /((?:[A-Za-z]:)?[^\s:"'()<>]+\.(?:tex|sty|cls|bib|ltx|dtx|bbx|cbx)):(\d+)/g;
+
+module.exports = class BuildOutputView {
+  constructor(buildOutput) {
+    this.buildOutput = buildOutput;
+    this.disposables = new CompositeDisposable();
+    this.rootPath = null;
+    this.buildId = null;
+    this.followLatest = true;
+
+    this.element = document.createElement("div");
+    this.element.classList.add("latex-tools-build-output");
+    this.element.tabIndex = -1;
+
+    // Toolbar: root and build selectors, clear button
+    this.toolbar = document.createElement("div");
+    this.toolbar.classList.add("latex-tools-build-output-toolbar");
+
+    this.rootSelect = document.createElement("select");
+    this.rootSelect.classList.add("input-select");
+    this.rootSelect.addEventListener("change", () => {
+      this.followLatest = true;
+      this.showRoot(this.rootSelect.value || null);
+    });
+
+    this.buildSelect = document.createElement("select");
+    this.buildSelect.classList.add("input-select");
+    this.buildSelect.addEventListener("change", () => {
+      const builds = this.buildOutput.getBuilds(this.rootPath);
+      const buildId = parseInt(this.buildSelect.value, 10);
+      this.followLatest = builds.length > 0 && builds[builds.length - 1].id === buildId;
+      this.showBuild(buildId);
+    });
+
+    this.clearButton = document.createElement("button");
+    this.clearButton.classList.add("btn", "btn-sm", "icon", "icon-trashcan");
+    this.clearButton.textContent = "Clear";
+    this.clearButton.addEventListener("click", () => {
+      if (this.rootPath) {
+        this.buildOutput.clear(this.rootPath);
+      }
+    });
+
+    this.toolbar.appendChild(this.rootSelect);
+    this.toolbar.appendChild(this.buildSelect);
+    this.toolbar.appendChild(this.clearButton);
+
+    this.output = document.createElement("div");
+    this.output.classList.add("latex-tools-build-output-lines", "native-key-bindings");
+    this.output.tabIndex = -1;
+    this.output.addEventListener("click", (event) => this.handleLinkClick(event));
+
+    this.element.appendChild(this.toolbar);
+    this.element.appendChild(this.output);
+
+    this.disposables.add(
+      this.buildOutput.onDidStartBuild(({ rootPath }) => {
+        if (this.followLatest || !this.rootPath) {
+          this.rootPath = rootPath;
+          this.buildId = null;
+        }
+        this.render();
+      }),
+      this.buildOutput.onDidAppendLines(({ rootPath, build, lines }) => {
+        if (rootPath === this.rootPath && build.id === this.buildId) {
+          this.appendLineElements(lines);
+        }
+      }),
+      this.buildOutput.onDidFinishBuild(({ rootPath }) => {
+        if (rootPath === this.rootPath) {
+          this.renderBuildSelect();
+        }
+      }),
+      this.buildOutput.onDidClear(({ rootPath }) => {
+        if (!rootPath || rootPath === this.rootPath) {
+          this.rootPath = null;
+          this.buildId = null;
+        }
+        this.render();
+      }),
+    );
+
+    this.render();
+  }
+
+  getTitle() {
+    return "LaTeX Build Output";
+  }
+
+  getIconName() {
+    return "terminal";
+  }
+
+  getURI() {
+    return BUILD_OUTPUT_URI;
+  }
+
+  getDefaultLocation() {
+    return "bottom";
+  }
+
+  getAllowedLocations() {
+    return ["bottom", "left", "right", "center"];
+  }
+
+  getElement() {
+    return this.element;
+  }
+
+  showRoot(rootPath) {
+    this.rootPath = rootPath;
+    this.buildId = null;
+    this.render();
+  }
+
+  showBuild(buildId) {
+    this.buildId = buildId;
+    this.renderLines();
+  }
+
+  render() {
+    const roots = this.buildOutput.getRoots();
+    if (!this.rootPath || !roots.includes(this.rootPath)) {
+      this.rootPath = roots.length > 0 ? roots[roots.length - 1] : null;
+    }
+
+    this.rootSelect.innerHTML = "";
+    for (const rootPath of roots) {
+      const option = document.createElement("option");
+      option.value = rootPath;
+      option.textContent = this.displayPath(rootPath);
+      option.selected = rootPath === this.rootPath;
+      this.rootSelect.appendChild(option);
+    }
+    this.rootSelect.disabled = roots.length === 0;
+
+    const latestBuild = this.buildOutput.getLatestBuild(this.rootPath);
+    if (this.followLatest || this.buildId === null) {
+      this.buildId = latestBuild ? latestBuild.id : null;
+    }
+
+    this.renderBuildSelect();
+    this.renderLines();
+  }
+
+  renderBuildSelect() {
+    const builds = this.buildOutput.getBuilds(this.rootPath);
+    this.buildSelect.innerHTML = "";
+    for (const build of builds.slice().reverse()) {
+      const option = document.createElement("option");
+      option.value = String(build.id);
+      option.textContent = `#${build.id} ${new Date(build.startTime).toLocaleTimeString()} (${build.status})`;
+      option.selected = build.id === this.buildId;
+      this.buildSelect.appendChild(option);
+    }
+    this.buildSelect.disabled = builds.length === 0;
+  }
+
+  renderLines() {
+    this.output.innerHTML = "";
+    const build = this.buildOutput
+      .getBuilds(this.rootPath)
+      .find((item) => item.id === this.buildId);
+    if (!build) {
+      const empty = document.createElement("div");
+      empty.classList.add("latex-tools-build-output-empty");
+      empty.textContent = "No build output yet";
+      this.output.appendChild(empty);
+      return;
+    }
+
+    this.appendLineElements(build.lines);
+  }
+
+  appendLineElements(lines) {
+    // Keep following the tail only if the view was scrolled to the bottom
+    const atBottom =
+      this.output.scrollTop + this.output.clientHeight >= this.output.scrollHeight - 4;
+
+    const fragment = document.createDocumentFragment();
+    for (const line of lines) {
+      fragment.appendChild(this.createLineElement(line));
+    }
+    this.output.appendChild(fragment);
+
+    if (atBottom) {
+      this.output.scrollTop = this.output.scrollHeight;
+    }
+  }
+
+  createLineElement(line) {
+    const element = document.createElement("div");
+    element.classList.add("latex-tools-build-output-line");
+    if (line.kind) {
+      element.classList.add(`line-${line.kind}`);
+    }
+
+    let lastIndex = 0;
+    FILE_LINE_LINK_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = FILE_LINE_LINK_PATTERN.exec(line.text))) {
+      element.appendChild(document.createTextNode(line.text.slice(lastIndex, match.index)));
+      const link = document.createElement("a");
+      link.classList.add("latex-tools-build-output-link");
+      link.textContent = match[0];
+      link.dataset.file = match[1];
+      link.dataset.line = match[2];
+      element.appendChild(link);
+      lastIndex = match.index + match[0].length;
+    }
+    element.appendChild(document.createTextNode(line.text.slice(lastIndex)));
+    return element;
+  }
+
+  handleLinkClick(event) {
+    const link = event.target.closest(".latex-tools-build-output-link");
+    if (!link || !this.rootPath) {
+      return;
+    }
+
+    event.preventDefault();
+    const filePath = path.resolve(path.dirname(this.rootPath), link.dataset.file);
+    const line = parseInt(link.dataset.line, 10);
+    atom.workspace.open(filePath, {
+      initialLine: Math.max(0, line - 1),
+      searchAllPanes: true,
+    });
+  }
+
+  displayPath(filePath) {
+    const [projectPath, relativePath] = atom.project.relativizePath(filePath);
+    if (projectPath && relativePath) {
+      return relativePath;
+    }
+    return filePath;
+  }
+
+  destroy() {
+    this.disposables.dispose();
+    this.element.remove();
+  }
+};
+
+module.exports.BUILD_OUTPUT_URI = BUILD_OUTPUT_URI;
@@ -0,0 +1,180 @@
+const { Emitter } = require("atom");
+
+// Output lines reporting errors (TeX errors, file:line:message, tool errors)
+const ERROR_LINE_PATTERN = /^!|^.+\.\w+:\d+: |\berror\b|^ERROR\b|Emergency stop|Fatal/i;
+
+// Output lines reporting warnings
+const WARNING_LINE_PATTERN = /\bwarning\b|^WARN\b|Overfull|Underfull|undefined/i;
+
+/**
+ * Classify an output line for highlighting.
+ * @param {string} text - Line of build output
+ * @returns {string|null} 'error', 'warning' or null
+ */
+function classifyLine(text) {
+  if (ERROR_LINE_PATTERN.test(text)) {
+    return "error";
+  }
+  if (WARNING_LINE_PATTERN.test(text)) {
+    return "warning";
+  }
+  return null;
+}
+
+/**
+ * Keeps the streamed output of the last builds of every root file.
+ * The build output pane renders this model; it keeps collecting output
+ * while the pane is closed.
+ */
+module.exports = class BuildOutput {
+  constructor() {
+    this.emitter = new Emitter();
+    this.builds = new Map(); // root path -> builds, oldest first
+    this.nextId = 1;
+  }
+
+  /**
+   * Subscribe to new builds.
+   * @param {Function} callback - Called with { rootPath: string, build: Object }
+   * @returns {Disposable}
+   */
+  onDidStartBuild(callback) {
+    return this.emitter.on("did-start-build", callback);
+  }
+
+  /**
+   * Subscribe to new complete output lines.
+   * @param {Function} callback - Called with { rootPath: string, build: Object, lines: Array }
+   * @returns {Disposable}
+   */
+  onDidAppendLines(callback) {
+    return this.emitter.on("did-append-lines", callback);
+  }
+
+  /**
+   * Subscribe to finished builds.
+   * @param {Function} callback - Called with { rootPath: string, build: Object }
+   * @returns {Disposable}
+   */
+  onDidFinishBuild(callback) {
+    return this.emitter.on("did-finish-build", callback);
+  }
+
+  /**
+   * Subscribe to cleared output.
+   * @param {Function} callback - Called with { rootPath: string|null }
+   * @returns {Disposable}
+   */
+  onDidClear(callback) {
+    return this.emitter.on("did-clear", callback);
+  }
+
+  getRoots() {
+    return Array.from(this.builds.keys());
+  }
+
+  getBuilds(rootPath) {
+    return this.builds.get(rootPath) || [];
+  }
+
+  getLatestBuild(rootPath) {
+    const builds = this.getBuilds(rootPath);
+    return builds.length > 0 ? builds[builds.length - 1] : null;
+  }
+
+  startBuild(rootPath) {
+    const build = {
+      id: this.nextId++,
+      rootPath,
+      startTime: Date.now(),
+      endTime: null,
+      status: "building",
+      lines: [],
+      partial: { stdout: "", stderr: "" },
+    };
+
+    const builds = this.getBuilds(rootPath).concat(build);
+    const historySize = Math.max(1, atom.config.get("latex-tools.outputHistorySize") || 1);
+    this.builds.set(rootPath, builds.slice(-historySize));
+    this.emitter.emit("did-start-build", { rootPath, build });
+    return build;
+  }
+
+  /**
+   * Append the command line of a build step.
+   * @param {string} rootPath - Path to the root .tex file
+   * @param {Object} step - Step with command and args
+   */
+  appendCommand(rootPath, step) {
+    const build = this.getLatestBuild(rootPath);
+    if (!build) {
+      return;
+    }
+
+    this.appendLines(build, [
+      { text: `$ ${[step.command, ...step.args].join(" ")}`, kind: "command" },
+    ]);
+  }
+
+  /**
+   * Append a chunk of process output, emitting complete lines only.
+   * @param {string} rootPath - Path to the root .tex file
+   * @param {string} text - Output chunk
+   * @param {string} stream - 'stdout' or 'stderr'
+   */
+  appendOutput(rootPath, text, stream = "stdout") {
+    const build = this.getLatestBuild(rootPath);
+    if (!build) {
+      return;
+    }
+
+    const parts = (build.partial[stream] + text).split(/\r?\n/);
+    build.partial[stream] = parts.pop();
+    this.appendLines(
+      build,
+      parts.map((line) => ({ text: line, kind: classifyLine(line), stream })),
+    );
+  }
+
+  appendLines(build, lines) {
+    if (lines.length === 0) {
+      return;
+    }
+    build.lines.push(...lines);
+    this.emitter.emit("did-append-lines", { rootPath: build.rootPath, build, lines });
+  }
+
+  finishBuild(rootPath, status) {
+    const build = this.getLatestBuild(rootPath);
+    if (!build || build.endTime) {
+      return;
+    }
+
+    // Flush output that did not end with a newline
+    for (const stream of ["stdout", "stderr"]) {
+      if (build.partial[stream]) {
+        const text = build.partial[stream];
+        build.partial[stream] = "";
+        this.appendLines(build, [{ text, kind: classifyLine(text), stream }]);
+      }
+    }
+
+    build.endTime = Date.now();
+    build.status = status;
+    this.emitter.emit("did-finish-build", { rootPath, build });
+  }
+
+  clear(rootPath = null) {
+    if (rootPath) {
+      this.builds.delete(rootPath);
+    } else {
+      this.builds.clear();
+    }
+    this.emitter.emit("did-clear", { rootPath });
+  }
+
+  destroy() {
+    this.builds.clear();
+    this.emitter.dispose();
+  }
+};
@@ -0,0 +1,151 @@
+const { Emitter } = require("atom");
+const path = require("path");
+
+// Rules reported by latexmk, e.g. "Run number 2 of rule 'pdflatex'"
+const LATEXMK_RUN_PATTERN = /^Run number (\d+) of rule '([^']+)'/;
+const LATEXMK_APPLY_PATTERN = /^Latexmk: applying rule '([^']+)'/;
+
+// Custom dependencies of these files run makeglossaries
+const GLOSSARY_EXTENSIONS = new Set(["glo", "acn", "slo"]);
+
+/**
+ * Name the phase of a latexmk rule: the program it runs.
+ * @param {string} ruleName - Rule name, e.g. "biber main" or "cusdep glo gls main"
+ * @returns {string} Phase name, e.g. "biber" or "makeglossaries"
+ */
+function getPhaseName(ruleName) {
+  const [name, fromExtension] = ruleName.trim().split(/\s+/);
+  if (name === "cusdep" && GLOSSARY_EXTENSIONS.has(fromExtension)) {
+    return "makeglossaries";
+  }
+  return name;
+}
+
+/**
+ * Read the rule latexmk starts from a line of its output.
+ * @param {string} text - Output line
+ * @returns {Object|null} { phase, pass } with pass null when latexmk does not
+ *   number the run, or null for other lines
+ */
+function parseProgressLine(text) {
+  const run = text.match(LATEXMK_RUN_PATTERN);
+  if (run) {
+    return { phase: getPhaseName(run[2]), pass: parseInt(run[1], 10) };
+  }
+
+  const applied = text.match(LATEXMK_APPLY_PATTERN);
+  if (applied) {
+    return { phase: getPhaseName(applied[1]), pass: null };
+  }
+
+  return null;
+}
+
+/**
+ * Read the phase a build output line starts: the command of a build step,
+ * or a rule latexmk reports.
+ * @param {Object} line - Output line ({ text, kind })
+ * @returns {Object|null} { phase, pass } as for `parseProgressLine`, or null
+ */
+function parseOutputLine(line) {
+  if (line.kind === "command") {
+    const command = path.basename(line.text.replace(/^\$ /, "").split(" ")[0]);
+    // latexmk reports its rules itself
+    return command === "latexmk" ? null : { phase: command, pass: null };
+  }
+  return parseProgressLine(line.text);
+}
+
+/**
+ * Number a pass of a phase and count it.
+ * @param {Map} passes - Phase -> passes so far, updated
+ * @param {string} phase - Phase name
+ * @param {number|null} pass - Pass number, or null when it is not numbered
+ * @returns {number} Pass number
+ */
+function countPass(passes, phase, pass) {
+  const previousPasses = passes.get(phase) || 0;
+  // Unnumbered phases are the next pass; latexmk numbers the run it announced just before
+  const number = pass === null ? previousPasses + 1 : pass;
+  passes.set(phase, Math.max(number, previousPasses));
+  return number;
+}
+
+/**
+ * Follows the output lines of running builds and reports the phase each
+ * one is in: the latexmk rule running, or the command of the current build
+ * step for the other backends, with the number of its pass.
+ */
+module.exports = class BuildProgress {
+  constructor() {
+    this.emitter = new Emitter();
+    this.builds = new Map(); // root path -> { phase, pass, passes: Map(phase -> count) }
+  }
+
+  /**
+   * Subscribe to phase changes.
+   * @param {Function} callback - Called with { rootPath: string, phase: string, pass: number }
+   * @returns {Disposable}
+   */
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback);
+  }
+
+  start(rootPath) {
+    this.builds.set(rootPath, { phase: null, pass: null, passes: new Map() });
+  }
+
+  /**
+   * Read new output lines of a build.
+   * @param {string} rootPath - Path to the root .tex file
+   * @param {Array<Object>} lines - Output lines ({ text, kind })
+   */
+  handleLines(rootPath, lines) {
+    const build = this.builds.get(rootPath);
+    if (!build) {
+      return;
+    }
+
+    for (const line of lines) {
+      const progress = parseOutputLine(line);
+      if (progress) {
+        this.update(rootPath, progress.phase, progress.pass);
+      }
+    }
+  }
+
+  update(rootPath, phase, pass) {
+    const build = this.builds.get(rootPath);
+    pass = countPass(build.passes, phase, pass);
+    if (build.phase === phase && build.pass === pass) {
+      return;
+    }
+
+    build.phase = phase;
+    build.pass = pass;
+    this.emitter.emit("did-change", { rootPath, phase, pass });
+  }
+
+  /**
+   * Get the current phase of a build.
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {Object|null} { phase, pass }, or null before the first phase
+   */
+  get(rootPath) {
+    const build = this.builds.get(rootPath);
+    return build && build.phase ? { phase: build.phase, pass: build.pass } : null;
+  }
+
+  finish(rootPath) {
+    this.builds.delete(rootPath);
+  }
+
+  destroy() {
+    this.builds.clear();
+    this.emitter.dispose();
+  }
+};
+
+module.exports.parseProgressLine = parseProgressLine;
+module.exports.parseOutputLine = parseOutputLine;
+module.exports.countPass = countPass;
@@ -0,0 +1,156 @@
+const { Emitter } = require("atom");
+
+/**
+ * Schedules builds of root files.
+ *
+ * At most `maxConcurrentBuilds` roots build at once; other requests wait in
+ * first-come order. A root has at most one pending request: asking for a
+ * build of a root that is already building or waiting is coalesced into the
+ * pending one, so a burst of saves ends with exactly one more build.
+ */
+module.exports = class BuildQueue {
+  /**
+   * @param {Function} startBuild - Called with the root path when its build may start
+   */
+  constructor(startBuild) {
+    this.startBuild = startBuild;
+    this.emitter = new Emitter();
+    this.running = new Set();
+    this.pending = []; // root paths, oldest request first
+  }
+
+  /**
+   * Subscribe to requests that have to wait.
+   * @param {Function} callback - Called with { rootPath: string, building: boolean }
+   * @returns {Disposable}
+   */
+  onDidQueueBuild(callback) {
+    return this.emitter.on("did-queue-build", callback);
+  }
+
+  /**
+   * Subscribe to builds that threw while starting. Their root is free again.
+   * @param {Function} callback - Called with { rootPath: string, error: Error }
+   * @returns {Disposable}
+   */
+  onDidFailToStart(callback) {
+    return this.emitter.on("did-fail-to-start", callback);
+  }
+
+  /**
+   * Subscribe to pending requests dropped before they started.
+   * @param {Function} callback - Called with { rootPath: string }
+   * @returns {Disposable}
+   */
+  onDidCancelBuild(callback) {
+    return this.emitter.on("did-cancel-build", callback);
+  }
+
+  getMaxConcurrentBuilds() {
+    return Math.max(1, atom.config.get("latex-tools.maxConcurrentBuilds") || 1);
+  }
+
+  /**
+   * Request a build of a root file.
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {string} 'started', 'queued' or 'coalesced'
+   */
+  request(rootPath) {
+    if (this.pending.includes(rootPath)) {
+      return "coalesced";
+    }
+
+    if (this.running.has(rootPath) || this.running.size >= this.getMaxConcurrentBuilds()) {
+      this.pending.push(rootPath);
+      this.emitter.emit("did-queue-build", {
+        rootPath,
+        building: this.running.has(rootPath),
+      });
+      return "queued";
+    }
+
+    this.run(rootPath);
+    return "started";
+  }
+
+  run(rootPath) {
+    this.running.add(rootPath);
+    try {
+      this.startBuild(rootPath);
+    } catch (error) {
+      this.finish(rootPath);
+      this.emitter.emit("did-fail-to-start", { rootPath, error });
+    }
+  }
+
+  /**
+   * Mark the build of a root file as over and start waiting builds.
+   * @param {string} rootPath - Path to the root .tex file
+   */
+  finish(rootPath) {
+    if (!this.running.delete(rootPath)) {
+      return;
+    }
+    this.drain();
+  }
+
+  drain() {
+    const maxConcurrentBuilds = this.getMaxConcurrentBuilds();
+    let index = 0;
+    while (index < this.pending.length && this.running.size < maxConcurrentBuilds) {
+      const rootPath = this.pending[index];
+      if (this.running.has(rootPath)) {
+        // Wait for the running build of this root to finish first
+        index++;
+        continue;
+      }
+      this.pending.splice(index, 1);
+      this.run(rootPath);
+    }
+  }
+
+  /**
+   * Drop the pending request of a root file.
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {boolean} True if a request was pending
+   */
+  cancel(rootPath) {
+    const index = this.pending.indexOf(rootPath);
+    if (index === -1) {
+      return false;
+    }
+    this.pending.splice(index, 1);
+    this.emitter.emit("did-cancel-build", { rootPath });
+    return true;
+  }
+
+  /**
+   * Drop all pending requests.
+   * @returns {number} Number of dropped requests
+   */
+  cancelAll() {
+    const rootPaths = this.pending.slice();
+    for (const rootPath of rootPaths) {
+      this.cancel(rootPath);
+    }
+    return rootPaths.length;
+  }
+
+  isRunning(rootPath) {
+    return this.running.has(rootPath);
+  }
+
+  isPending(rootPath) {
+    return this.pending.includes(rootPath);
+  }
+
+  getPendingRoots() {
+    return this.pending.slice();
+  }
+
+  destroy() {
+    this.running.clear();
+    this.pending = [];
+    this.emitter.dispose();
+  }
+};
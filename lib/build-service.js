@@ -1,4 +1,6 @@
-const { Emitter } = require("atom");
+const { Disposable, Emitter } = require("atom");
+const { syncFailure } = require("./synctex");
+const { detectMagicComments } = require("./utils");
 
 /**
  * LaTeX Tools Build Service API
@@ -68,9 +70,37 @@ module.exports = class BuildService {
     return this.emitter.on("did-start-build", callback);
   }
 
+  /**
+   * Subscribe to the phases of running builds: each latexmk rule it runs, or
+   * each command of the other backends, with the number of its pass
+   * @param {Function} callback - Called with { file: string, phase: string, pass: number },
+   *   e.g. { file, phase: 'pdflatex', pass: 2 } or { file, phase: 'biber', pass: 1 }
+   * @returns {Disposable}
+   */
+  onDidProgressBuild(callback) {
+    if (atom.config.get("latex-tools.debug")) {
+      console.log("[LaTeX Tools] BuildService: Registered onDidProgressBuild callback");
+    }
+    return this.emitter.on("did-progress-build", callback);
+  }
+
+  /**
+   * Subscribe to queued build events. A build is queued when all build slots
+   * are busy, or when the root is building already (`building` is true) and
+   * will be built once more after the running build.
+   * @param {Function} callback - Called with { file: string, building: boolean }
+   * @returns {Disposable}
+   */
+  onDidQueueBuild(callback) {
+    if (atom.config.get("latex-tools.debug")) {
+      console.log("[LaTeX Tools] BuildService: Registered onDidQueueBuild callback");
+    }
+    return this.emitter.on("did-queue-build", callback);
+  }
+
   /**
    * Subscribe to successful build completion events
-   * @param {Function} callback - Called with { file: string, output: string, elapsedTime: number }
+   * @param {Function} callback - Called with { file: string, output: string, elapsedTime: number, outputPath: string }
    * @returns {Disposable}
    */
   onDidFinishBuild(callback) {
@@ -94,7 +124,7 @@ module.exports = class BuildService {
 
   /**
    * Subscribe to any build status change
-   * @param {Function} callback - Called with { file: string, status: 'idle'|'building'|'success'|'error', error?: string }
+   * @param {Function} callback - Called with { file: string, status: 'idle'|'queued'|'building'|'success'|'error', error?: string }
    * @returns {Disposable}
    */
   onDidChangeBuildStatus(callback) {
@@ -104,6 +134,19 @@ module.exports = class BuildService {
     return this.emitter.on("did-change-build-status", callback);
   }
 
+  /**
+   * Subscribe to builds added to the build history, after their success or
+   * failure events
+   * @param {Function} callback - Called with { file: string, entry: Object }, see `getBuildHistory`
+   * @returns {Disposable}
+   */
+  onDidRecordBuild(callback) {
+    if (atom.config.get("latex-tools.debug")) {
+      console.log("[LaTeX Tools] BuildService: Registered onDidRecordBuild callback");
+    }
+    return this.emitter.on("did-record-build", callback);
+  }
+
   /**
    * Subscribe to log messages update events
    * @param {Function} callback - Called with { file: string, messages: Array }
@@ -135,7 +178,7 @@ module.exports = class BuildService {
   /**
    * Get build status for a file or all files
    * @param {string} [filePath] - Optional file path. If omitted, returns global status.
-   * @returns {Object} Status object with status, file, and optionally buildingCount and files array
+   * @returns {Object} Status object with status, file, queued, and optionally buildingCount, queuedCount and files array
    */
   getStatus(filePath = null) {
     if (filePath) {
@@ -144,20 +187,23 @@ module.exports = class BuildService {
       return {
         status: fileStatus ? fileStatus.status : "idle",
         file: rootPath,
+        queued: this.isQueued(rootPath),
         startTime: fileStatus?.startTime || null,
         endTime: fileStatus?.endTime || null,
         error: fileStatus?.error || null,
       };
     }
-    const buildingCount = Array.from(this.buildingFiles.values()).filter(
-      (s) => s.status === "building",
-    ).length;
+    const statuses = Array.from(this.buildingFiles.values());
+    const buildingCount = statuses.filter((s) => s.status === "building").length;
+    const queuedCount = statuses.filter((s) => s.status === "queued").length;
     return {
-      status: buildingCount > 0 ? "building" : "idle",
+      status: buildingCount > 0 ? "building" : queuedCount > 0 ? "queued" : "idle",
       buildingCount: buildingCount,
+      queuedCount: queuedCount,
       files: Array.from(this.buildingFiles.entries()).map(([file, data]) => ({
         file,
         status: data.status,
+        queued: this.isQueued(file),
         startTime: data.startTime || null,
         endTime: data.endTime || null,
       })),
@@ -175,6 +221,20 @@ module.exports = class BuildService {
     return fileStatus && fileStatus.status === "building";
   }
 
+  /**
+   * Check if a build of a file is waiting in the build queue, either for a
+   * free build slot or for its running build to finish
+   * @param {string} filePath - Path to the .tex file
+   * @returns {boolean}
+   */
+  isQueued(filePath) {
+    if (!this.mainModule) {
+      return false;
+    }
+
+    return this.mainModule.isBuildQueued(this.resolveRoot(filePath));
+  }
+
   /**
    * Check if any build is currently in progress
    * @returns {boolean}
@@ -183,14 +243,50 @@ module.exports = class BuildService {
     return Array.from(this.buildingFiles.values()).some((s) => s.status === "building");
   }
 
+  // ============================================
+  // BUILD HISTORY
+  // ============================================
+
+  /**
+   * Get the recorded builds of a document, oldest first
+   * @param {string} filePath - Path to the .tex file
+   * @returns {Array<Object>} Entries with timestamp, recipe, backend, engine, duration (ms),
+   *   status ('success'|'error'), exitCode, errors, warnings, info and rules ([{ name, runs }])
+   */
+  getBuildHistory(filePath) {
+    if (!this.mainModule || !filePath) {
+      return [];
+    }
+
+    return this.mainModule.getBuildHistory(this.resolveRoot(filePath));
+  }
+
+  /**
+   * Get timing statistics of the recorded builds of a document
+   * @param {string} filePath - Path to the .tex file
+   * @returns {Object|null} { count, failures, lastDuration, averageDuration, minDuration,
+   *   maxDuration, trend } where trend is the relative change of the duration of the last
+   *   builds against the ones before, or null
+   */
+  getBuildStatistics(filePath) {
+    if (!this.mainModule || !filePath) {
+      return null;
+    }
+
+    return this.mainModule.getBuildStatistics(this.resolveRoot(filePath));
+  }
+
   // ============================================
   // BUILD CONTROL
   // ============================================
 
   /**
-   * Compile a LaTeX file
+   * Compile a LaTeX file. If the file is building already or all build slots
+   * are busy, the build is queued; repeated requests are coalesced. Since
+   * version 1.1.0 a file that is building already is queued and gives true;
+   * version 1.0.0 gives false for it without queueing.
    * @param {string} filePath - Path to the .tex file to compile
-   * @returns {boolean} True if compilation was started, false if already building or invalid file
+   * @returns {boolean} True if compilation was started or queued, false if invalid file or continuous mode is active
    */
   compile(filePath) {
     if (!this.mainModule) {
@@ -205,17 +301,7 @@ module.exports = class BuildService {
       return false;
     }
 
-    const rootPath = this.resolveRoot(filePath);
-
-    if (this.isBuilding(rootPath)) {
-      if (atom.config.get("latex-tools.debug")) {
-        console.log("[LaTeX Tools] BuildService: Build already in progress");
-      }
-      return false;
-    }
-
-    this.mainModule.runCompilation(rootPath);
-    return true;
+    return this.mainModule.runCompilation(this.resolveRoot(filePath)) !== null;
   }
 
   /**
@@ -275,6 +361,46 @@ module.exports = class BuildService {
     return this.mainModule.getLogStatistics(filePath);
   }
 
+  /**
+   * Add a rule creating quick-fix solutions for linter messages. Rules added
+   * here run before the built-in ones.
+   * @param {Object} rule - { name: string, match: RegExp, solutions: Function }
+   *   where `solutions(message, match, context)` returns linter solutions
+   * @returns {Disposable} Removes the rule
+   * @example
+   * service.addQuickFixRule({
+   *   name: 'mhchem-docs',
+   *   match: /^Undefined control sequence/,
+   *   solutions: (message) =>
+   *     /\\ce$/.test(message.context || '')
+   *       ? [{ title: 'Open mhchem manual', apply: () => shell.openExternal('https://ctan.org/pkg/mhchem') }]
+   *       : [],
+   * });
+   */
+  addQuickFixRule(rule) {
+    if (!this.mainModule) {
+      console.error("[LaTeX Tools] BuildService: Main module not available");
+      return new Disposable();
+    }
+
+    return this.mainModule.addQuickFixRule(rule);
+  }
+
+  // ============================================
+  // MAGIC COMMENTS
+  // ============================================
+
+  /**
+   * Get the magic comments at the top of a tex file, e.g. for a spell checker
+   * following `% !TEX spellcheck`.
+   * @param {string} filePath - Path to the .tex file
+   * @returns {Object} { program, root, encoding, spellcheck, options, outdir, bibProgram,
+   *   problems } with null (or an empty list) for comments the file does not have
+   */
+  getMagicComments(filePath) {
+    return detectMagicComments(filePath);
+  }
+
   // ============================================
   // OUTPUT FILES
   // ============================================
@@ -402,11 +528,12 @@ module.exports = class BuildService {
    * @param {number} page - Page number (1-based)
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
-   * @returns {Promise<Object|null>} Source location { file, line, column } or null
+   * @returns {Promise<Object>} Source location { file, line, column }, or { reason, message }
+   *   when the lookup failed
    */
   async syncToSource(pdfPath, page, x, y) {
     if (!this.mainModule) {
-      return null;
+      return syncFailure("failed", "LaTeX Tools is not active");
     }
 
     return this.mainModule.syncToSource(pdfPath, page, x, y);
@@ -433,7 +560,41 @@ module.exports = class BuildService {
   }
 
   /** @private */
-  finishBuild(filePath, output, elapsedTime = null) {
+  progressBuild(filePath, phase, pass) {
+    this.emitter.emit("did-progress-build", { file: filePath, phase, pass });
+  }
+
+  /** @private */
+  queueBuild(filePath, building = false) {
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(`[LaTeX Tools] BuildService: queueBuild(${filePath})`);
+    }
+    if (!building) {
+      this.buildingFiles.set(filePath, {
+        status: "queued",
+        startTime: null,
+      });
+      this.emitter.emit("did-change-build-status", {
+        status: "queued",
+        file: filePath,
+      });
+    }
+    this.emitter.emit("did-queue-build", { file: filePath, building });
+  }
+
+  /** @private */
+  cancelQueuedBuild(filePath) {
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(`[LaTeX Tools] BuildService: cancelQueuedBuild(${filePath})`);
+    }
+    const fileStatus = this.buildingFiles.get(filePath);
+    if (fileStatus && fileStatus.status === "queued") {
+      this.reset(filePath);
+    }
+  }
+
+  /** @private */
+  finishBuild(filePath, output, elapsedTime = null, outputPath = null) {
     if (atom.config.get("latex-tools.debug")) {
       console.log(`[LaTeX Tools] BuildService: finishBuild(${filePath})`);
     }
@@ -443,6 +604,7 @@ module.exports = class BuildService {
       file: filePath,
       output: output,
       elapsedTime: elapsedTime,
+      outputPath: outputPath,
     });
     this.emitter.emit("did-change-build-status", {
       status: "success",
@@ -469,6 +631,11 @@ module.exports = class BuildService {
     });
   }
 
+  /** @private */
+  recordBuild(filePath, entry) {
+    this.emitter.emit("did-record-build", { file: filePath, entry: { ...entry } });
+  }
+
   /** @private */
   updateMessages(filePath, messages) {
     this.emitter.emit("did-update-messages", {
@@ -515,3 +682,83 @@ module.exports = class BuildService {
     this.emitter.dispose();
   }
 };
+
+// Methods of version 1.0.0 of the service; later methods need version 1.1.0
+const SERVICE_1_0_METHODS = [
+  "onDidStartBuild",
+  "onDidFinishBuild",
+  "onDidFailBuild",
+  "onDidChangeBuildStatus",
+  "onDidUpdateMessages",
+  "onDidChangeCompileOnSave",
+  "getStatus",
+  "isBuilding",
+  "isAnyBuilding",
+  "compile",
+  "interrupt",
+  "interruptAll",
+  "getMessages",
+  "getMessageStatistics",
+  "getOutputPath",
+  "openPdf",
+  "openPdfExternal",
+  "setCompileOnSave",
+  "isCompileOnSaveEnabled",
+  "getCompileOnSaveEditors",
+  "getCompileOnSaveFiles",
+  "syncToPdf",
+];
+
+// Version 1.0.0 has no build queue: waiting builds are idle until they start
+function toStatusV1_0(status) {
+  return status === "queued" ? "idle" : status;
+}
+
+/**
+ * Create version 1.0.0 of the service on top of the current one. It reports
+ * queued builds as idle without the queue fields, its `compile` gives false
+ * for a file that is building already instead of queueing another build, and
+ * its `syncToSource` resolves to null when the lookup fails, as they always did.
+ * @param {BuildService} service - The build service
+ * @returns {Object} Service with the methods of version 1.0.0
+ */
+function createServiceV1_0(service) {
+  const api = {};
+  for (const name of SERVICE_1_0_METHODS) {
+    api[name] = service[name].bind(service);
+  }
+  api.onDidChangeBuildStatus = (callback) =>
+    service.onDidChangeBuildStatus((event) =>
+      callback({ ...event, status: toStatusV1_0(event.status) }),
+    );
+  api.getStatus = (filePath = null) => {
+    const status = { ...service.getStatus(filePath) };
+    status.status = toStatusV1_0(status.status);
+    delete status.queued;
+    delete status.queuedCount;
+    if (status.files) {
+      status.files = status.files.map((file) => {
+        const fileStatus = { ...file, status: toStatusV1_0(file.status) };
+        delete fileStatus.queued;
+        return fileStatus;
+      });
+    }
+    return status;
+  };
+  api.compile = (filePath) => {
+    if (filePath && filePath.endsWith(".tex") && service.isBuilding(filePath)) {
+      if (atom.config.get("latex-tools.debug")) {
+        console.log("[LaTeX Tools] BuildService: Build already in progress");
+      }
+      return false;
+    }
+    return service.compile(filePath);
+  };
+  api.syncToSource = async (pdfPath, page, x, y) => {
+    const location = await service.syncToSource(pdfPath, page, x, y);
+    return location && !location.reason ? location : null;
+  };
+  return api;
+}
+
+module.exports.createServiceV1_0 = createServiceV1_0;
@@ -0,0 +1,31 @@
+// Policies deciding when compile-on-save compiles an observed file
+const POLICIES = [
+  {
+    name: "debounce",
+    title: "Debounce",
+    description: "Compile when the file changes, after the compile-on-save delay",
+  },
+  {
+    name: "idle",
+    title: "Idle",
+    description: "Also save and compile when typing stops for the idle delay",
+  },
+  {
+    name: "save",
+    title: "Explicit save",
+    description: "Compile only when the file is saved in an editor",
+  },
+];
+
+const DEFAULT_POLICY = "debounce";
+
+/**
+ * Find a compile-on-save policy by name.
+ * @param {string} name - Policy name
+ * @returns {Object|null} { name, title, description }, or null if unknown
+ */
+function getPolicy(name) {
+  return POLICIES.find((policy) => policy.name === name) || null;
+}
+
+module.exports = { POLICIES, DEFAULT_POLICY, getPolicy };
@@ -0,0 +1,107 @@
+const { Emitter } = require("atom");
+
+// Lines printed by latexmk -pvc when it starts remaking files after a change
+const CYCLE_START_PATTERN =
+  /^(Latexmk: applying rule|Rule '[^']+':|Run number \d+ of rule|Latexmk: Changed files|Latexmk: Detected change|Latexmk: Files changed)/;
+
+// Line printed by latexmk -pvc when a cycle is over and it waits for changes
+const CYCLE_END_PATTERN = /^=== Watching for updated files/;
+
+// Lines reporting a failed cycle
+const CYCLE_ERROR_PATTERN =
+  /^(Latexmk: Errors|Collected error summary|Latexmk: .*(?:[Ff]ailure|gave an error))/;
+
+/**
+ * Follows a long-lived `latexmk -pvc` job and splits its output into
+ * recompile cycles. A cycle starts with the job and after every detected
+ * change, and ends when latexmk goes back to watching the sources.
+ */
+module.exports = class ContinuousBuild {
+  constructor(job) {
+    this.job = job;
+    this.emitter = new Emitter();
+    this.inCycle = false;
+    this.cycleStartTime = null;
+    this.cycleOutput = "";
+    this.cycleFailed = false;
+    this.partialLines = { stdout: "", stderr: "" };
+
+    // latexmk reports its own progress on stderr and the engine output on stdout
+    this.job.onDidOutput(({ stream, text }) => this.handleOutput(text, stream));
+  }
+
+  /**
+   * Subscribe to the start of a recompile cycle.
+   * @param {Function} callback - Called with { startTime: number }
+   * @returns {Disposable}
+   */
+  onDidStartCycle(callback) {
+    return this.emitter.on("did-start-cycle", callback);
+  }
+
+  /**
+   * Subscribe to the end of a recompile cycle.
+   * @param {Function} callback - Called with { success: boolean, startTime: number, elapsedTime: number, output: string }
+   * @returns {Disposable}
+   */
+  onDidFinishCycle(callback) {
+    return this.emitter.on("did-finish-cycle", callback);
+  }
+
+  start() {
+    // latexmk makes the targets right away, so the first cycle starts now
+    this.startCycle();
+    this.job.start();
+  }
+
+  startCycle() {
+    this.inCycle = true;
+    this.cycleStartTime = Date.now();
+    this.cycleOutput = "";
+    this.cycleFailed = false;
+    this.emitter.emit("did-start-cycle", { startTime: this.cycleStartTime });
+  }
+
+  finishCycle() {
+    this.inCycle = false;
+    this.emitter.emit("did-finish-cycle", {
+      success: !this.cycleFailed,
+      startTime: this.cycleStartTime,
+      elapsedTime: Date.now() - this.cycleStartTime,
+      output: this.cycleOutput,
+    });
+  }
+
+  handleOutput(text, stream = "stdout") {
+    const lines = (this.partialLines[stream] + text).split(/\r?\n/);
+    this.partialLines[stream] = lines.pop();
+
+    for (const line of lines) {
+      if (!this.inCycle && CYCLE_START_PATTERN.test(line)) {
+        this.startCycle();
+      }
+
+      if (this.inCycle) {
+        this.cycleOutput += `${line}\n`;
+        if (CYCLE_ERROR_PATTERN.test(line)) {
+          this.cycleFailed = true;
+        }
+        if (CYCLE_END_PATTERN.test(line)) {
+          this.finishCycle();
+        }
+      }
+    }
+  }
+
+  isInCycle() {
+    return this.inCycle;
+  }
+
+  stop() {
+    this.job.kill();
+  }
+
+  dispose() {
+    this.emitter.dispose();
+  }
+};
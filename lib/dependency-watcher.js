@@ -0,0 +1,183 @@
+const { CompositeDisposable, File } = require("atom");
+const path = require("path");
+const { normalizePathForTex } = require("./root-discovery");
+
+function isInside(filePath, directory) {
+  const relativePath = path.relative(directory, filePath);
+  return Boolean(relativePath) && !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Pick the inputs of a build worth watching: files inside the project
+ * folders or the directory of the root, without the files the build writes
+ * itself (OUTPUT lines and `<basename>.*` files in its directories).
+ * @param {Object} files - { inputs, outputs } read from the .fls file
+ * @param {Object} options
+ * @param {string} options.rootPath - Path to the root .tex file
+ * @param {Array<string>} options.buildDirs - Output and aux directories of the root
+ * @param {Array<string>} options.projectPaths - Project folders
+ * @returns {Array<string>} Paths to watch
+ */
+function selectDependencies({ inputs, outputs }, { rootPath, buildDirs, projectPaths }) {
+  const rootDir = path.dirname(rootPath);
+  const baseName = path.basename(rootPath, ".tex");
+  const writtenPaths = new Set(outputs.map(normalizePathForTex));
+  const artifactDirs = new Set([rootDir, ...buildDirs].map(normalizePathForTex));
+
+  return inputs.filter((inputPath) => {
+    if (writtenPaths.has(normalizePathForTex(inputPath))) {
+      return false;
+    }
+
+    const fileName = path.basename(inputPath);
+    const isArtifact =
+      fileName.startsWith(`${baseName}.`) &&
+      !fileName.endsWith(".tex") &&
+      artifactDirs.has(normalizePathForTex(path.dirname(inputPath)));
+    if (isArtifact) {
+      return false;
+    }
+
+    return [rootDir, ...projectPaths].some((directory) => isInside(inputPath, directory));
+  });
+}
+
+/**
+ * Watches the recorded inputs of root documents, such as bibliographies,
+ * figures and included files, and reports changes per root.
+ */
+class DependencyWatcher {
+  /**
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onDidChange - Called with (rootPath, changedPath)
+   */
+  constructor(callbacks) {
+    this.callbacks = callbacks;
+    this.roots = new Map(); // root path -> { watches: Map(path -> Disposable), timeout }
+  }
+
+  /**
+   * Replace the watched dependencies of a root. Files watched already keep
+   * their watch.
+   * @param {string} rootPath - Path to the root .tex file
+   * @param {Array<string>} dependencies - Paths to watch
+   */
+  watch(rootPath, dependencies) {
+    if (!this.roots.has(rootPath)) {
+      this.roots.set(rootPath, { watches: new Map(), timeout: null });
+    }
+    const root = this.roots.get(rootPath);
+    const wanted = new Set(dependencies);
+
+    for (const [filePath, disposable] of root.watches) {
+      if (!wanted.has(filePath)) {
+        disposable.dispose();
+        root.watches.delete(filePath);
+      }
+    }
+
+    for (const filePath of wanted) {
+      if (!root.watches.has(filePath)) {
+        const disposable = this.watchFile(filePath, (deleted) => {
+          // A replaced file needs a new watch, added by the next refresh
+          if (deleted) {
+            this.unwatchFile(rootPath, filePath);
+          }
+          this.schedule(rootPath, filePath);
+        });
+        if (disposable) {
+          root.watches.set(filePath, disposable);
+        }
+      }
+    }
+
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(
+        `[LaTeX Tools] Watching ${root.watches.size} dependencies of ${path.basename(rootPath)}`,
+      );
+    }
+  }
+
+  /**
+   * Watch one file.
+   * @param {string} filePath - Path to watch
+   * @param {Function} callback - Called with true when the file was deleted or renamed
+   * @returns {Disposable|null} The watch, or null if the file cannot be watched
+   */
+  watchFile(filePath, callback) {
+    try {
+      const file = new File(filePath);
+      return new CompositeDisposable(
+        file.onDidChange(() => callback(false)),
+        file.onDidDelete(() => callback(true)),
+        file.onDidRename(() => callback(true)),
+      );
+    } catch (error) {
+      if (atom.config.get("latex-tools.debug")) {
+        console.error(`[LaTeX Tools] Failed to watch ${filePath}:`, error);
+      }
+      return null;
+    }
+  }
+
+  unwatchFile(rootPath, filePath) {
+    const root = this.roots.get(rootPath);
+    const disposable = root && root.watches.get(filePath);
+    if (disposable) {
+      disposable.dispose();
+      root.watches.delete(filePath);
+    }
+  }
+
+  schedule(rootPath, changedPath) {
+    const root = this.roots.get(rootPath);
+    if (!root) {
+      return;
+    }
+
+    // Same delay as compile-on-save, so a burst of writes starts one build
+    clearTimeout(root.timeout);
+    root.timeout = setTimeout(() => {
+      root.timeout = null;
+      if (atom.config.get("latex-tools.debug")) {
+        console.log(`[LaTeX Tools] Dependency changed: ${changedPath}`);
+      }
+      this.callbacks.onDidChange(rootPath, changedPath);
+    }, atom.config.get("latex-tools.compileOnSaveDelay"));
+  }
+
+  /**
+   * Stop watching the dependencies of a root.
+   * @param {string} rootPath - Path to the root .tex file
+   */
+  remove(rootPath) {
+    const root = this.roots.get(rootPath);
+    if (!root) {
+      return;
+    }
+
+    clearTimeout(root.timeout);
+    for (const disposable of root.watches.values()) {
+      disposable.dispose();
+    }
+    this.roots.delete(rootPath);
+  }
+
+  getRootPaths() {
+    return Array.from(this.roots.keys());
+  }
+
+  getDependencies(rootPath) {
+    const root = this.roots.get(rootPath);
+    return root ? Array.from(root.watches.keys()) : [];
+  }
+
+  destroy() {
+    for (const rootPath of this.getRootPaths()) {
+      this.remove(rootPath);
+    }
+  }
+}
+
+module.exports = DependencyWatcher;
+module.exports.selectDependencies = selectDependencies;
@@ -0,0 +1,125 @@
+const { CompositeDisposable, Emitter } = require("atom");
+
+/**
+ * Follow-cursor mode: runs forward SyncTeX whenever the cursor of the active
+ * .tex editor settles on a new line, for the roots that have the mode enabled.
+ */
+module.exports = class FollowCursor {
+  /**
+   * @param {Object} callbacks
+   * @param {Function} callbacks.getRootPath - Returns the root .tex path of a file
+   * @param {Function} callbacks.sync - Called with (filePath, line, column), 1-based
+   */
+  constructor(callbacks) {
+    this.callbacks = callbacks;
+    this.emitter = new Emitter();
+    this.roots = new Set();
+    this.editorSubscriptions = null;
+    this.pending = null; // { filePath, line, column } waiting for the delay
+    this.timeout = null;
+    this.lastKey = null; // "path:line" of the last synced line
+  }
+
+  /**
+   * Subscribe to the mode being switched on or off.
+   * @param {Function} callback - Called with { rootPath, enabled }
+   * @returns {Disposable}
+   */
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback);
+  }
+
+  isEnabled(rootPath) {
+    return this.roots.has(rootPath);
+  }
+
+  /**
+   * Switch the mode on or off for a root.
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {boolean} True if the mode is now enabled
+   */
+  toggle(rootPath) {
+    const enabled = !this.roots.has(rootPath);
+    if (enabled) {
+      this.roots.add(rootPath);
+    } else {
+      this.roots.delete(rootPath);
+      this.cancel();
+    }
+    this.lastKey = null;
+    this.emitter.emit("did-change", { rootPath, enabled });
+    return enabled;
+  }
+
+  /**
+   * Follow the cursor of an editor, replacing the previously observed one.
+   * @param {TextEditor|null} editor - The active text editor
+   */
+  observeEditor(editor) {
+    this.cancel();
+    if (this.editorSubscriptions) {
+      this.editorSubscriptions.dispose();
+      this.editorSubscriptions = null;
+    }
+
+    const filePath = editor && editor.getPath();
+    if (!filePath || !filePath.endsWith(".tex")) {
+      return;
+    }
+
+    this.editorSubscriptions = new CompositeDisposable(
+      editor.onDidChangeCursorPosition(({ newBufferPosition }) =>
+        this.schedule(editor.getPath(), newBufferPosition),
+      ),
+    );
+  }
+
+  schedule(filePath, position) {
+    if (!filePath || !this.isEnabled(this.callbacks.getRootPath(filePath))) {
+      return;
+    }
+
+    // Moving within a line or typing keeps the PDF where it is
+    const line = position.row + 1;
+    if (`${filePath}:${line}` === this.lastKey) {
+      this.cancel();
+      return;
+    }
+
+    this.cancel();
+    this.pending = { filePath, line, column: position.column + 1 };
+    this.timeout = setTimeout(() => this.flush(), atom.config.get("latex-tools.followCursorDelay"));
+  }
+
+  /**
+   * Sync the pending cursor position right away.
+   */
+  flush() {
+    const pending = this.pending;
+    this.cancel();
+    if (!pending) {
+      return;
+    }
+
+    this.lastKey = `${pending.filePath}:${pending.line}`;
+    this.callbacks.sync(pending.filePath, pending.line, pending.column);
+  }
+
+  cancel() {
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+    this.pending = null;
+  }
+
+  destroy() {
+    this.cancel();
+    if (this.editorSubscriptions) {
+      this.editorSubscriptions.dispose();
+      this.editorSubscriptions = null;
+    }
+    this.roots.clear();
+    this.emitter.dispose();
+  }
+};
@@ -1,7 +1,13 @@
 module.exports = class LinterProvider {
-  constructor() {
+  /**
+   * @param {QuickFixes} [quickFixes] - Source of solutions attached to the messages
+   */
+  constructor(quickFixes = null) {
     this.name = "LaTeX";
     this.indieInstance = null;
+    this.quickFixes = quickFixes;
+    this.messagesByRoot = new Map(); // root .tex path -> linter messages
+    this.messagesByFile = new Map(); // .tex path -> linter messages about the file itself
   }
 
   // Called by linter package to register this indie linter
@@ -10,14 +16,17 @@ module.exports = class LinterProvider {
     if (atom.config.get("latex-tools.debug")) {
       console.log("[LaTeX Tools] Linter indie instance registered");
     }
-  }
-
-  setMessages(messages) {
-    if (!this.indieInstance) {
-      console.warn("[LaTeX Tools] Linter indie instance not available");
-      return;
+    if (this.messagesByRoot.size > 0 || this.messagesByFile.size > 0) {
+      this.publish();
     }
+  }
 
+  /**
+   * Replace the messages of one root document, keeping those of the others.
+   * @param {string} rootPath - Path to the root .tex file
+   * @param {Array} messages - Parsed log messages
+   */
+  setMessages(rootPath, messages) {
     // Filter messages based on verbosity config
     const verbosity = atom.config.get("latex-tools.outputVerbosity") || "default";
 
@@ -54,31 +63,117 @@ module.exports = class LinterProvider {
 
       // Add reference to log file if logRange is available
       if (msg.logRange) {
-        const logFilePath = msg.location.fullPath.replace(/\.tex$/, ".log");
+        const logFilePath = msg.logPath || msg.location.fullPath.replace(/\.tex$/, ".log");
         linterMsg.reference = {
           file: logFilePath,
           position: [msg.logRange[0][0], msg.logRange[0][1]],
         };
       }
 
+      if (this.quickFixes) {
+        const solutions = this.quickFixes.getSolutions(msg, rootPath);
+        if (solutions.length > 0) {
+          linterMsg.solutions = solutions;
+        }
+      }
+
       return linterMsg;
     });
+    if (this.quickFixes) {
+      this.quickFixes.clearCache();
+    }
 
-    // Set messages using indie linter API
-    this.indieInstance.setAllMessages(linterMessages);
+    // Kept until the linter registers, then sent with the other roots
+    this.messagesByRoot.set(rootPath, linterMessages);
+    if (!this.indieInstance) {
+      console.warn("[LaTeX Tools] Linter indie instance not available");
+      return;
+    }
+
+    this.publish();
     if (atom.config.get("latex-tools.debug")) {
-      console.log(`[LaTeX Tools] Set ${linterMessages.length} messages in linter`);
+      console.log(`[LaTeX Tools] Set ${linterMessages.length} messages in linter for ${rootPath}`);
     }
   }
 
-  clearMessages() {
+  /**
+   * Replace the messages about a source file itself, such as invalid magic
+   * comments. They are kept apart from the build messages of its root.
+   * @param {string} filePath - Path to the .tex file
+   * @param {Array} messages - Messages with { severity, excerpt, row, column, endColumn }
+   */
+  setFileMessages(filePath, messages) {
+    if (messages.length === 0 && !this.messagesByFile.has(filePath)) {
+      return;
+    }
+
+    if (messages.length === 0) {
+      this.messagesByFile.delete(filePath);
+    } else {
+      this.messagesByFile.set(
+        filePath,
+        messages.map((msg) => ({
+          severity: msg.severity,
+          location: {
+            file: filePath,
+            position: [
+              [msg.row, msg.column],
+              [msg.row, msg.endColumn],
+            ],
+          },
+          excerpt: msg.excerpt,
+        })),
+      );
+    }
+    this.publish();
+  }
+
+  /**
+   * Remove the messages of one root document.
+   * @param {string} rootPath - Path to the root .tex file
+   */
+  clearMessages(rootPath) {
+    if (!this.messagesByRoot.delete(rootPath)) {
+      return;
+    }
+
+    this.publish();
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(`[LaTeX Tools] Cleared linter messages for ${rootPath}`);
+    }
+  }
+
+  // Remove the messages of every root document
+  clearAllMessages() {
+    this.messagesByRoot.clear();
+    this.messagesByFile.clear();
     if (!this.indieInstance) {
       return;
     }
 
     this.indieInstance.clearMessages();
     if (atom.config.get("latex-tools.debug")) {
-      console.log("[LaTeX Tools] Cleared linter messages");
+      console.log("[LaTeX Tools] Cleared all linter messages");
+    }
+  }
+
+  getRootPaths() {
+    return Array.from(this.messagesByRoot.keys());
+  }
+
+  // The indie linter holds a single list, so send the messages of all roots
+  publish() {
+    if (!this.indieInstance) {
+      return;
+    }
+
+    const messages = [];
+    for (const rootMessages of this.messagesByRoot.values()) {
+      messages.push(...rootMessages);
+    }
+    for (const fileMessages of this.messagesByFile.values()) {
+      messages.push(...fileMessages);
     }
+    this.indieInstance.setAllMessages(messages);
   }
 };
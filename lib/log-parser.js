@@ -1,3 +1,4 @@
+const fs = require("fs");
 const path = require("path");
 
 // Pattern for errors starting with !
@@ -25,6 +26,23 @@ const INFO_PATTERN = /^(LaTeX|Package|Class)(?:\s+(\S+))?\s+Info:\s*(.*)$/;
 // Pattern for "on input line N"
 const INPUT_LINE_PATTERN = /on input line (\d+)/;
 
+// Pattern for undefined references and citations (LaTeX, natbib, biblatex)
+const UNDEFINED_REFERENCE_PATTERN =
+  /(Reference|Citation) [`'"]([^'"]+)['"] on page \S+ undefined(?: on input line (\d+))?/;
+
+// Pattern for labels defined more than once
+const MULTIPLY_DEFINED_LABEL_PATTERN = /Label [`'"]([^'"]+)['"] multiply defined/;
+
+// Pattern for the summary printed at the end of the run
+const REFERENCE_SUMMARY_PATTERN =
+  /There were (?:undefined references|undefined citations|multiply[- ]defined labels)/;
+
+// Commands referring to labels, e.g. \ref, \eqref, \autoref, \cref, \nameref
+const REFERENCE_COMMAND = /\\[a-zA-Z]*ref\*?/.source;
+
+// Commands citing entries, e.g. \cite, \citep, \parencite, \textcite, \nocite
+const CITATION_COMMAND = /\\[a-zA-Z]*cite[a-zA-Z]*\*?(?:\s*\[[^\]]*\]){0,2}/.source;
+
 // Pattern for \input markers surrounded by parentheses
 const INPUT_FILE_PATTERN = /(\([^()[\]]+|\))/g;
 
@@ -37,17 +55,30 @@ module.exports = class LogParser {
     this.sourcePaths = [];
     this.projectPath = null;
     this.texFilePath = null;
+    this.logFilePath = null;
     this.outputFilePath = null;
     this.lastMessage = null;
+    this.inputFiles = [];
+    this.fileLines = new Map();
   }
 
-  parse(logContent, texFilePath) {
+  /**
+   * Parse a LaTeX log file.
+   * @param {string} logContent - Content of the .log file
+   * @param {string} texFilePath - Path to the root .tex file
+   * @param {string} [logFilePath] - Path to the .log file (defaults to next to the root file)
+   * @returns {Array} Parsed messages
+   */
+  parse(logContent, texFilePath, logFilePath = texFilePath.replace(/\.tex$/, ".log")) {
     this.messages = [];
     this.texFilePath = texFilePath;
+    this.logFilePath = logFilePath;
     this.projectPath = path.dirname(texFilePath);
     this.sourcePaths = [texFilePath];
     this.outputFilePath = null;
     this.lastMessage = null;
+    this.inputFiles = [texFilePath];
+    this.fileLines = new Map();
 
     const lines = logContent.split(/\r?\n/);
     let lineIndex = 0;
@@ -108,7 +139,9 @@ module.exports = class LogParser {
       if (match) {
         const result = this.parseWarning(match, lines, lineIndex);
         if (result.message) {
-          this.addMessage(result.message);
+          for (const message of this.locateReferenceWarning(result.message)) {
+            this.addMessage(message);
+          }
         }
         lineIndex = result.nextIndex;
         continue;
@@ -171,11 +204,13 @@ module.exports = class LogParser {
       // Check for wrapped line numbers: previous text ends with "line \d+" and
       // current line starts with digits (completing the wrapped number)
       // This handles LaTeX log wrapping like "on input line 24\n21." -> "line 2421"
-      if (/line\s+\d+$/.test(prevText) && /^\d+/.test(line)) {
+      // and wrapping right before the number like "on input line \n8."
+      const splitNumber = /line\s+\d+$/.test(prevText);
+      if ((splitNumber || /\bline\s*$/.test(prevText)) && /^\d+/.test(line)) {
         const digitMatch = line.match(/^(\d+\.?)\s*(.*)/);
         if (digitMatch) {
-          // Join digits without space to complete the number
-          collected.push({ text: digitMatch[1], noSpace: true });
+          // Join digits without space to complete a split number
+          collected.push({ text: digitMatch[1], noSpace: splitNumber });
           // If there's more text after the digits, add it with space
           if (digitMatch[2]) {
             collected.push({ text: digitMatch[2].trim(), noSpace: false });
@@ -280,6 +315,7 @@ module.exports = class LogParser {
     const filePath = match[1];
     const lineNumber = parseInt(match[2], 10);
     let messageText = match[3];
+    let sourceContext = "";
     let nextIndex = lineIndex + 1;
 
     // Collect continuation lines (indented lines following the error)
@@ -298,6 +334,7 @@ module.exports = class LogParser {
       // Check for line context
       const lineMatch = line.match(LINE_CONTEXT_PATTERN);
       if (lineMatch) {
+        sourceContext = lineMatch[2];
         nextIndex++;
         break;
       }
@@ -327,6 +364,7 @@ module.exports = class LogParser {
       message: {
         severity: "error",
         excerpt: messageText,
+        context: sourceContext || undefined,
         location: {
           file: path.basename(resolvedPath),
           fullPath: resolvedPath,
@@ -506,17 +544,147 @@ module.exports = class LogParser {
       } else {
         // Push new file onto stack
         const cleanPath = token.replace(INPUT_FILE_TRIM_PATTERN, "");
-        // Only add if it looks like a file path
-        if (cleanPath.includes(".")) {
+        // Only add if it looks like a file path; other parenthesized text,
+        // e.g. "(PWD, AO)" in a package banner, gets a placeholder so its
+        // closing parenthesis does not pop a file
+        if (!cleanPath.includes(".")) {
+          this.sourcePaths.unshift(null);
+        } else {
           const resolvedPath = path.resolve(this.projectPath, cleanPath);
           this.sourcePaths.unshift(resolvedPath);
+          if (resolvedPath.endsWith(".tex") && !this.inputFiles.includes(resolvedPath)) {
+            this.inputFiles.push(resolvedPath);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Place reference warnings on the \ref, \cite or \label token they are
+   * about. The file on top of the parenthesis stack is tried first, then the
+   * other input files of the run. Such messages carry the label or citation
+   * `key`.
+   * @param {Object} message - Warning parsed by `parseWarning`
+   * @returns {Array} Messages to add
+   */
+  locateReferenceWarning(message) {
+    let match = message.excerpt.match(UNDEFINED_REFERENCE_PATTERN);
+    if (match) {
+      const [, kind, key, inputLine] = match;
+      message.key = key;
+      if (!inputLine) {
+        return [message];
+      }
+
+      const command = kind === "Reference" ? REFERENCE_COMMAND : CITATION_COMMAND;
+      const token = this.findToken(command, key, parseInt(inputLine, 10) - 1);
+      if (token) {
+        message.location = token;
+      }
+      return [message];
+    }
+
+    match = message.excerpt.match(MULTIPLY_DEFINED_LABEL_PATTERN);
+    if (match) {
+      const key = match[1];
+      const tokens = this.findLabelTokens(key);
+      if (tokens.length === 0) {
+        message.key = key;
+        return [message];
+      }
+      return tokens.map((location) => ({ ...message, key, location }));
+    }
+
+    if (REFERENCE_SUMMARY_PATTERN.test(message.excerpt)) {
+      // Summaries concern the whole document
+      message.location = {
+        file: path.basename(this.texFilePath),
+        fullPath: this.texFilePath,
+        position: {
+          start: { row: 0, column: 0 },
+          end: { row: 0, column: Number.MAX_SAFE_INTEGER },
+        },
+      };
+    }
+
+    return [message];
+  }
+
+  /**
+   * Find a command taking `key` in its argument on a line of an input file.
+   * @param {string} command - Regular expression source of the command name
+   * @param {string} key - Label or citation key
+   * @param {number} row - 0-based line reported in the log
+   * @returns {Object|null} Message location covering the token
+   */
+  findToken(command, key, row) {
+    const pattern = this.createTokenPattern(command, key);
+    const currentFile = this.getCurrentFile();
+    const files = [currentFile, ...this.inputFiles.filter((file) => file !== currentFile)];
+
+    for (const filePath of files) {
+      const line = this.readFileLines(filePath)[row];
+      if (line === undefined) {
+        continue;
+      }
+
+      pattern.lastIndex = 0;
+      const match = pattern.exec(line);
+      if (match) {
+        return this.createTokenLocation(filePath, row, match);
+      }
+    }
+    return null;
+  }
+
+  findLabelTokens(key) {
+    const pattern = this.createTokenPattern(/\\label/.source, key);
+    const locations = [];
+    for (const filePath of this.inputFiles) {
+      this.readFileLines(filePath).forEach((line, row) => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(line))) {
+          locations.push(this.createTokenLocation(filePath, row, match));
         }
+      });
+    }
+    return locations;
+  }
+
+  // Match `command{...}` whose comma-separated argument contains `key`
+  createTokenPattern(command, key) {
+    const escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`${command}\\s*\\{(?:[^{}]*,)?\\s*${escapedKey}\\s*(?:,[^{}]*)?\\}`, "g");
+  }
+
+  createTokenLocation(filePath, row, match) {
+    return {
+      file: path.basename(filePath),
+      fullPath: filePath,
+      position: {
+        start: { row, column: match.index },
+        end: { row, column: match.index + match[0].length },
+      },
+    };
+  }
+
+  readFileLines(filePath) {
+    if (!this.fileLines.has(filePath)) {
+      let lines = [];
+      try {
+        lines = fs.readFileSync(filePath, "utf8").split(/\r?\n/);
+      } catch (error) {
+        // Input files may have been moved or deleted since the build
       }
+      this.fileLines.set(filePath, lines);
     }
+    return this.fileLines.get(filePath);
   }
 
   getCurrentFile() {
-    return this.sourcePaths.length > 0 ? this.sourcePaths[0] : this.texFilePath;
+    return this.sourcePaths.find((sourcePath) => sourcePath !== null) || this.texFilePath;
   }
 
   addMessage(message) {
@@ -530,6 +698,7 @@ module.exports = class LogParser {
       return;
     }
 
+    message.logPath = this.logFilePath;
     this.messages.push(message);
     this.lastMessage = message;
   }
@@ -545,6 +714,8 @@ module.exports = class LogParser {
   clear() {
     this.messages = [];
     this.sourcePaths = [];
+    this.inputFiles = [];
+    this.fileLines = new Map();
     this.lastMessage = null;
     this.outputFilePath = null;
   }
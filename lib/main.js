@@ -1,37 +1,66 @@
 const { CompositeDisposable, Disposable, File } = require("atom");
-const { spawn } = require("child_process");
 const path = require("path");
 const StatusBarView = require("./status-bar-view");
 const BuildService = require("./build-service");
+const { createServiceV1_0 } = BuildService;
 const LogParser = require("./log-parser");
+const BlgParser = require("./blg-parser");
 const LinterProvider = require("./linter-provider");
+const BuildJob = require("./build-job");
+const BuildQueue = require("./build-queue");
+const {
+  getBackend,
+  getBackendExecutable,
+  getEngine,
+  resolveDirectories,
+} = require("./build-backends");
 const ObservedFilesList = require("./observed-list");
 const ObservedFilesStatusView = require("./observed-status");
+const RecipeList = require("./recipe-list");
+const PolicyList = require("./policy-list");
+const RootList = require("./root-list");
+const BuildOutput = require("./build-output");
+const BuildOutputView = require("./build-output-view");
+const BuildHistory = require("./build-history");
+const { collectRules } = BuildHistory;
+const BuildHistoryView = require("./build-history-view");
+const BuildProgress = require("./build-progress");
+const ContinuousBuild = require("./continuous-build");
+const QuickFixes = require("./quick-fixes");
+const FollowCursor = require("./follow-cursor");
+const ReverseSync = require("./reverse-sync");
+const DependencyWatcher = require("./dependency-watcher");
+const { selectDependencies } = DependencyWatcher;
+const { SynctexCache, syncFailure, synctexView, synctexEdit } = require("./synctex");
+const { findRecipe, applyRecipe, getProjectConfigProblems } = require("./recipes");
+const { DEFAULT_POLICY, getPolicy } = require("./compile-on-save-policies");
+const {
+  PROJECT_FILE_NAME,
+  getProjectPathForFile,
+  readProjectConfig,
+  clearProjectConfigCache,
+} = require("./project-config");
 const {
-  detectEngineFromMagicComment,
+  normalizePathForTex,
+  texContentIncludesFile,
+  readFlsFiles,
+  findRootCandidatesForFile,
+} = require("./root-discovery");
+const RootIndex = require("./root-index");
+const {
+  detectMagicComments,
   detectRootFromMagicComment,
+  detectEngineFromProjectConfig,
+  detectRootsFromProjectConfig,
+  expandPlaceholders,
   matchesPattern,
   getLatexmkrcPath,
   createLatexmkrc,
 } = require("./utils");
 
-/**
- * Latexmk exit codes with descriptions
- * @see https://github.com/debian-tex/latexmk/blob/main/latexmk.pl
- */
-const LATEXMK_EXIT_CODES = {
-  10: "Bad command line arguments",
-  11: "File not found",
-  12: "Failure in making files",
-  13: "Error in initialization file",
-  20: "Probable bug in latexmk",
-};
+// Source of the in-memory settings this package sets for other packages
+const SETTINGS_SOURCE = "latex-tools";
 
-/**
- * Get a description for a latexmk exit code
- * @param {number} code - The exit code
- * @returns {string} Description of the exit code
- */
 function isPending(item) {
   if (item.isPending != null) {
     return item.isPending();
@@ -40,112 +69,6 @@ function isPending(item) {
   return pane ? pane.getPendingItem() === item : false;
 }
 
-function getExitCodeDescription(code) {
-  if (LATEXMK_EXIT_CODES[code]) {
-    return LATEXMK_EXIT_CODES[code];
-  }
-  if (code > 0) {
-    return "LaTeX compiler error";
-  }
-  return "Unknown error";
-}
-
-function normalizePathForTex(filePath) {
-  const normalizedPath = path.normalize(filePath);
-  return process.platform === "win32" ? normalizedPath.toLowerCase() : normalizedPath;
-}
-
-function hasRootDocumentMarkers(content) {
-  return (
-    /\\documentclass(?:\[[^\]]*\])?\s*\{/.test(content) || /\\begin\s*\{document\}/.test(content)
-  );
-}
-
-function resolveTexReference(baseDir, reference) {
-  const cleanReference = reference.trim().replace(/^["']|["']$/g, "");
-  if (!cleanReference) {
-    return null;
-  }
-
-  const resolvedPath = path.resolve(baseDir, cleanReference);
-  return resolvedPath.endsWith(".tex") ? resolvedPath : `${resolvedPath}.tex`;
-}
-
-function collectTexReferences(content, candidateDir) {
-  const references = [];
-  const includePattern = /\\(?:input|include|subfile)\s*\{([^}]+)\}/g;
-  const importPattern = /\\(?:sub)?import\s*\{([^}]*)\}\s*\{([^}]+)\}/g;
-  let match;
-
-  while ((match = includePattern.exec(content))) {
-    const includedPath = resolveTexReference(candidateDir, match[1]);
-    if (includedPath) {
-      references.push(includedPath);
-    }
-  }
-
-  while ((match = importPattern.exec(content))) {
-    const importDir = path.resolve(candidateDir, match[1].trim());
-    const includedPath = resolveTexReference(importDir, match[2]);
-    if (includedPath) {
-      references.push(includedPath);
-    }
-  }
-
-  return references;
-}
-
-function texContentIncludesFile(content, candidateDir, sourcePath, visited = new Set()) {
-  const fs = require("fs");
-  const normalizedSource = normalizePathForTex(sourcePath);
-  const references = collectTexReferences(content, candidateDir);
-
-  for (const includedPath of references) {
-    const normalizedIncludedPath = normalizePathForTex(includedPath);
-    if (normalizedIncludedPath === normalizedSource) {
-      return true;
-    }
-
-    if (visited.has(normalizedIncludedPath) || !fs.existsSync(includedPath)) {
-      continue;
-    }
-
-    visited.add(normalizedIncludedPath);
-    let includedContent;
-    try {
-      includedContent = fs.readFileSync(includedPath, "utf8");
-    } catch (error) {
-      continue;
-    }
-
-    if (texContentIncludesFile(includedContent, path.dirname(includedPath), sourcePath, visited)) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
-function flsContentIncludesFile(content, flsDir, sourcePath) {
-  const normalizedSource = normalizePathForTex(sourcePath);
-  const lines = content.split(/\r?\n/);
-
-  for (const line of lines) {
-    const match = line.match(/^INPUT\s+(.+)$/);
-    if (!match) {
-      continue;
-    }
-
-    const inputPath = match[1].trim();
-    const resolvedInputPath = path.isAbsolute(inputPath) ? inputPath : path.resolve(flsDir, inputPath);
-    if (normalizePathForTex(resolvedInputPath) === normalizedSource) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
 /**
  * LaTeX Tools Package
  * Provides LaTeX compilation, PDF viewing, and error parsing for Pulsar.
@@ -161,24 +84,76 @@ module.exports = {
   openExternalService: null,
   buildService: null,
   logParser: null,
+  blgParser: null,
   linterProvider: null, // Linter provider for displaying issues
+  quickFixes: null, // Rules creating linter solutions for log messages
+  synctexCache: null, // SyncTeX indexes per .synctex.gz file
+  followCursor: null, // Forward SyncTeX on cursor moves, per root file
+  reverseSync: null, // Backward SyncTeX on modifier-clicks in PDF viewers
+  rootIndex: null, // Cached root documents of source files
+  buildDirectories: null, // Cached output and aux directories of root files
+  projectCompileOnSave: null, // Files that got compile-on-save from their project file
   observedFilesList: null,
   buildStates: null, // Track build state per file
   buildProcesses: null, // Track build processes per file for interruption
+  continuousBuilds: null, // Track latexmk -pvc processes per root file
+  buildQueue: null, // Schedules builds and coalesces repeated requests
   compileOnSaveFiles: null, // Track file paths with compile-on-save enabled
+  pendingCompileOnSave: null, // Serialized compile-on-save files of projects not open
+  dependencyWatcher: null, // Recorded inputs of the roots observed by compile-on-save
+  recipeSelections: null, // Track the selected recipe name per root file
+  recipeList: null,
+  policySelections: null, // Track the compile-on-save policy chosen per root file
+  policyList: null,
+  rootSelections: null, // Track the root chosen per included file
+  rootPrompts: null, // Included files compile-on-save asked the root of
+  rootList: null,
+  buildOutput: null, // Streamed output of the last builds per root file
+  buildHistory: null, // Finished builds per root file with their timing
+  buildProgress: null, // Phase and pass of the running builds
   currentTexFile: null, // Current tex file shown in status bar (for PDF viewer support)
+  spellCheckScopes: null, // Scope selectors given the spell-check locale of a magic comment
 
   /**
    * Activates the package and registers LaTeX commands.
    * @param {Object} state - Serialized state from previous session
    */
-  activate() {
+  activate(state = {}) {
     this.subscriptions = new CompositeDisposable();
     this.buildService = new BuildService();
     this.buildService.setMainModule(this); // Set reference for API delegation
     this.logParser = new LogParser();
-    this.linterProvider = new LinterProvider();
+    this.blgParser = new BlgParser();
+    this.quickFixes = new QuickFixes();
+    this.linterProvider = new LinterProvider(this.quickFixes);
+    this.synctexCache = new SynctexCache();
+    this.rootIndex = new RootIndex();
+    this.rootIndex.watch();
+    // Dropped on the same changes as the roots: settings, project files and the root file
+    this.buildDirectories = new RootIndex();
+    this.buildDirectories.watch();
+    this.followCursor = new FollowCursor({
+      getRootPath: (filePath) => this.getRootFilePath(filePath) || filePath,
+      sync: (filePath, line, column) => this.followCursorSync(filePath, line, column),
+    });
+    this.reverseSync = new ReverseSync({
+      sync: (pdfPath, page, x, y) => this.reverseSyncToSource(pdfPath, page, x, y),
+    });
+    this.dependencyWatcher = new DependencyWatcher({
+      onDidChange: (rootPath) => {
+        // Changes of dependencies are external changes
+        if (this.getCompileOnSavePolicy(rootPath) !== "save") {
+          this.compileFilePath(rootPath);
+        }
+      },
+    });
     this.observedFilesList = new ObservedFilesList(this);
+    this.recipeList = new RecipeList(this);
+    this.policyList = new PolicyList(this);
+    this.rootList = new RootList(this);
+    this.buildOutput = new BuildOutput();
+    this.buildHistory = new BuildHistory(state.buildHistory);
+    this.buildProgress = new BuildProgress();
     this.observedFilesStatusView = new ObservedFilesStatusView({
       onOpenObservedFiles: () => this.showObservedFiles(),
       onClearObservedFiles: () => this.clearCompileOnSaveFiles(),
@@ -188,10 +163,29 @@ module.exports = {
       onOpenPdf: () => this.openPdfFromStatusBar(),
       onKillAndClean: () => this.killAndCleanFromStatusBar(),
       onToggleCompileOnSave: () => this.toggleCompileOnSave(),
+      onToggleFollowCursor: () => this.toggleFollowCursor(),
     });
     this.buildStates = new Map(); // Initialize build states tracking
     this.buildProcesses = new Map(); // Initialize build processes tracking
+    this.continuousBuilds = new Map(); // Initialize continuous mode tracking
+    this.buildQueue = new BuildQueue((rootPath) => this.startCompilation(rootPath));
+    this.subscriptions.add(
+      this.buildQueue.onDidQueueBuild(({ rootPath, building }) =>
+        this.handleQueuedBuild(rootPath, building),
+      ),
+      this.buildQueue.onDidCancelBuild(({ rootPath }) => this.handleCancelledBuild(rootPath)),
+      this.buildQueue.onDidFailToStart(({ rootPath, error }) =>
+        this.handleFailedStart(rootPath, error),
+      ),
+    );
     this.compileOnSaveFiles = new Map(); // Initialize compile-on-save tracking
+    this.projectCompileOnSave = new Set();
+    this.recipeSelections = new Map(Object.entries(state.recipeSelections || {}));
+    this.rootSelections = new Map(Object.entries(state.rootSelections || {}));
+    this.rootPrompts = new Set();
+    this.spellCheckScopes = new Set();
+    this.policySelections = new Map(Object.entries(state.compileOnSavePolicies || {}));
+    this.pendingCompileOnSave = { ...state.compileOnSave };
 
     // Register commands
     this.subscriptions.add(
@@ -205,12 +199,59 @@ module.exports = {
         "latex-tools:interrupt-all": () => this.interruptAll(),
         "latex-tools:kill-and-clean": () => this.killAndClean(),
         "latex-tools:toggle-compile-on-save": () => this.toggleCompileOnSave(),
+        "latex-tools:select-compile-on-save-policy": () => this.selectCompileOnSavePolicy(),
         "latex-tools:synctex": () => this.synctex(),
+        "latex-tools:toggle-follow-cursor": () => this.toggleFollowCursor(),
+        "latex-tools:select-recipe": () => this.selectRecipe(),
+        "latex-tools:choose-root": () => this.chooseRoot(),
+        "latex-tools:toggle-continuous-mode": () => this.toggleContinuousMode(),
+      }),
+      atom.workspace.addOpener((uri) => {
+        if (uri === BuildOutputView.BUILD_OUTPUT_URI) {
+          return new BuildOutputView(this.buildOutput);
+        }
+        if (uri === BuildHistoryView.BUILD_HISTORY_URI) {
+          return new BuildHistoryView(this.buildHistory);
+        }
       }),
       atom.commands.add("atom-workspace", {
+        "latex-tools:toggle-build-output": () =>
+          atom.workspace.toggle(BuildOutputView.BUILD_OUTPUT_URI),
+        "latex-tools:build-history": () =>
+          atom.workspace.open(BuildHistoryView.BUILD_HISTORY_URI, { searchAllPanes: true }),
         "latex-tools:global-rc": () => this.openLatexmkrc(),
         "latex-tools:observed-files": () => this.showObservedFiles(),
         "latex-tools:clear-all-observed-files": () => this.clearCompileOnSaveFiles(),
+        "latex-tools:clean-linter-all": () => this.cleanLinterAll(),
+        "latex-tools:rebuild-root-index": () => this.rebuildRootIndex(),
+      }),
+      // Stop continuous mode when the last editor of its document is closed
+      atom.workspace.onDidDestroyPaneItem(({ item }) => {
+        if (atom.workspace.isTextEditor(item) && this.continuousBuilds.size > 0) {
+          this.stopOrphanedContinuousBuilds();
+        }
+      }),
+      atom.workspace.observeActiveTextEditor((editor) => this.followCursor.observeEditor(editor)),
+      // Project files are reloaded when they change and may enable compile-on-save
+      atom.workspace.observeTextEditors((editor) => this.applyProjectCompileOnSave(editor)),
+      atom.workspace.observeTextEditors((editor) => this.observeMagicComments(editor)),
+      atom.workspace.observeTextEditors((editor) => this.observeCompileOnSaveEditor(editor)),
+      atom.project.onDidChangeFiles((events) => this.handleProjectConfigChanges(events)),
+      // Observations of a project come back when the project is opened again
+      atom.project.onDidChangePaths(() => this.restoreCompileOnSave()),
+      atom.config.onDidChange("latex-tools.watchDependencies", () => this.refreshAllDependencies()),
+      // Phases of running builds are read from their streamed output
+      this.buildOutput.onDidAppendLines(({ rootPath, lines }) =>
+        this.buildProgress.handleLines(rootPath, lines),
+      ),
+      this.buildOutput.onDidFinishBuild(({ rootPath }) => this.buildProgress.finish(rootPath)),
+      this.buildProgress.onDidChange(({ rootPath, phase, pass }) =>
+        this.handleBuildProgress(rootPath, phase, pass),
+      ),
+      this.followCursor.onDidChange(({ rootPath, enabled }) => {
+        if (rootPath === this.currentTexFile) {
+          this.statusBarView.setFollowCursor(enabled);
+        }
       }),
       // Track active pane item changes (text editors and PDF viewers)
       atom.workspace.getCenter().observeActivePaneItem((item) => {
@@ -219,28 +260,48 @@ module.exports = {
         } else if (item.filePath && item.filePath.endsWith(".pdf")) {
           // PDF viewer - show status bar if adjacent .tex exists
           this.updateStatusBarVisibility(item, "pdf");
+          if (this.findTexFileForPdf(item.filePath)) {
+            this.reverseSync.attach(item);
+          }
         } else if (atom.workspace.isTextEditor(item)) {
           // Text editor - show status bar if .tex file
           this.updateStatusBarVisibility(item, "editor");
+          this.applySpellCheckLocale(item);
         } else {
           this.statusBarView.hide();
         }
       }),
     );
+
+    this.restoreCompileOnSave();
   },
 
   /**
    * Deactivates the package and cleans up resources.
    */
   deactivate() {
+    // Drop waiting builds before killing the running ones
+    if (this.buildQueue) {
+      this.buildQueue.destroy();
+      this.buildQueue = null;
+    }
+
     // Kill all running build processes
     if (this.buildProcesses) {
       for (const processInfo of this.buildProcesses.values()) {
-        this.killProcess(processInfo.process);
+        this.killProcess(processInfo.job);
       }
       this.buildProcesses.clear();
     }
 
+    // Stop all latexmk -pvc processes
+    if (this.continuousBuilds) {
+      for (const continuousBuild of this.continuousBuilds.values()) {
+        continuousBuild.stop();
+      }
+      this.continuousBuilds.clear();
+    }
+
     // Clean up compile-on-save observers
     if (this.compileOnSaveFiles) {
       for (const info of this.compileOnSaveFiles.values()) {
@@ -272,14 +333,87 @@ module.exports = {
     if (this.buildService) {
       this.buildService.destroy();
     }
+    if (this.synctexCache) {
+      this.synctexCache.clear();
+      this.synctexCache = null;
+    }
+    if (this.followCursor) {
+      this.followCursor.destroy();
+      this.followCursor = null;
+    }
+    if (this.reverseSync) {
+      this.reverseSync.destroy();
+      this.reverseSync = null;
+    }
+    if (this.dependencyWatcher) {
+      this.dependencyWatcher.destroy();
+      this.dependencyWatcher = null;
+    }
+    if (this.rootIndex) {
+      this.rootIndex.destroy();
+      this.rootIndex = null;
+    }
+    if (this.buildDirectories) {
+      this.buildDirectories.destroy();
+      this.buildDirectories = null;
+    }
+    if (this.spellCheckScopes) {
+      for (const scopeSelector of this.spellCheckScopes) {
+        atom.config.unset("spell-check.locales", { scopeSelector, source: SETTINGS_SOURCE });
+      }
+      this.spellCheckScopes = null;
+    }
+    clearProjectConfigCache();
     if (this.observedFilesList) {
       this.observedFilesList.destroy();
       this.observedFilesList = null;
     }
+    if (this.recipeList) {
+      this.recipeList.destroy();
+      this.recipeList = null;
+    }
+    if (this.rootList) {
+      this.rootList.destroy();
+      this.rootList = null;
+    }
+    if (this.policyList) {
+      this.policyList.destroy();
+      this.policyList = null;
+    }
+    if (this.buildOutput) {
+      const outputItem = atom.workspace
+        .paneForURI(BuildOutputView.BUILD_OUTPUT_URI)
+        ?.itemForURI(BuildOutputView.BUILD_OUTPUT_URI);
+      if (outputItem) {
+        outputItem.destroy();
+      }
+      this.buildOutput.destroy();
+      this.buildOutput = null;
+    }
+    if (this.buildHistory) {
+      const historyItem = atom.workspace
+        .paneForURI(BuildHistoryView.BUILD_HISTORY_URI)
+        ?.itemForURI(BuildHistoryView.BUILD_HISTORY_URI);
+      if (historyItem) {
+        historyItem.destroy();
+      }
+      this.buildHistory.destroy();
+      this.buildHistory = null;
+    }
+    if (this.buildProgress) {
+      this.buildProgress.destroy();
+      this.buildProgress = null;
+    }
   },
 
   serialize() {
-    return {};
+    return {
+      recipeSelections: Object.fromEntries(this.recipeSelections),
+      rootSelections: Object.fromEntries(this.rootSelections),
+      compileOnSavePolicies: Object.fromEntries(this.policySelections),
+      compileOnSave: this.serializeCompileOnSave(),
+      buildHistory: this.buildHistory.serialize(),
+    };
   },
 
   consumeStatusBar(statusBar) {
@@ -309,7 +443,14 @@ module.exports = {
 
   provideLatexTools() {
     if (atom.config.get("latex-tools.debug")) {
-      console.log("[LaTeX Tools] Providing latex-tools service");
+      console.log("[LaTeX Tools] Providing latex-tools service 1.0.0");
+    }
+    return createServiceV1_0(this.buildService);
+  },
+
+  provideLatexToolsV1_1() {
+    if (atom.config.get("latex-tools.debug")) {
+      console.log("[LaTeX Tools] Providing latex-tools service 1.1.0");
     }
     return this.buildService;
   },
@@ -334,7 +475,6 @@ module.exports = {
       return;
     }
 
-    const fs = require("fs");
     let filePath = null;
     let editor = null;
 
@@ -346,8 +486,8 @@ module.exports = {
       }
       editor = item;
     } else if (type === "pdf") {
-      const texFilePath = item.filePath.replace(/\.pdf$/, ".tex");
-      if (!fs.existsSync(texFilePath)) {
+      const texFilePath = this.findTexFileForPdf(item.filePath);
+      if (!texFilePath) {
         this.statusBarView.hide();
         return;
       }
@@ -393,13 +533,61 @@ module.exports = {
       // Normal status update
       this.statusBarView.setStatus(buildState.status, buildState.message);
     }
+    if (buildState.status === "building") {
+      this.statusBarView.setProgress(this.buildProgress.get(rootPath));
+    }
 
     // Update compile-on-save indicator for the displayed source file.
     this.statusBarView.setCompileOnSave(this.isCompileOnSaveEnabledForFile(filePath));
+    this.statusBarView.setContinuous(this.continuousBuilds.has(rootPath));
+    this.statusBarView.setFollowCursor(this.followCursor.isEnabled(rootPath));
+    this.statusBarView.setRootPath(rootPath);
 
     this.statusBarView.show();
   },
 
+  /**
+   * Find the root .tex file that produces a PDF.
+   * Checks the adjacent .tex file, known roots and the parents of the PDF
+   * directory, so PDFs written to an output directory are recognized.
+   * @param {string} pdfPath - Path to the .pdf file
+   * @returns {string|null} Root .tex file path, or null if none was found
+   */
+  findTexFileForPdf(pdfPath) {
+    const fs = require("fs");
+    const baseName = path.basename(pdfPath, ".pdf");
+    const adjacentTexPath = pdfPath.replace(/\.pdf$/, ".tex");
+    const candidates = [adjacentTexPath, ...this.buildStates.keys()];
+
+    for (const editor of atom.workspace.getTextEditors()) {
+      const editorPath = editor.getPath();
+      if (editorPath && editorPath.endsWith(".tex")) {
+        candidates.push(this.getRootFilePath(editorPath) || editorPath);
+      }
+    }
+
+    // Output directories below the root file, e.g. {root}/build/pdf
+    let parentDir = path.dirname(pdfPath);
+    for (let depth = 0; depth < 3; depth++) {
+      parentDir = path.dirname(parentDir);
+      candidates.push(path.join(parentDir, `${baseName}.tex`));
+    }
+
+    const normalizedPdfPath = normalizePathForTex(pdfPath);
+    for (const candidate of candidates) {
+      if (path.basename(candidate, ".tex") !== baseName || !fs.existsSync(candidate)) {
+        continue;
+      }
+      if (
+        normalizePathForTex(this.getArtifactPathForRoot(candidate, "pdf")) === normalizedPdfPath
+      ) {
+        return candidate;
+      }
+    }
+
+    return fs.existsSync(adjacentTexPath) ? adjacentTexPath : null;
+  },
+
   setBuildState(filePath, status, message = "", timerInfo = {}) {
     // Store build state for a specific file
     const existingState = this.buildStates.get(filePath) || {};
@@ -447,9 +635,8 @@ module.exports = {
     return this.currentTexFile === rootPath;
   },
 
-  parseLogFile(filePath) {
+  parseLogFile(filePath, logPath = this.getArtifactPathForRoot(filePath, "log")) {
     const fs = require("fs");
-    const logPath = filePath.replace(/\.tex$/, ".log");
 
     if (!fs.existsSync(logPath)) {
       if (atom.config.get("latex-tools.debug")) {
@@ -457,22 +644,21 @@ module.exports = {
       }
       // Clear linter messages if no log file
       if (this.linterProvider) {
-        this.linterProvider.clearMessages();
+        this.linterProvider.clearMessages(filePath);
       }
       // Emit empty messages update
       if (this.buildService) {
         this.buildService.updateMessages(filePath, []);
       }
-      return;
+      return [];
     }
 
     try {
-      const logContent = fs.readFileSync(logPath, "utf8");
-      const messages = this.logParser.parse(logContent, filePath);
+      const messages = this.readLogMessages(filePath, logPath);
 
       // Send messages to linter
       if (this.linterProvider) {
-        this.linterProvider.setMessages(messages);
+        this.linterProvider.setMessages(filePath, messages);
       }
 
       // Emit messages update event
@@ -485,11 +671,33 @@ module.exports = {
       if (atom.config.get("latex-tools.debug")) {
         console.log(`[LaTeX Tools] Parsed log file:`, stats);
       }
+      return messages;
     } catch (error) {
       if (atom.config.get("latex-tools.debug")) {
         console.error("[LaTeX Tools] Failed to parse log file:", error);
       }
+      return [];
+    }
+  },
+
+  /**
+   * Parse the TeX log of a root file together with the bibtex or biber log
+   * (.blg) of its last bibliography run.
+   * @param {string} filePath - Path to the root .tex file
+   * @param {string} logPath - Path to the .log file
+   * @returns {Array} TeX log messages followed by bibliography messages
+   */
+  readLogMessages(filePath, logPath) {
+    const fs = require("fs");
+    const messages = this.logParser.parse(fs.readFileSync(logPath, "utf8"), filePath, logPath);
+
+    const blgPath = this.getArtifactPathForRoot(filePath, "blg");
+    if (fs.existsSync(blgPath)) {
+      const blgContent = fs.readFileSync(blgPath, "utf8");
+      messages.push(...this.blgParser.parse(blgContent, filePath, blgPath));
     }
+
+    return messages;
   },
 
   checkBuildStatus(filePath) {
@@ -655,11 +863,38 @@ module.exports = {
     this._openPdfExternalDirect(pdfPath);
   },
 
-  cleanLinter() {
+  /**
+   * Clear the linter messages of a root document.
+   * @param {string} [rootPath] - Path to the root .tex file, defaults to the root of the active editor
+   */
+  cleanLinter(rootPath = null) {
+    if (!rootPath) {
+      const filePath = atom.workspace.getActiveTextEditor()?.getPath();
+      rootPath = filePath ? this.getRootFilePath(filePath) : null;
+    }
+
+    if (this.linterProvider && rootPath) {
+      this.linterProvider.clearMessages(rootPath);
+      if (atom.config.get("latex-tools.debug")) {
+        console.log(`[LaTeX Tools] Linter messages cleared for ${path.basename(rootPath)}`);
+      }
+    }
+  },
+
+  /**
+   * Add a rule creating linter solutions (API method).
+   * @param {Object} rule - { name: string, match: RegExp, solutions: Function }
+   * @returns {Disposable} Removes the rule
+   */
+  addQuickFixRule(rule) {
+    return this.quickFixes.addRule(rule);
+  },
+
+  cleanLinterAll() {
     if (this.linterProvider) {
-      this.linterProvider.clearMessages();
+      this.linterProvider.clearAllMessages();
       if (atom.config.get("latex-tools.debug")) {
-        console.log("[LaTeX Tools] Linter messages cleared");
+        console.log("[LaTeX Tools] All linter messages cleared");
       }
     }
   },
@@ -705,33 +940,173 @@ module.exports = {
   },
 
   clearCompileOnSaveFiles() {
-    const count = this.compileOnSaveFiles.size;
+    // Pinned files survive clearing
+    const cleared = Array.from(this.compileOnSaveFiles).filter(([, info]) => !info.pinned);
+    const count = cleared.length;
     if (count === 0) {
       return false;
     }
 
-    for (const info of this.compileOnSaveFiles.values()) {
+    for (const [key, info] of cleared) {
       if (info.disposable) {
         info.disposable.dispose();
       }
       if (info.timeout) {
         clearTimeout(info.timeout);
       }
+      this.compileOnSaveFiles.delete(key);
     }
 
-    this.compileOnSaveFiles.clear();
     this.updateObservedFilesStatus();
+    this.refreshAllDependencies();
     if (this.observedFilesList) {
       this.observedFilesList.update();
     }
     if (this.statusBarView) {
-      this.statusBarView.setCompileOnSave(false);
+      const activePath = atom.workspace.getActiveTextEditor()?.getPath();
+      this.statusBarView.setCompileOnSave(this.isCompileOnSaveEnabledForFile(activePath));
+    }
+
+    const pinned = this.compileOnSaveFiles.size;
+    atom.notifications.addInfo(`Cleared ${count} observed file${count === 1 ? "" : "s"}`, {
+      detail:
+        pinned > 0
+          ? `${pinned} pinned file${pinned === 1 ? " is" : "s are"} still observed.`
+          : undefined,
+    });
+    return true;
+  },
+
+  /**
+   * Watch the recorded inputs of a root while one of its files is observed
+   * by compile-on-save and dependency watching is on. The inputs come from
+   * the .fls file of the last build; without one the watched files are kept.
+   * @param {string} rootPath - Path to the root .tex file
+   */
+  refreshDependencies(rootPath) {
+    const fs = require("fs");
+
+    const observed =
+      atom.config.get("latex-tools.watchDependencies") &&
+      this.getCompileOnSaveFiles().some(
+        (filePath) => (this.getRootFilePath(filePath) || filePath) === rootPath,
+      );
+    if (!observed) {
+      this.dependencyWatcher.remove(rootPath);
+      return;
+    }
+
+    const context = this.createBuildContext(rootPath);
+    const flsPath = getBackend(context.backendName).getArtifactPath(context, "fls");
+    let content;
+    try {
+      content = fs.readFileSync(flsPath, "utf8");
+    } catch (error) {
+      return;
+    }
+
+    // Observed files start their own builds
+    const dependencies = selectDependencies(readFlsFiles(content, context.fileDir), {
+      rootPath,
+      buildDirs: [context.outDir, context.auxDir],
+      projectPaths: atom.project.getPaths(),
+    }).filter((dependency) => !this.isCompileOnSaveEnabledForFile(dependency));
+    this.dependencyWatcher.watch(rootPath, dependencies);
+  },
+
+  // Refresh the watched roots and the roots of all observed files
+  refreshAllDependencies() {
+    const rootPaths = new Set(this.dependencyWatcher.getRootPaths());
+    for (const filePath of this.getCompileOnSaveFiles()) {
+      rootPaths.add(this.getRootFilePath(filePath) || filePath);
+    }
+    for (const rootPath of rootPaths) {
+      this.refreshDependencies(rootPath);
+    }
+  },
+
+  /**
+   * Pin or unpin an observed file. Pinned files are kept when all observed
+   * files are cleared.
+   * @param {string} filePath - Path to an observed .tex file
+   * @param {boolean} pinned - Whether to pin the file
+   * @returns {boolean} True if the file is observed
+   */
+  setCompileOnSavePinned(filePath, pinned) {
+    const info = filePath && this.compileOnSaveFiles.get(this.getCompileOnSaveKey(filePath));
+    if (!info) {
+      return false;
     }
 
-    atom.notifications.addInfo(`Cleared ${count} observed file${count === 1 ? "" : "s"}`);
+    info.pinned = pinned;
     return true;
   },
 
+  isCompileOnSavePinned(filePath) {
+    const info = filePath && this.compileOnSaveFiles.get(this.getCompileOnSaveKey(filePath));
+    return Boolean(info?.pinned);
+  },
+
+  /**
+   * Group the observed files by project with the root each resolved to.
+   * Files of projects that are not open are passed on unchanged.
+   * @returns {Object} Project path ("" outside projects) -> [{ filePath, rootPath, pinned }]
+   */
+  serializeCompileOnSave() {
+    const projects = { ...this.pendingCompileOnSave };
+    for (const info of this.compileOnSaveFiles.values()) {
+      const projectPath = getProjectPathForFile(info.filePath) || "";
+      if (!projects[projectPath]) {
+        projects[projectPath] = [];
+      }
+      projects[projectPath].push({
+        filePath: info.filePath,
+        rootPath: this.getRootFilePath(info.filePath),
+        pinned: info.pinned,
+      });
+    }
+    return projects;
+  },
+
+  /**
+   * Observe again the files of the open projects that were observed in the
+   * last session, skipping files that no longer exist. A file included by
+   * several documents keeps building the root it resolved to.
+   */
+  restoreCompileOnSave() {
+    const fs = require("fs");
+    const projectPaths = atom.project.getPaths().map((projectPath) => path.resolve(projectPath));
+
+    for (const [projectPath, entries] of Object.entries(this.pendingCompileOnSave)) {
+      if (projectPath && !projectPaths.includes(projectPath)) {
+        continue;
+      }
+      delete this.pendingCompileOnSave[projectPath];
+
+      for (const { filePath, rootPath, pinned } of Array.isArray(entries) ? entries : []) {
+        if (!filePath || !fs.existsSync(filePath)) {
+          if (atom.config.get("latex-tools.debug")) {
+            console.log(`[LaTeX Tools] Not observing missing file ${filePath} again`);
+          }
+          continue;
+        }
+
+        // Restore the root first: observing the file watches the dependencies of its root
+        const key = this.getCompileOnSaveKey(filePath);
+        if (rootPath && !this.rootSelections.has(key) && fs.existsSync(rootPath)) {
+          const { candidates } = this.resolveTexRootInfo(filePath);
+          if (candidates.includes(rootPath)) {
+            this.rootSelections.set(key, rootPath);
+            this.rootIndex.invalidate(filePath);
+          }
+        }
+
+        this.setCompileOnSaveForFile(filePath, true);
+        this.setCompileOnSavePinned(filePath, Boolean(pinned));
+      }
+    }
+  },
+
   clean() {
     const editor = atom.workspace.getActiveTextEditor();
     if (!editor) {
@@ -758,8 +1133,11 @@ module.exports = {
     const fileDir = path.dirname(filePath);
     const baseName = path.basename(filePath, ".tex");
 
-    // Get auxiliary file extensions/patterns from config
-    const cleanPatterns = atom.config.get("latex-tools.cleanExtensions") || [];
+    // Get auxiliary file extensions/patterns from the project file or config
+    const cleanPatterns =
+      readProjectConfig(filePath).cleanPatterns ||
+      atom.config.get("latex-tools.cleanExtensions") ||
+      [];
 
     if (cleanPatterns.length === 0) {
       atom.notifications.addWarning("No auxiliary file extensions configured", {
@@ -772,62 +1150,74 @@ module.exports = {
     let deletedFiles = [];
     let failedFiles = [];
 
-    // Read all files in the directory
-    let allFiles;
-    try {
-      allFiles = fs.readdirSync(fileDir);
-    } catch (error) {
-      atom.notifications.addError("Failed to read directory", {
-        detail: error.message,
-        dismissable: true,
-      });
-      return;
-    }
-
-    // Process each pattern
-    for (const pattern of cleanPatterns) {
-      // Check if pattern contains wildcards
-      const hasWildcard = pattern.includes("*") || pattern.includes("?");
+    // Auxiliary files may live next to the root file, in the aux directory and
+    // (for outputs like synctex.gz) in the output directory
+    const cleanDirs = [
+      path.dirname(this.getArtifactPathForRoot(filePath, "log")),
+      path.dirname(this.getArtifactPathForRoot(filePath, "pdf")),
+      fileDir,
+    ].filter((dir, index, dirs) => dirs.indexOf(dir) === index && fs.existsSync(dir));
+
+    for (const cleanDir of cleanDirs) {
+      // Read all files in the directory
+      let allFiles;
+      try {
+        allFiles = fs.readdirSync(cleanDir);
+      } catch (error) {
+        atom.notifications.addError("Failed to read directory", {
+          detail: error.message,
+          dismissable: true,
+        });
+        return;
+      }
 
-      if (hasWildcard) {
-        // Pattern matching with wildcards
-        for (const file of allFiles) {
-          if (matchesPattern(file, pattern, baseName)) {
-            const fullPath = path.join(fileDir, file);
-            try {
-              // Don't delete the .tex or .pdf files
-              if (!file.endsWith(".tex") && !file.endsWith(".pdf")) {
-                fs.unlinkSync(fullPath);
-                deletedFiles.push(file);
+      const displayName = (file) => path.relative(fileDir, path.join(cleanDir, file));
+
+      // Process each pattern
+      for (const pattern of cleanPatterns) {
+        // Check if pattern contains wildcards
+        const hasWildcard = pattern.includes("*") || pattern.includes("?");
+
+        if (hasWildcard) {
+          // Pattern matching with wildcards
+          for (const file of allFiles) {
+            if (matchesPattern(file, pattern, baseName)) {
+              const fullPath = path.join(cleanDir, file);
+              try {
+                // Don't delete the .tex or .pdf files
+                if (!file.endsWith(".tex") && !file.endsWith(".pdf")) {
+                  fs.unlinkSync(fullPath);
+                  deletedFiles.push(displayName(file));
+                  if (atom.config.get("latex-tools.debug")) {
+                    console.log(`[LaTeX Tools] Deleted: ${fullPath}`);
+                  }
+                }
+              } catch (error) {
+                failedFiles.push(displayName(file));
                 if (atom.config.get("latex-tools.debug")) {
-                  console.log(`[LaTeX Tools] Deleted: ${fullPath}`);
+                  console.error(`[LaTeX Tools] Failed to delete ${fullPath}:`, error);
                 }
               }
+            }
+          }
+        } else {
+          // Simple extension matching (legacy behavior)
+          const auxFile = path.join(cleanDir, `${baseName}.${pattern}`);
+          if (fs.existsSync(auxFile)) {
+            try {
+              fs.unlinkSync(auxFile);
+              deletedFiles.push(displayName(`${baseName}.${pattern}`));
+              if (atom.config.get("latex-tools.debug")) {
+                console.log(`[LaTeX Tools] Deleted: ${auxFile}`);
+              }
             } catch (error) {
-              failedFiles.push(file);
+              failedFiles.push(displayName(`${baseName}.${pattern}`));
               if (atom.config.get("latex-tools.debug")) {
-                console.error(`[LaTeX Tools] Failed to delete ${fullPath}:`, error);
+                console.error(`[LaTeX Tools] Failed to delete ${auxFile}:`, error);
               }
             }
           }
         }
-      } else {
-        // Simple extension matching (legacy behavior)
-        const auxFile = path.join(fileDir, `${baseName}.${pattern}`);
-        if (fs.existsSync(auxFile)) {
-          try {
-            fs.unlinkSync(auxFile);
-            deletedFiles.push(`${baseName}.${pattern}`);
-            if (atom.config.get("latex-tools.debug")) {
-              console.log(`[LaTeX Tools] Deleted: ${auxFile}`);
-            }
-          } catch (error) {
-            failedFiles.push(`${baseName}.${pattern}`);
-            if (atom.config.get("latex-tools.debug")) {
-              console.error(`[LaTeX Tools] Failed to delete ${auxFile}:`, error);
-            }
-          }
-        }
       }
     }
 
@@ -849,7 +1239,7 @@ module.exports = {
     }
 
     // Clear linter messages
-    this.cleanLinter();
+    this.cleanLinter(filePath);
 
     // Reset build state and status bar to idle
     this.setBuildState(filePath, "idle");
@@ -858,29 +1248,11 @@ module.exports = {
     }
   },
 
-  killProcess(childProcess) {
-    if (!childProcess) return;
+  killProcess(job) {
+    if (!job) return;
 
-    // Kill the process tree (especially important on Windows)
-    if (process.platform === "win32") {
-      // On Windows, use taskkill to kill the entire process tree
-      const taskkill = spawn("taskkill", ["/pid", childProcess.pid.toString(), "/T", "/F"]);
-      taskkill.on("exit", () => {
-        if (atom.config.get("latex-tools.debug")) {
-          console.log(`[LaTeX Tools] Process tree killed for PID ${childProcess.pid}`);
-        }
-      });
-    } else {
-      // On Unix-like systems, kill the process group
-      try {
-        process.kill(-childProcess.pid, "SIGTERM");
-      } catch (error) {
-        if (atom.config.get("latex-tools.debug")) {
-          console.error("[LaTeX Tools] Failed to kill process group:", error);
-        }
-        childProcess.kill("SIGTERM");
-      }
-    }
+    // The job kills the process tree of its running step
+    job.kill();
   },
 
   interrupt() {
@@ -902,16 +1274,26 @@ module.exports = {
     }
 
     const rootPath = this.getRootFilePath(filePath) || filePath;
+    if (this.stopContinuousMode(rootPath)) {
+      atom.notifications.addInfo(`Continuous mode stopped for ${path.basename(rootPath)}`);
+      return;
+    }
+
+    const wasQueued = this.buildQueue.cancel(rootPath);
     const processInfo = this.buildProcesses.get(rootPath);
     if (!processInfo) {
-      atom.notifications.addInfo("No build process running for this file");
+      if (wasQueued) {
+        atom.notifications.addInfo(`Queued build cancelled for ${path.basename(rootPath)}`);
+      } else {
+        atom.notifications.addInfo("No build process running for this file");
+      }
       return;
     }
 
     const fileName = path.basename(rootPath);
 
     // Kill the process
-    this.killProcess(processInfo.process);
+    this.killProcess(processInfo.job);
 
     // Remove from tracking
     this.buildProcesses.delete(rootPath);
@@ -926,7 +1308,7 @@ module.exports = {
     }
 
     // Clear linter messages
-    this.cleanLinter();
+    this.cleanLinter(rootPath);
 
     if (atom.config.get("latex-tools.debug")) {
       console.log(`[LaTeX Tools] Build process interrupted for ${fileName}`);
@@ -934,7 +1316,24 @@ module.exports = {
   },
 
   interruptAll() {
+    const continuousCount = this.stopAllContinuousModes();
+    if (continuousCount > 0) {
+      atom.notifications.addInfo(
+        `Stopped continuous mode for ${continuousCount} document${continuousCount === 1 ? "" : "s"}`,
+      );
+    }
+
+    const queuedCount = this.buildQueue.cancelAll();
     if (this.buildProcesses.size === 0) {
+      if (continuousCount > 0) {
+        return;
+      }
+      if (queuedCount > 0) {
+        atom.notifications.addInfo(
+          `Cancelled ${queuedCount} queued build${queuedCount === 1 ? "" : "s"}`,
+        );
+        return;
+      }
       atom.notifications.addInfo("No build processes running");
       return;
     }
@@ -948,7 +1347,7 @@ module.exports = {
       fileNames.push(fileName);
 
       // Kill the process
-      this.killProcess(processInfo.process);
+      this.killProcess(processInfo.job);
 
       // Update status
       this.setBuildState(filePath, "idle", "Build interrupted");
@@ -958,6 +1357,9 @@ module.exports = {
         this.buildService.failBuild(filePath, "Build interrupted by user", "");
       }
 
+      // Clear linter messages
+      this.cleanLinter(filePath);
+
       if (atom.config.get("latex-tools.debug")) {
         console.log(`[LaTeX Tools] Build process interrupted for ${fileName}`);
       }
@@ -975,9 +1377,6 @@ module.exports = {
       }
     }
 
-    // Clear linter messages
-    this.cleanLinter();
-
     atom.notifications.addWarning(`Interrupted ${count} build process(es)`, {
       detail: fileNames.join("\n"),
     });
@@ -1003,12 +1402,14 @@ module.exports = {
 
     // First, interrupt any running build for this file
     const rootPath = this.getRootFilePath(filePath) || filePath;
+    this.stopContinuousMode(rootPath);
+    this.buildQueue.cancel(rootPath);
     const processInfo = this.buildProcesses.get(rootPath);
     if (processInfo) {
       const fileName = path.basename(rootPath);
 
       // Kill the process
-      this.killProcess(processInfo.process);
+      this.killProcess(processInfo.job);
 
       // Remove from tracking
       this.buildProcesses.delete(rootPath);
@@ -1123,22 +1524,72 @@ module.exports = {
   compileFilePath(filePath) {
     if (!filePath || !filePath.endsWith(".tex")) return;
 
-    const rootPath = this.getRootFilePath(filePath) || filePath;
-
-    if (this.checkBuildStatus(rootPath)) {
-      if (atom.config.get("latex-tools.debug")) {
-        console.log(
-          `[LaTeX Tools] Skipping compile-on-save, build already in progress for ${path.basename(
-            rootPath,
-          )}`,
-        );
-      }
+    // Saves do not guess the document of a file included by several ones
+    const { rootPath, candidates } = this.resolveTexRootInfo(filePath);
+    if (candidates.length > 1) {
+      this.promptRootForCompileOnSave(filePath, candidates);
       return;
     }
 
+    if (this.continuousBuilds.has(rootPath)) {
+      // latexmk -pvc picks up the change itself
+      return;
+    }
+
+    // A save during a running build queues one more build of the root
     this.runCompilation(rootPath);
   },
 
+  /**
+   * Ask once for the root document of an observed file included by several
+   * documents; its saves are not built until one is chosen.
+   * @param {string} filePath - Path to the saved .tex file
+   * @param {Array<string>} candidates - Root .tex paths including the file
+   */
+  promptRootForCompileOnSave(filePath, candidates) {
+    const key = this.getCompileOnSaveKey(filePath);
+    if (this.rootPrompts.has(key)) {
+      if (atom.config.get("latex-tools.debug")) {
+        console.log(`[LaTeX Tools] No root chosen for ${filePath}, skipping build`);
+      }
+      return;
+    }
+    this.rootPrompts.add(key);
+
+    const notification = atom.notifications.addWarning(
+      `${path.basename(filePath)} is included by several documents`,
+      {
+        description: "Choose the root document to build the file with when it is saved.",
+        dismissable: true,
+        buttons: [
+          {
+            text: "Choose root document",
+            onDidClick: () => {
+              notification.dismiss();
+              this.rootList.show(filePath, candidates, () => this.compileFilePath(filePath));
+            },
+          },
+        ],
+      },
+    );
+  },
+
+  /**
+   * Resolve the root document a user action builds a file with, showing the
+   * root list first when the file is included by several documents.
+   * @param {string} filePath - Path to a .tex file
+   * @param {Function} onDidChoose - Called once a root was chosen in the list
+   * @returns {string|null} Root .tex path, or null while the root list is shown
+   */
+  resolveBuildRoot(filePath, onDidChoose) {
+    const { rootPath, candidates } = this.resolveTexRootInfo(filePath);
+    if (candidates.length > 1) {
+      this.rootList.show(filePath, candidates, onDidChoose);
+      return null;
+    }
+    return rootPath || filePath;
+  },
+
   // Status bar click handlers - work with both text editors and PDF viewers
   compileFromStatusBar() {
     const editor = atom.workspace.getActiveTextEditor();
@@ -1149,7 +1600,12 @@ module.exports = {
       this.compile();
     } else if (this.currentTexFile) {
       // PDF viewer or other item - use tracked tex file
-      const rootPath = this.getRootFilePath(this.currentTexFile) || this.currentTexFile;
+      const rootPath = this.resolveBuildRoot(this.currentTexFile, () =>
+        this.compileFromStatusBar(),
+      );
+      if (!rootPath) {
+        return;
+      }
       if (this.checkBuildStatus(rootPath)) {
         atom.notifications.addWarning("Build already in progress", {
           detail: `${path.basename(rootPath)} is currently being compiled.`,
@@ -1211,10 +1667,12 @@ module.exports = {
     } else if (this.currentTexFile) {
       // PDF viewer or other item - kill/clean tracked tex file
       const rootPath = this.getRootFilePath(this.currentTexFile) || this.currentTexFile;
+      this.stopContinuousMode(rootPath);
+      this.buildQueue.cancel(rootPath);
       const processInfo = this.buildProcesses.get(rootPath);
       if (processInfo) {
         const fileName = path.basename(rootPath);
-        this.killProcess(processInfo.process);
+        this.killProcess(processInfo.job);
         this.buildProcesses.delete(rootPath);
         this.setBuildState(rootPath, "idle", "Build interrupted");
         this.statusBarView.setStatus("idle", "Build interrupted");
@@ -1253,7 +1711,22 @@ module.exports = {
       return;
     }
 
-    const rootPath = this.getRootFilePath(filePath) || filePath;
+    // Files included by several documents are built as part of the chosen one
+    const rootPath = this.resolveBuildRoot(filePath, () => this.compile());
+    if (!rootPath) {
+      return;
+    }
+
+    // latexmk -pvc rebuilds by itself once the sources are saved
+    if (this.continuousBuilds.has(rootPath)) {
+      if (editor.isModified()) {
+        editor.save();
+      }
+      atom.notifications.addInfo(`Continuous mode is active for ${path.basename(rootPath)}`, {
+        description: "latexmk recompiles the document when its sources are saved.",
+      });
+      return;
+    }
 
     // Check if already building this file
     if (this.checkBuildStatus(rootPath)) {
@@ -1278,262 +1751,912 @@ module.exports = {
     this.runCompilation(rootPath);
   },
 
+  /**
+   * Request a build of a root file through the build queue.
+   * @param {string} filePath - Path to the .tex file
+   * @returns {string|null} 'started', 'queued' or 'coalesced', or null if not scheduled
+   */
   runCompilation(filePath) {
     filePath = this.getRootFilePath(filePath) || filePath;
-    const fileName = path.basename(filePath);
-    const fileDir = path.dirname(filePath);
+    if (this.continuousBuilds.has(filePath)) {
+      if (atom.config.get("latex-tools.debug")) {
+        console.log(`[LaTeX Tools] Continuous mode active, skipping build of ${filePath}`);
+      }
+      return null;
+    }
 
-    // Build latexmk arguments based on config
-    const args = [
-      "-bibtex", // Run bibtex when needed
-      "-interaction=nonstopmode", // Don't stop on errors
-      "-file-line-error", // Better error messages
-    ];
+    const result = this.buildQueue.request(filePath);
+    if (atom.config.get("latex-tools.debug") && result !== "started") {
+      console.log(`[LaTeX Tools] Build of ${path.basename(filePath)} ${result}`);
+    }
+    return result;
+  },
 
-    // Select LaTeX engine (magic comment overrides config)
-    const magicEngine = detectEngineFromMagicComment(filePath);
-    const engine = magicEngine || atom.config.get("latex-tools.latexEngine") || "pdflatex";
-    if (engine === "xelatex") {
-      args.push("-xelatex");
-    } else if (engine === "lualatex") {
-      args.push("-lualatex");
-    } else {
-      args.push("-pdf"); // pdflatex (default)
+  handleQueuedBuild(rootPath, building) {
+    if (this.buildService) {
+      this.buildService.queueBuild(rootPath, building);
+    }
+    if (building) {
+      // The running build keeps its state; the rebuild starts when it is over
+      return;
     }
 
-    // Set output verbosity
-    const verbosity = atom.config.get("latex-tools.outputVerbosity") || "default";
-    if (verbosity === "silent") {
-      args.push("-silent");
-    } else if (verbosity === "quiet") {
-      args.push("-quiet");
+    this.setBuildState(rootPath, "queued", "Waiting for a free build slot");
+    if (this.isStatusBarActiveFor(rootPath)) {
+      this.statusBarView.setStatus("queued", "Waiting for a free build slot");
     }
+  },
 
-    // Add SyncTeX if enabled
-    if (atom.config.get("latex-tools.enableSynctex")) {
-      args.push("-synctex=1");
+  handleBuildProgress(rootPath, phase, pass) {
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(`[LaTeX Tools] ${path.basename(rootPath)}: ${phase} pass ${pass}`);
+    }
+    if (this.isStatusBarActiveFor(rootPath)) {
+      this.statusBarView.setProgress({ phase, pass });
+    }
+    if (this.buildService) {
+      this.buildService.progressBuild(rootPath, phase, pass);
     }
+  },
 
-    // Add shell escape if enabled
-    if (atom.config.get("latex-tools.shellEscape")) {
-      args.push("-shell-escape");
+  handleCancelledBuild(rootPath) {
+    if (this.buildQueue.isRunning(rootPath)) {
+      // Only the pending rebuild was dropped
+      if (this.buildService) {
+        this.buildService.cancelQueuedBuild(rootPath);
+      }
+      return;
     }
 
-    // Add clean option if enabled
-    if (atom.config.get("latex-tools.cleanAuxFiles")) {
-      args.push("-c");
+    this.setBuildState(rootPath, "idle", "Queued build cancelled");
+    if (this.isStatusBarActiveFor(rootPath)) {
+      this.statusBarView.setStatus("idle", "Queued build cancelled");
+    }
+    if (this.buildService) {
+      this.buildService.cancelQueuedBuild(rootPath);
     }
+  },
 
-    // Add the file name as the last argument
-    args.push(fileName);
+  /**
+   * Report a build that threw before its job started, e.g. on an unreadable
+   * project file or an output directory that cannot be created.
+   * @param {string} rootPath - Path to the root .tex file
+   * @param {Error} error - The thrown error
+   */
+  handleFailedStart(rootPath, error) {
+    const message = `Failed to start the build of ${path.basename(rootPath)}`;
 
-    // Track build start time
-    const startTime = Date.now();
+    // The output pane only has a build to close once it began
+    this.buildProcesses.delete(rootPath);
+    if (this.getBuildState(rootPath).status === "building") {
+      this.buildOutput.appendOutput(rootPath, `${error.message}\n`, "stderr");
+      this.buildOutput.finishBuild(rootPath, "error");
+    }
 
-    // Update status bar and store build state
-    this.setBuildState(filePath, "building", `Compiling ${fileName}`, {
-      startTime,
+    this.setBuildState(rootPath, "error", message);
+    if (this.isStatusBarActiveFor(rootPath)) {
+      this.statusBarView.setStatus("error", message);
+    }
+    atom.notifications.addError(message, {
+      detail: error.message,
+      dismissable: true,
     });
-
-    if (this.isStatusBarActiveFor(filePath)) {
-      this.statusBarView.setStatus("building", `Compiling ${fileName}`);
+    if (this.buildService) {
+      this.buildService.failBuild(rootPath, message, error.message);
     }
+  },
 
-    // Clear linter messages at start of compilation
-    this.linterProvider.clearMessages();
-
-    // Notify user about compile start
-    atom.notifications.addInfo(`Compiling ${fileName}...`);
+  isBuildQueued(filePath) {
+    const rootPath = this.getRootFilePath(filePath) || filePath;
+    return this.buildQueue ? this.buildQueue.isPending(rootPath) : false;
+  },
 
-    // Update panel to show building state
-    if (this.latexPanel) {
-      this.latexPanel.setBuilding(filePath);
+  /**
+   * Spawn the build of a root file. Called by the build queue once the
+   * root may build; every way out of here must call `buildQueue.finish`,
+   * which the queue does itself when this throws.
+   * @param {string} filePath - Path to the root .tex file
+   */
+  startCompilation(filePath) {
+    const context = this.createBuildContext(filePath);
+    if (context.recipeError) {
+      throw new Error(context.recipeError);
     }
+    const backend = getBackend(context.backendName);
 
-    // Notify build service
-    if (this.buildService) {
-      this.buildService.startBuild(filePath);
-    }
+    // Track build start time
+    const startTime = Date.now();
 
-    let stdout = "";
-    let stderr = "";
+    this.beginBuild(filePath, context, startTime);
+    this.createOutputDirectories(context);
+    for (const message of backend.describeIgnoredOptions(context)) {
+      this.buildOutput.appendOutput(filePath, `Warning: ${message}\n`, "stderr");
+      if (atom.config.get("latex-tools.debug")) {
+        console.warn(`[LaTeX Tools] ${message}`);
+      }
+    }
 
-    // Use child_process.spawn for better process control
-    const childProcess = spawn("latexmk", args, {
-      cwd: fileDir,
-      shell: false,
-      // On Unix-like systems, create a new process group for easier termination
-      detached: process.platform !== "win32",
+    const job = new BuildJob(backend.createSteps(context).concat(context.postSteps), {
+      cwd: context.fileDir,
+      env: { ...process.env, ...context.env },
     });
 
-    // Store the process reference for interruption
+    // Store the job reference for interruption
     this.buildProcesses.set(filePath, {
-      process: childProcess,
+      job,
       startTime: Date.now(),
     });
 
-    // Capture stdout
-    childProcess.stdout.on("data", (data) => {
-      stdout += data.toString();
-    });
-
-    // Capture stderr
-    childProcess.stderr.on("data", (data) => {
-      stderr += data.toString();
-    });
+    // Stream output to the build output pane
+    job.onDidStartStep(({ step }) => this.buildOutput.appendCommand(filePath, step));
+    job.onDidOutput(({ stream, text }) => this.buildOutput.appendOutput(filePath, text, stream));
 
     // Handle process exit
-    childProcess.on("exit", (code, signal) => {
+    job.onDidExit(({ code, signal, step }) => {
       // Calculate elapsed time
       const elapsedTime = Date.now() - startTime;
 
-      // Remove from tracking
+      // Remove from tracking and let waiting builds start
       this.buildProcesses.delete(filePath);
+      this.buildQueue.finish(filePath);
 
       // Check if process was killed by signal (interrupted)
-      if (signal) {
+      if (signal && job.killed) {
+        this.buildOutput.finishBuild(filePath, "interrupted");
         if (atom.config.get("latex-tools.debug")) {
           console.log(`[LaTeX Tools] Process terminated by signal: ${signal}`);
         }
         return; // Don't show success/error notifications for interrupted builds
       }
 
-      if (code === 0) {
-        this.setBuildState(filePath, "success", `${fileName} compiled successfully`, {
+      if (signal) {
+        // Terminated from outside, e.g. crashed or killed by the system
+        this.reportBuildFailure(filePath, context, {
           startTime,
           elapsedTime,
+          code: null,
+          description: `Terminated by ${signal}`,
+          output: job.stderr || job.stdout,
         });
-        // Update status bar if this file is still active (editor or PDF viewer)
-        if (this.isStatusBarActiveFor(filePath)) {
-          this.statusBarView.setStatus("success", `${fileName} compiled successfully`);
-          this.statusBarView.showElapsedTime(elapsedTime);
-        }
-
-        // Notify user
-        atom.notifications.addSuccess(`${fileName} compiled successfully`, {
-          detail: `Completed in ${Math.floor(elapsedTime / 1000)}s`,
+      } else if (code === 0) {
+        this.reportBuildSuccess(filePath, context, {
+          startTime,
+          elapsedTime,
+          output: job.stdout,
+        });
+      } else {
+        this.reportBuildFailure(filePath, context, {
+          startTime,
+          elapsedTime,
+          code,
+          description: step?.postStep
+            ? `Post-step ${step.command} failed`
+            : backend.describeExitCode(code),
+          output: job.stderr || job.stdout,
         });
+      }
+    });
 
-        if (atom.config.get("latex-tools.debug")) {
-          console.log(`LaTeX compilation completed in ${elapsedTime}ms`);
-        }
+    // Handle process errors (e.g., command not found)
+    job.onDidFail(({ error, step }) => {
+      // Calculate elapsed time
+      const elapsedTime = Date.now() - startTime;
+      const command = step.command;
 
-        // Parse log file and update panel
-        this.parseLogFile(filePath);
+      this.buildOutput.appendOutput(filePath, `${error.message}\n`, "stderr");
+      this.buildOutput.finishBuild(filePath, "error");
 
-        // Notify build service of success
-        if (this.buildService) {
-          this.buildService.finishBuild(filePath, stdout, elapsedTime);
-        }
-      } else {
-        const exitCodeDesc = getExitCodeDescription(code);
-        this.setBuildState(
-          filePath,
-          "error",
-          `Compilation failed: ${exitCodeDesc} (exit code ${code})`,
-          { startTime, elapsedTime },
-        );
-        // Update status bar if this file is still active (editor or PDF viewer)
-        if (this.isStatusBarActiveFor(filePath)) {
-          this.statusBarView.setStatus("error", `Compilation failed: ${exitCodeDesc} (${code})`);
-          this.statusBarView.showElapsedTime(elapsedTime);
-        }
+      // Remove from tracking and let waiting builds start
+      this.buildProcesses.delete(filePath);
+      this.buildQueue.finish(filePath);
 
-        // Notify user
-        atom.notifications.addError(`${fileName} compilation failed`, {
-          detail: `Exit code ${code}: ${exitCodeDesc}\nCompleted in ${Math.floor(elapsedTime / 1000)}s`,
-          dismissable: true,
-        });
+      this.setBuildState(filePath, "error", `${command} not found`, {
+        startTime,
+        elapsedTime,
+      });
+      // Update status bar if this file is still active (editor or PDF viewer)
+      if (this.isStatusBarActiveFor(filePath)) {
+        this.statusBarView.setStatus("error", `${command} not found`);
+        this.statusBarView.showElapsedTime(elapsedTime);
+      }
+      atom.notifications.addError(`Failed to run ${command}`, {
+        detail: `Make sure ${command} is installed and in your PATH, or set its path in the ${backend.title} settings.\n\nError: ${error.message}`,
+        dismissable: true,
+      });
+
+      // Notify build service of failure
+      if (this.buildService) {
+        this.buildService.failBuild(filePath, `${command} not found`, error.message);
+      }
+    });
+
+    job.start();
+  },
+
+  /**
+   * Mark a build of a root file as started in every subsystem.
+   * @param {string} filePath - Path to the root .tex file
+   * @param {Object} context - Build context
+   * @param {number} startTime - Build start timestamp
+   * @param {Object} [options] - { notify: boolean } to show the start notification
+   */
+  beginBuild(filePath, context, startTime, { notify = true } = {}) {
+    const fileName = path.basename(filePath);
+
+    // Update status bar and store build state
+    this.setBuildState(filePath, "building", `Compiling ${fileName}`, {
+      startTime,
+    });
 
+    if (this.isStatusBarActiveFor(filePath)) {
+      this.statusBarView.setStatus("building", `Compiling ${fileName}`);
+    }
+
+    // Clear linter messages of this document at start of compilation
+    this.linterProvider.clearMessages(filePath);
+
+    // Notify user about compile start
+    if (notify) {
+      atom.notifications.addInfo(
+        `Compiling ${fileName}${context.recipe ? ` with ${context.recipe}` : ""}...`,
+      );
+    }
+
+    // Notify build service
+    if (this.buildService) {
+      this.buildService.startBuild(filePath);
+    }
+
+    this.buildProgress.start(filePath);
+    this.buildOutput.startBuild(filePath);
+  },
+
+  createOutputDirectories(context) {
+    // Engines refuse to write into missing output directories
+    const fs = require("fs");
+    for (const directory of new Set([context.outDir, context.auxDir])) {
+      try {
+        fs.mkdirSync(directory, { recursive: true });
+      } catch (error) {
         if (atom.config.get("latex-tools.debug")) {
-          console.error(`LaTeX compilation failed after ${elapsedTime}ms:`, stderr || stdout);
+          console.error(`[LaTeX Tools] Failed to create ${directory}:`, error);
         }
+      }
+    }
+  },
 
-        // Try to parse log file for error messages
-        const fs = require("fs");
-        const logPath = filePath.replace(/\.tex$/, ".log");
-        let messages = [];
-        let hasErrors = false;
-
-        if (fs.existsSync(logPath)) {
-          try {
-            const logContent = fs.readFileSync(logPath, "utf8");
-            const parsedMessages = this.logParser.parse(logContent, filePath);
-            // Check if there are any error-severity messages
-            hasErrors = parsedMessages.some((msg) => msg.severity === "error");
-            if (hasErrors) {
-              // Only show errors, not warnings or info
-              messages = parsedMessages.filter((msg) => msg.severity === "error");
-            }
-          } catch (error) {
-            if (atom.config.get("latex-tools.debug")) {
-              console.error("[LaTeX Tools] Failed to parse log file on error:", error);
-            }
-          }
-        }
+  /**
+   * Report a successful build of a root file.
+   * @param {string} filePath - Path to the root .tex file
+   * @param {Object} context - Build context
+   * @param {Object} result - { startTime, elapsedTime, output, notify }
+   */
+  reportBuildSuccess(filePath, context, { startTime, elapsedTime, output, notify = true }) {
+    const fileName = path.basename(filePath);
+    const backend = getBackend(context.backendName);
+    this.invalidateBuildArtifacts(filePath);
+    this.refreshDependencies(filePath);
 
-        // If no errors found in log, use fallback critical message
-        if (!hasErrors) {
-          messages = [
-            {
-              severity: "error",
-              location: {
-                fullPath: filePath,
-                position: {
-                  start: { row: 0, column: 0 },
-                  end: { row: 0, column: 0 },
-                },
-              },
-              excerpt: `Critical error: ${exitCodeDesc} (exit code ${code})`,
-              description:
-                "The LaTeX compiler encountered a critical error or was interrupted. Check the console output for details.",
-            },
-          ];
-        }
+    this.buildOutput.finishBuild(filePath, "success");
+    this.setBuildState(filePath, "success", `${fileName} compiled successfully`, {
+      startTime,
+      elapsedTime,
+    });
+    // Update status bar if this file is still active (editor or PDF viewer)
+    if (this.isStatusBarActiveFor(filePath)) {
+      this.statusBarView.setStatus("success", `${fileName} compiled successfully`);
+      this.statusBarView.showElapsedTime(elapsedTime);
+    }
 
-        if (this.linterProvider) {
-          this.linterProvider.setMessages(messages);
-        }
+    // Notify user
+    if (notify) {
+      atom.notifications.addSuccess(`${fileName} compiled successfully`, {
+        detail: `Completed in ${Math.floor(elapsedTime / 1000)}s`,
+      });
+    }
 
-        // Emit messages update event
-        if (this.buildService) {
-          this.buildService.updateMessages(filePath, messages);
-          this.buildService.failBuild(
-            filePath,
-            `${exitCodeDesc} (exit code ${code})`,
-            stderr || stdout,
-          );
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(`LaTeX compilation completed in ${elapsedTime}ms`);
+    }
+
+    // Parse log file and update panel
+    const messages = this.parseLogFile(filePath, backend.getLogPath(context));
+    this.recordBuild(filePath, context, {
+      startTime,
+      elapsedTime,
+      status: "success",
+      code: 0,
+      messages,
+    });
+
+    // Notify build service of success
+    if (this.buildService) {
+      this.buildService.finishBuild(filePath, output, elapsedTime, backend.getOutputPath(context));
+    }
+  },
+
+  /**
+   * Report a failed build of a root file.
+   * @param {string} filePath - Path to the root .tex file
+   * @param {Object} context - Build context
+   * @param {Object} result - { startTime, elapsedTime, code, description, output, notify }
+   */
+  reportBuildFailure(
+    filePath,
+    context,
+    { startTime, elapsedTime, code, description, output, notify = true },
+  ) {
+    const fileName = path.basename(filePath);
+    const backend = getBackend(context.backendName);
+    const codeText = code != null ? ` (exit code ${code})` : "";
+    this.invalidateBuildArtifacts(filePath);
+
+    this.buildOutput.finishBuild(filePath, "error");
+    this.setBuildState(filePath, "error", `Compilation failed: ${description}${codeText}`, {
+      startTime,
+      elapsedTime,
+    });
+    // Update status bar if this file is still active (editor or PDF viewer)
+    if (this.isStatusBarActiveFor(filePath)) {
+      this.statusBarView.setStatus(
+        "error",
+        `Compilation failed: ${description}${code != null ? ` (${code})` : ""}`,
+      );
+      this.statusBarView.showElapsedTime(elapsedTime);
+    }
+
+    // Notify user
+    if (notify) {
+      atom.notifications.addError(`${fileName} compilation failed`, {
+        detail: `${code != null ? `Exit code ${code}: ` : ""}${description}\nCompleted in ${Math.floor(elapsedTime / 1000)}s`,
+        dismissable: true,
+      });
+    }
+
+    if (atom.config.get("latex-tools.debug")) {
+      console.error(`LaTeX compilation failed after ${elapsedTime}ms:`, output);
+    }
+
+    // Try to parse log file for error messages
+    const fs = require("fs");
+    const logPath = backend.getLogPath(context);
+    let messages = [];
+    let parsedMessages = [];
+    let hasErrors = false;
+
+    if (fs.existsSync(logPath)) {
+      try {
+        parsedMessages = this.readLogMessages(filePath, logPath);
+        // Check if there are any error-severity messages
+        hasErrors = parsedMessages.some((msg) => msg.severity === "error");
+        if (hasErrors) {
+          // Only show errors, not warnings or info
+          messages = parsedMessages.filter((msg) => msg.severity === "error");
+        }
+      } catch (error) {
+        if (atom.config.get("latex-tools.debug")) {
+          console.error("[LaTeX Tools] Failed to parse log file on error:", error);
         }
       }
+    }
+
+    // If no errors found in log, use fallback critical message
+    if (!hasErrors) {
+      messages = [
+        {
+          severity: "error",
+          location: {
+            fullPath: filePath,
+            position: {
+              start: { row: 0, column: 0 },
+              end: { row: 0, column: 0 },
+            },
+          },
+          excerpt: `Critical error: ${description}${codeText}`,
+          description:
+            "The LaTeX compiler encountered a critical error or was interrupted. Check the console output for details.",
+        },
+      ];
+    }
+
+    if (this.linterProvider) {
+      this.linterProvider.setMessages(filePath, messages);
+    }
+    this.recordBuild(filePath, context, {
+      startTime,
+      elapsedTime,
+      status: "error",
+      code,
+      messages: parsedMessages,
     });
 
-    // Handle process errors (e.g., command not found)
-    childProcess.on("error", (error) => {
-      // Calculate elapsed time
-      const elapsedTime = Date.now() - startTime;
+    // Emit messages update event
+    if (this.buildService) {
+      this.buildService.updateMessages(filePath, messages);
+      this.buildService.failBuild(filePath, `${description}${codeText}`, output);
+    }
+  },
 
-      // Remove from tracking
-      this.buildProcesses.delete(filePath);
+  /**
+   * Add a finished build of a root file to the build history.
+   * @param {string} filePath - Path to the root .tex file
+   * @param {Object} context - Build context
+   * @param {Object} result - { startTime, elapsedTime, status, code, messages } with the
+   *   messages parsed from the log
+   */
+  recordBuild(filePath, context, { startTime, elapsedTime, status, code, messages }) {
+    const count = (severity) => messages.filter((message) => message.severity === severity).length;
+    const build = this.buildOutput.getLatestBuild(filePath);
+
+    const entry = this.buildHistory.record(filePath, {
+      timestamp: startTime,
+      recipe: context.recipe,
+      backend: context.backendName,
+      engine: context.engine,
+      duration: elapsedTime,
+      status,
+      exitCode: code,
+      errors: count("error"),
+      warnings: count("warning"),
+      info: count("info"),
+      rules: build ? collectRules(build.lines) : [],
+    });
 
-      this.setBuildState(filePath, "error", "latexmk not found", {
-        startTime,
-        elapsedTime,
+    if (this.buildService) {
+      this.buildService.recordBuild(filePath, entry);
+    }
+  },
+
+  toggleContinuousMode() {
+    const editor = atom.workspace.getActiveTextEditor();
+    const filePath = editor?.getPath()?.endsWith(".tex") ? editor.getPath() : this.currentTexFile;
+    if (!filePath) {
+      atom.notifications.addWarning("No LaTeX file available");
+      return;
+    }
+
+    const rootPath = this.resolveBuildRoot(filePath, () => this.toggleContinuousMode());
+    if (!rootPath) {
+      return;
+    }
+    const fileName = path.basename(rootPath);
+    if (this.stopContinuousMode(rootPath)) {
+      atom.notifications.addInfo(`Continuous mode stopped for ${fileName}`);
+    } else if (this.startContinuousMode(rootPath)) {
+      atom.notifications.addSuccess(`Continuous mode started for ${fileName}`, {
+        description: "latexmk recompiles the document whenever its sources change.",
       });
-      // Update status bar if this file is still active (editor or PDF viewer)
-      if (this.isStatusBarActiveFor(filePath)) {
-        this.statusBarView.setStatus("error", "latexmk not found");
-        this.statusBarView.showElapsedTime(elapsedTime);
+    }
+  },
+
+  /**
+   * Start a long-lived `latexmk -pvc` process for a root file.
+   * Each recompile cycle updates the status bar, linter and build service.
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {boolean} True if continuous mode was started
+   */
+  startContinuousMode(rootPath) {
+    if (this.continuousBuilds.has(rootPath)) {
+      return false;
+    }
+
+    const context = this.createBuildContext(rootPath);
+    if (context.recipeError) {
+      atom.notifications.addError("Invalid build recipe", {
+        detail: context.recipeError,
+        dismissable: true,
+      });
+      return false;
+    }
+    if (context.backendName !== "latexmk") {
+      atom.notifications.addWarning("Continuous mode requires the latexmk backend", {
+        detail: `The current build backend is ${getBackend(context.backendName).title}.`,
+        dismissable: true,
+      });
+      return false;
+    }
+    if (getEngine(context.engine).standalone) {
+      atom.notifications.addWarning("Continuous mode is not available for ConTeXt", {
+        detail: "latexmk does not run ConTeXt documents.",
+        dismissable: true,
+      });
+      return false;
+    }
+
+    if (this.checkBuildStatus(rootPath)) {
+      atom.notifications.addWarning("Build already in progress", {
+        detail: `${path.basename(rootPath)} is currently being compiled.`,
+        dismissable: true,
+      });
+      return false;
+    }
+
+    // latexmk -pvc never finishes, so it must not clean up after a cycle
+    context.cleanAuxFiles = false;
+    context.extraArgs = ["-pvc", "-view=none", ...context.extraArgs];
+
+    this.createOutputDirectories(context);
+    const job = new BuildJob(getBackend("latexmk").createSteps(context), {
+      cwd: context.fileDir,
+      env: { ...process.env, ...context.env },
+    });
+    const continuousBuild = new ContinuousBuild(job);
+    this.continuousBuilds.set(rootPath, continuousBuild);
+
+    job.onDidStartStep(({ step }) => this.buildOutput.appendCommand(rootPath, step));
+    job.onDidOutput(({ stream, text }) => this.buildOutput.appendOutput(rootPath, text, stream));
+
+    continuousBuild.onDidStartCycle(({ startTime }) => {
+      this.beginBuild(rootPath, context, startTime, { notify: false });
+    });
+
+    continuousBuild.onDidFinishCycle(({ success, startTime, elapsedTime, output }) => {
+      if (success) {
+        this.reportBuildSuccess(rootPath, context, {
+          startTime,
+          elapsedTime,
+          output,
+          notify: false,
+        });
+      } else {
+        this.reportBuildFailure(rootPath, context, {
+          startTime,
+          elapsedTime,
+          code: null,
+          description: "latexmk reported errors",
+          output,
+          notify: false,
+        });
+      }
+    });
+
+    job.onDidExit(({ code, signal }) => {
+      this.finishContinuousMode(rootPath, continuousBuild);
+      if (!signal && code !== 0) {
+        atom.notifications.addError(`Continuous mode stopped for ${path.basename(rootPath)}`, {
+          detail: `latexmk exited with code ${code}: ${getBackend("latexmk").describeExitCode(code)}`,
+          dismissable: true,
+        });
       }
-      atom.notifications.addError("Failed to run latexmk", {
+    });
+
+    job.onDidFail(({ error, step }) => {
+      this.finishContinuousMode(rootPath, continuousBuild);
+      atom.notifications.addError(`Failed to run ${step.command}`, {
         detail: `Make sure latexmk is installed and in your PATH.\n\nError: ${error.message}`,
         dismissable: true,
       });
+    });
 
-      // Notify build service of failure
+    continuousBuild.start();
+    this.updateContinuousIndicator();
+    return true;
+  },
+
+  /**
+   * Stop the latexmk -pvc process of a root file.
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {boolean} True if continuous mode was running
+   */
+  stopContinuousMode(rootPath) {
+    const continuousBuild = this.continuousBuilds.get(rootPath);
+    if (!continuousBuild) {
+      return false;
+    }
+
+    continuousBuild.stop();
+    this.finishContinuousMode(rootPath, continuousBuild);
+    return true;
+  },
+
+  stopAllContinuousModes() {
+    const rootPaths = Array.from(this.continuousBuilds.keys());
+    for (const rootPath of rootPaths) {
+      this.stopContinuousMode(rootPath);
+    }
+    return rootPaths.length;
+  },
+
+  // Stop continuous builds whose documents have no open editor left
+  stopOrphanedContinuousBuilds() {
+    const openRoots = new Set();
+    for (const editor of atom.workspace.getTextEditors()) {
+      const editorPath = editor.getPath();
+      if (editorPath && editorPath.endsWith(".tex")) {
+        openRoots.add(this.getRootFilePath(editorPath) || editorPath);
+      }
+    }
+
+    for (const rootPath of Array.from(this.continuousBuilds.keys())) {
+      if (!openRoots.has(rootPath)) {
+        this.stopContinuousMode(rootPath);
+      }
+    }
+  },
+
+  finishContinuousMode(rootPath, continuousBuild) {
+    if (this.continuousBuilds.get(rootPath) !== continuousBuild) {
+      return;
+    }
+
+    this.continuousBuilds.delete(rootPath);
+    if (continuousBuild.isInCycle()) {
+      this.buildOutput.finishBuild(rootPath, "interrupted");
+      this.setBuildState(rootPath, "idle", "Continuous mode stopped");
+      if (this.isStatusBarActiveFor(rootPath)) {
+        this.statusBarView.setStatus("idle", "Continuous mode stopped");
+      }
       if (this.buildService) {
-        this.buildService.failBuild(filePath, "latexmk not found", error.message);
+        this.buildService.reset(rootPath);
+      }
+    }
+    continuousBuild.dispose();
+    this.updateContinuousIndicator();
+  },
+
+  isContinuousModeActive(filePath) {
+    const rootPath = this.getRootFilePath(filePath) || filePath;
+    return this.continuousBuilds.has(rootPath);
+  },
+
+  updateContinuousIndicator() {
+    if (this.statusBarView && this.currentTexFile) {
+      this.statusBarView.setContinuous(this.continuousBuilds.has(this.currentTexFile));
+    }
+  },
+
+  /**
+   * Collect the options of a build for a root file.
+   * @param {string} filePath - Path to the root .tex file
+   * @returns {Object} Build context passed to the backend
+   */
+  createBuildContext(filePath) {
+    const magicComments = detectMagicComments(filePath);
+    const projectConfig = readProjectConfig(filePath);
+    // Invalid recipes leave the global settings; builds report them instead of running
+    const selectedRecipe = findRecipe(filePath, this.getRecipeNameForRoot(filePath));
+    const recipe = selectedRecipe?.error ? null : selectedRecipe;
+    const backendName = recipe?.backend || atom.config.get("latex-tools.buildBackend") || "latexmk";
+    const backend = getBackend(backendName);
+    const fileDir = path.dirname(filePath);
+    const { outDir, auxDir } = resolveDirectories(
+      backend,
+      fileDir,
+      this.resolveDirectorySetting(
+        magicComments.outdir ??
+          projectConfig.outputDirectory ??
+          atom.config.get("latex-tools.outputDirectory"),
+        filePath,
+      ),
+      this.resolveDirectorySetting(
+        projectConfig.auxDirectory ?? atom.config.get("latex-tools.auxDirectory"),
+        filePath,
+      ),
+    );
+
+    // Select LaTeX engine (magic comment overrides the project file, which overrides config)
+    const magicEngine = magicComments.program || detectEngineFromProjectConfig(filePath);
+    const engine = magicEngine || atom.config.get("latex-tools.latexEngine") || "pdflatex";
+
+    const context = {
+      backendName,
+      executable: getBackendExecutable(backend, backendName),
+      filePath,
+      fileName: path.basename(filePath),
+      fileDir,
+      baseName: path.basename(filePath, ".tex"),
+      outDir,
+      auxDir,
+      engine,
+      verbosity: atom.config.get("latex-tools.outputVerbosity") || "default",
+      synctex: atom.config.get("latex-tools.enableSynctex"),
+      shellEscape: atom.config.get("latex-tools.shellEscape"),
+      cleanAuxFiles: atom.config.get("latex-tools.cleanAuxFiles"),
+      engineOptions: magicComments.options,
+      bibProgram: magicComments.bibProgram,
+      recipe: null,
+      recipeError: selectedRecipe?.error
+        ? `Recipe "${selectedRecipe.name}": ${selectedRecipe.error}`
+        : null,
+      extraArgs: [],
+      env: {},
+      postSteps: [],
+    };
+
+    // The project file adds to the global settings
+    const expand = (value) => expandPlaceholders(value, filePath);
+    if (backendName === "latexmk") {
+      context.extraArgs = projectConfig.latexmkArgs.map(expand);
+    }
+    for (const [name, value] of Object.entries(projectConfig.env)) {
+      context.env[name] = expand(value);
+    }
+
+    // The selected recipe overrides the global settings
+    applyRecipe(context, recipe);
+
+    // ConTeXt writes next to the root file whatever the settings
+    if (getEngine(context.engine).standalone) {
+      context.outDir = fileDir;
+      context.auxDir = fileDir;
+    }
+    return context;
+  },
+
+  /**
+   * Expand a directory setting for a root document.
+   * @param {string} setting - Directory template, e.g. "{root}/build"
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {string|null} Absolute directory, or null if the setting is empty
+   */
+  resolveDirectorySetting(setting, rootPath) {
+    const template = (setting || "").trim();
+    if (!template) {
+      return null;
+    }
+
+    const directory = expandPlaceholders(template, rootPath);
+    return path.resolve(path.dirname(rootPath), directory);
+  },
+
+  /**
+   * Get the path of a build artifact of a root document.
+   * Outputs (pdf, synctex.gz) live in the output directory, everything
+   * else (log, aux, fls, blg, ...) in the aux directory. The directories are
+   * resolved once per root until its file, project file or settings change.
+   * @param {string} rootPath - Path to the root .tex file (not resolved again)
+   * @param {string} extension - Artifact extension without dot, e.g. "log"
+   * @returns {string} Absolute artifact path
+   */
+  getArtifactPathForRoot(rootPath, extension) {
+    const directories = this.buildDirectories.resolve(rootPath, (tracker) => {
+      const { configPath } = readProjectConfig(rootPath);
+      if (configPath) {
+        tracker.file(configPath);
       }
+      const { backendName, baseName, outDir, auxDir } = this.createBuildContext(rootPath);
+      return { backendName, baseName, outDir, auxDir };
     });
+    return getBackend(directories.backendName).getArtifactPath(directories, extension);
+  },
+
+  /**
+   * Get the path of a build artifact for any .tex file of a document.
+   * @param {string} filePath - Path to a .tex file
+   * @param {string} extension - Artifact extension without dot
+   * @returns {string|null} Absolute artifact path, or null if invalid
+   */
+  getArtifactPath(filePath, extension) {
+    const rootPath = this.getRootFilePath(filePath);
+    return rootPath ? this.getArtifactPathForRoot(rootPath, extension) : null;
+  },
+
+  /**
+   * Get the recipe selected for a root document.
+   * @param {string} filePath - Path to a .tex file
+   * @returns {Object|null} Normalized recipe, or null to use the global settings
+   */
+  getRecipeForRoot(filePath) {
+    const rootPath = this.getRootFilePath(filePath) || filePath;
+    return findRecipe(rootPath, this.getRecipeNameForRoot(rootPath));
+  },
+
+  /**
+   * Get the name of the recipe a root document is built with: the selected
+   * one, or the default recipe of the project file if none was selected.
+   * @param {string} rootPath - Path to the root .tex file (not resolved again)
+   * @returns {string|null} Recipe name, or null to use the global settings
+   */
+  getRecipeNameForRoot(rootPath) {
+    const key = this.getCompileOnSaveKey(rootPath);
+    if (this.recipeSelections.has(key)) {
+      return this.recipeSelections.get(key);
+    }
+    return readProjectConfig(rootPath).recipe;
+  },
+
+  /**
+   * Remember the recipe used to build a root document.
+   * @param {string} filePath - Path to a .tex file
+   * @param {string|null} name - Recipe name, or null to use the global settings
+   */
+  setRecipeForRoot(filePath, name) {
+    const rootPath = this.getRootFilePath(filePath) || filePath;
+    const key = this.getCompileOnSaveKey(rootPath);
+    // The backend of the recipe decides where the build metadata read by
+    // discovery lives, before and after the change
+    this.invalidateBuildArtifacts(rootPath);
+    // Default settings are stored too, so they also override the project recipe
+    this.recipeSelections.set(key, name || null);
+    this.buildDirectories.invalidate(rootPath);
+    this.rootIndex.invalidate(rootPath);
+    this.invalidateBuildArtifacts(rootPath);
+
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(`[LaTeX Tools] Recipe for ${path.basename(rootPath)}: ${name || "default"}`);
+    }
+  },
+
+  selectRecipe() {
+    const editor = atom.workspace.getActiveTextEditor();
+    const filePath = editor?.getPath() || this.currentTexFile;
+    if (!filePath || !filePath.endsWith(".tex")) {
+      atom.notifications.addWarning("No LaTeX file available");
+      return;
+    }
+
+    this.recipeList.show(this.getRootFilePath(filePath) || filePath);
+  },
+
+  /**
+   * Get the compile-on-save policy selected for the root of a file.
+   * @param {string} filePath - Path to a .tex file
+   * @returns {string|null} Policy name, or null if none was selected
+   */
+  getCompileOnSavePolicySelection(filePath) {
+    const rootPath = this.getRootFilePath(filePath) || filePath;
+    return this.policySelections.get(this.getCompileOnSaveKey(rootPath)) || null;
+  },
+
+  /**
+   * Get the policy of roots without a selection: the one of the project
+   * file, or the global setting.
+   * @param {string} filePath - Path to a .tex file
+   * @returns {string} Policy name
+   */
+  getDefaultCompileOnSavePolicy(filePath) {
+    const projectPolicy = readProjectConfig(filePath).compileOnSavePolicy;
+    if (projectPolicy) {
+      return projectPolicy;
+    }
+    const policy = getPolicy(atom.config.get("latex-tools.compileOnSavePolicy"));
+    return policy ? policy.name : DEFAULT_POLICY;
+  },
+
+  /**
+   * Get the policy deciding when compile-on-save compiles a file.
+   * @param {string} filePath - Path to a .tex file
+   * @returns {string} "debounce", "idle" or "save"
+   */
+  getCompileOnSavePolicy(filePath) {
+    return (
+      this.getCompileOnSavePolicySelection(filePath) || this.getDefaultCompileOnSavePolicy(filePath)
+    );
+  },
+
+  /**
+   * Select the compile-on-save policy of the root of a file.
+   * @param {string} filePath - Path to a .tex file
+   * @param {string|null} name - Policy name, or null to use the default policy
+   */
+  setCompileOnSavePolicyForRoot(filePath, name) {
+    const rootPath = this.getRootFilePath(filePath) || filePath;
+    const key = this.getCompileOnSaveKey(rootPath);
+    if (getPolicy(name)) {
+      this.policySelections.set(key, name);
+    } else {
+      this.policySelections.delete(key);
+    }
+
+    if (this.observedFilesList) {
+      this.observedFilesList.update();
+    }
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(
+        `[LaTeX Tools] Compile-on-save policy for ${path.basename(rootPath)}: ${name || "default"}`,
+      );
+    }
+  },
+
+  selectCompileOnSavePolicy() {
+    const editor = atom.workspace.getActiveTextEditor();
+    const filePath = editor?.getPath() || this.currentTexFile;
+    if (!filePath || !filePath.endsWith(".tex")) {
+      atom.notifications.addWarning("No LaTeX file available");
+      return;
+    }
+
+    this.policyList.show(this.getRootFilePath(filePath) || filePath);
   },
 
   // ============================================
@@ -1541,6 +2664,24 @@ module.exports = {
   // These methods are called by BuildService to delegate actions
   // ============================================
 
+  /**
+   * Get the recorded builds of a root file (API method)
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {Array<Object>} Copies of the history entries, oldest first
+   */
+  getBuildHistory(rootPath) {
+    return this.buildHistory.getEntries(rootPath).map((entry) => ({ ...entry }));
+  },
+
+  /**
+   * Get timing statistics of the recorded builds of a root file (API method)
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {Object} Statistics, see BuildHistory.getStatistics
+   */
+  getBuildStatistics(rootPath) {
+    return this.buildHistory.getStatistics(rootPath);
+  },
+
   /**
    * Interrupt a specific file's build (API method)
    * @param {string} filePath - Path to the .tex file
@@ -1552,15 +2693,20 @@ module.exports = {
     }
 
     const rootPath = this.getRootFilePath(filePath) || filePath;
+    if (this.stopContinuousMode(rootPath)) {
+      return true;
+    }
+
+    const wasQueued = this.buildQueue.cancel(rootPath);
     const processInfo = this.buildProcesses.get(rootPath);
     if (!processInfo) {
-      return false;
+      return wasQueued;
     }
 
     const fileName = path.basename(rootPath);
 
     // Kill the process
-    this.killProcess(processInfo.process);
+    this.killProcess(processInfo.job);
 
     // Remove from tracking
     this.buildProcesses.delete(rootPath);
@@ -1590,18 +2736,22 @@ module.exports = {
    * @returns {number} Number of builds interrupted
    */
   interruptAllBuilds() {
+    const continuousCount = this.stopAllContinuousModes();
+    const queuedCount = this.buildQueue.cancelAll();
     const count = this.buildProcesses.size;
     if (count === 0) {
-      return 0;
+      return continuousCount + queuedCount;
     }
 
     for (const [filePath, processInfo] of this.buildProcesses) {
-      this.killProcess(processInfo.process);
+      this.killProcess(processInfo.job);
       this.setBuildState(filePath, "idle", "Build interrupted");
 
       if (this.buildService) {
         this.buildService.failBuild(filePath, "Build interrupted by user", "");
       }
+
+      this.cleanLinter(filePath);
     }
 
     this.buildProcesses.clear();
@@ -1615,9 +2765,7 @@ module.exports = {
       }
     }
 
-    this.cleanLinter();
-
-    return count;
+    return count + continuousCount + queuedCount;
   },
 
   /**
@@ -1641,15 +2789,14 @@ module.exports = {
 
     // Parse the log file
     const fs = require("fs");
-    const logPath = filePath.replace(/\.tex$/, ".log");
+    const logPath = this.getArtifactPathForRoot(filePath, "log");
 
     if (!fs.existsSync(logPath)) {
       return [];
     }
 
     try {
-      const logContent = fs.readFileSync(logPath, "utf8");
-      return this.logParser.parse(logContent, filePath);
+      return this.readLogMessages(filePath, logPath);
     } catch (error) {
       if (atom.config.get("latex-tools.debug")) {
         console.error("[LaTeX Tools] Failed to parse log file:", error);
@@ -1767,6 +2914,7 @@ module.exports = {
       }
       this.compileOnSaveFiles.delete(key);
       this.updateObservedFilesStatus();
+      this.refreshDependencies(this.getRootFilePath(filePath) || filePath);
 
       if (this.buildService) {
         this.buildService.emitCompileOnSaveChange(filePath, false, editor);
@@ -1781,9 +2929,12 @@ module.exports = {
       timeout: null,
       disposable: null,
       file: null,
+      pinned: false,
+      schedule: null,
     };
 
-    const scheduleCompile = () => {
+    // A burst of changes within the delay starts one build
+    info.schedule = () => {
       if (info.timeout) {
         clearTimeout(info.timeout);
       }
@@ -1791,12 +2942,17 @@ module.exports = {
       info.timeout = setTimeout(() => {
         info.timeout = null;
         this.compileFilePath(filePath);
-      }, 150);
+      }, atom.config.get("latex-tools.compileOnSaveDelay"));
     };
 
     try {
       info.file = new File(resolvedFilePath);
-      info.disposable = info.file.onDidChange(scheduleCompile);
+      info.disposable = info.file.onDidChange(() => {
+        // Explicit saves are reported by the editor instead
+        if (this.getCompileOnSavePolicy(filePath) !== "save") {
+          info.schedule();
+        }
+      });
     } catch (error) {
       if (atom.config.get("latex-tools.debug")) {
         console.error("[LaTeX Tools] Failed to observe compile-on-save file:", error);
@@ -1806,6 +2962,7 @@ module.exports = {
 
     this.compileOnSaveFiles.set(key, info);
     this.updateObservedFilesStatus();
+    this.refreshDependencies(this.getRootFilePath(filePath) || filePath);
 
     if (this.buildService) {
       this.buildService.emitCompileOnSaveChange(filePath, true, editor);
@@ -1875,8 +3032,7 @@ module.exports = {
    * @returns {string|null} Root PDF path, or null if invalid
    */
   getPdfPathForFile(filePath) {
-    const rootPath = this.getRootFilePath(filePath);
-    return rootPath ? rootPath.replace(/\.tex$/, ".pdf") : null;
+    return this.getArtifactPath(filePath, "pdf");
   },
 
   /**
@@ -1889,136 +3045,405 @@ module.exports = {
       return null;
     }
 
+    return this.resolveTexRootInfo(filePath).rootPath;
+  },
+
+  /**
+   * Resolve the root .tex file for a source file through the root index.
+   * @param {string} filePath - Path to a .tex file
+   * @returns {Object} { rootPath, candidates }; candidates lists the roots to
+   *   choose from when discovery found several and none was chosen yet
+   */
+  resolveTexRootInfo(filePath) {
+    return this.rootIndex.resolve(filePath, (tracker) => this.discoverTexRoot(filePath, tracker));
+  },
+
+  /**
+   * Discover the root .tex file for a source file, bypassing the root index.
+   * @param {string} filePath - Path to a .tex file
+   * @param {Object} tracker - Told about every file and directory read
+   * @returns {Object} { rootPath, candidates }
+   */
+  discoverTexRoot(filePath, tracker) {
     const fs = require("fs");
 
     const explicitRoot = detectRootFromMagicComment(filePath);
-    if (explicitRoot && fs.existsSync(explicitRoot)) {
-      return explicitRoot;
+    if (explicitRoot) {
+      tracker.file(explicitRoot);
+      if (fs.existsSync(explicitRoot)) {
+        return { rootPath: explicitRoot, candidates: [] };
+      }
     }
 
-    const ownSyncPath = filePath.replace(/\.tex$/, ".synctex.gz");
+    const chosenRoot = this.rootSelections.get(this.getCompileOnSaveKey(filePath));
+    if (chosenRoot) {
+      tracker.file(chosenRoot);
+      if (fs.existsSync(chosenRoot)) {
+        return { rootPath: chosenRoot, candidates: [] };
+      }
+    }
+
+    const projectRoots = this.findProjectRootsForFile(filePath, tracker);
+    if (projectRoots.length > 0) {
+      return {
+        rootPath: projectRoots[0],
+        candidates: projectRoots.length > 1 ? projectRoots : [],
+      };
+    }
+
+    const ownSyncPath = this.getArtifactPathForRoot(filePath, "synctex.gz");
+    tracker.file(ownSyncPath);
     if (fs.existsSync(ownSyncPath)) {
-      return filePath;
+      return { rootPath: filePath, candidates: [] };
     }
 
-    const candidates = this.findRootCandidatesForFile(filePath);
-    return candidates.length > 0 ? candidates[0] : filePath;
+    const candidates = this.findRootCandidatesForFile(filePath, tracker);
+    return {
+      rootPath: candidates.length > 0 ? candidates[0] : filePath,
+      candidates: candidates.length > 1 ? candidates : [],
+    };
   },
 
   /**
    * Find likely root documents that include a source file.
    * @param {string} filePath - Path to a .tex file
+   * @param {Object} [tracker] - Told about every file and directory read
    * @returns {Array<string>} Candidate root .tex paths
    */
-  findRootCandidatesForFile(filePath) {
+  findRootCandidatesForFile(filePath, tracker) {
+    const projectRoots = this.findProjectRootsForFile(filePath, tracker);
+    if (projectRoots.length > 0) {
+      return projectRoots;
+    }
+
+    return findRootCandidatesForFile(filePath, {
+      projectPaths: atom.project.getPaths(),
+      getArtifactPath: (rootPath, ext) => this.getArtifactPathForRoot(rootPath, ext),
+      tracker,
+    });
+  },
+
+  /**
+   * Find the root documents declared by the project file that a source file
+   * belongs to. A single declared root owns every file of the project.
+   * @param {string} filePath - Path to a .tex file
+   * @param {Object} [tracker] - Told about every file read
+   * @returns {Array<string>} Declared root .tex paths, empty to fall back to discovery
+   */
+  findProjectRootsForFile(filePath, tracker = { file() {}, directory() {} }) {
     const fs = require("fs");
+
+    const { configPath } = readProjectConfig(filePath);
+    const roots = detectRootsFromProjectConfig(filePath);
+    if (configPath) {
+      tracker.file(configPath);
+    }
+
     const sourcePath = path.resolve(filePath);
-    const sourceDir = path.dirname(sourcePath);
-    const projectPaths =
-      typeof atom !== "undefined" && atom.project && atom.project.getPaths
-        ? atom.project.getPaths().map((projectPath) => path.resolve(projectPath))
-        : [];
-    const candidateDirs = [];
-
-    let currentDir = sourceDir;
-    while (currentDir && !candidateDirs.includes(currentDir)) {
-      candidateDirs.push(currentDir);
-
-      const reachedProjectRoot = projectPaths.some(
-        (projectPath) => normalizePathForTex(projectPath) === normalizePathForTex(currentDir),
-      );
-      if (reachedProjectRoot) {
-        break;
+    const sourceKey = normalizePathForTex(sourcePath);
+    if (roots.some((rootPath) => normalizePathForTex(rootPath) === sourceKey)) {
+      return [sourcePath];
+    }
+    if (roots.length <= 1) {
+      return roots;
+    }
+
+    return roots.filter((rootPath) => {
+      tracker.file(rootPath);
+      try {
+        const content = fs.readFileSync(rootPath, "utf8");
+        return texContentIncludesFile(
+          content,
+          path.dirname(rootPath),
+          sourcePath,
+          new Set(),
+          tracker,
+        );
+      } catch (error) {
+        return false;
       }
+    });
+  },
+
+  /**
+   * Remember the root document an included file is built with.
+   * @param {string} filePath - Path to the included .tex file
+   * @param {string} rootPath - Path to the chosen root .tex file
+   */
+  setRootForFile(filePath, rootPath) {
+    this.rootSelections.set(this.getCompileOnSaveKey(filePath), rootPath);
+    this.rootIndex.invalidate(filePath);
+
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(`[LaTeX Tools] Root of ${path.basename(filePath)}: ${rootPath}`);
+    }
+
+    const activeItem = atom.workspace.getCenter().getActivePaneItem();
+    if (activeItem && atom.workspace.isTextEditor(activeItem)) {
+      this.updateStatusBarVisibility(activeItem, "editor");
+    }
+  },
+
+  /**
+   * Choose the root document of the active file among the documents including it.
+   */
+  chooseRoot() {
+    const editor = atom.workspace.getActiveTextEditor();
+    const filePath = editor?.getPath();
+    if (!filePath || !filePath.endsWith(".tex")) {
+      atom.notifications.addWarning("No LaTeX file available");
+      return;
+    }
+
+    const candidates = this.findRootCandidatesForFile(filePath);
+    if (candidates.length === 0) {
+      atom.notifications.addInfo(`${path.basename(filePath)} is not included by another document`);
+      return;
+    }
+    this.rootList.show(filePath, candidates);
+  },
+
+  /**
+   * Drop all cached roots and resolve the open .tex editors again.
+   */
+  rebuildRootIndex() {
+    clearProjectConfigCache();
+    this.rootIndex.clear();
+    this.buildDirectories.clear();
+    const texPaths = atom.workspace
+      .getTextEditors()
+      .map((editor) => editor.getPath())
+      .filter((filePath) => filePath && filePath.endsWith(".tex"));
+    const roots = new Set(texPaths.map((filePath) => this.resolveTexRoot(filePath)));
+
+    atom.notifications.addInfo("Root index rebuilt", {
+      detail: `${texPaths.length} open file(s), ${roots.size} root document(s)`,
+    });
+
+    const activeItem = atom.workspace.getCenter().getActivePaneItem();
+    if (activeItem && atom.workspace.isTextEditor(activeItem)) {
+      this.updateStatusBarVisibility(activeItem, "editor");
+    }
+  },
+
+  /**
+   * Enable compile-on-save for a file whose project file asks for it, once
+   * per session so the file can still be toggled off.
+   * @param {TextEditor} editor - Editor of the file
+   */
+  applyProjectCompileOnSave(editor) {
+    const filePath = editor.getPath();
+    if (!filePath || !filePath.endsWith(".tex")) {
+      return;
+    }
+
+    const key = this.getCompileOnSaveKey(filePath);
+    if (this.projectCompileOnSave.has(key) || readProjectConfig(filePath).compileOnSave !== true) {
+      return;
+    }
 
-      const parentDir = path.dirname(currentDir);
-      if (parentDir === currentDir) {
-        break;
+    this.projectCompileOnSave.add(key);
+    if (this.setCompileOnSaveForFile(filePath, true, editor)) {
+      if (atom.config.get("latex-tools.debug")) {
+        console.log(`[LaTeX Tools] Compile on save enabled by the project for ${filePath}`);
+      }
+      if (atom.workspace.getActiveTextEditor() === editor) {
+        this.updateStatusBarVisibility(editor, "editor");
       }
-      currentDir = parentDir;
     }
+  },
 
-    const candidates = [];
-    for (const candidateDir of candidateDirs) {
-      let entries;
-      try {
-        entries = fs.readdirSync(candidateDir, { withFileTypes: true });
-      } catch (error) {
-        continue;
+  /**
+   * Check the magic comments of an editor's file when it is opened and saved.
+   * @param {TextEditor} editor - Editor of the file
+   */
+  observeMagicComments(editor) {
+    const subscription = editor.onDidSave(() => this.checkMagicComments(editor));
+    this.subscriptions.add(subscription);
+    this.checkMagicComments(editor);
+
+    editor.onDidDestroy(() => {
+      subscription.dispose();
+      if (this.subscriptions) {
+        this.subscriptions.remove(subscription);
       }
 
-      for (const entry of entries) {
-        if (entry.isFile() && entry.name.endsWith(".fls")) {
-          const flsPath = path.join(candidateDir, entry.name);
-          const candidatePath = flsPath.replace(/\.fls$/, ".tex");
-          if (normalizePathForTex(candidatePath) === normalizePathForTex(sourcePath)) {
-            continue;
-          }
+      // Warnings stay while another editor shows the file
+      const filePath = editor.getPath();
+      const stillOpen = atom.workspace
+        .getTextEditors()
+        .some((other) => other !== editor && other.getPath() === filePath);
+      if (filePath && !stillOpen && this.linterProvider) {
+        this.linterProvider.setFileMessages(filePath, []);
+      }
+    });
+  },
 
-          let content;
-          try {
-            content = fs.readFileSync(flsPath, "utf8");
-          } catch (error) {
-            continue;
-          }
+  /**
+   * Apply the editor-based compile-on-save policies to an editor: explicit
+   * saves compile under the save policy, and typing pauses save the file
+   * under the idle policy, which compiles it like any other change.
+   * @param {TextEditor} editor - Editor of a file
+   */
+  observeCompileOnSaveEditor(editor) {
+    let idleTimeout = null;
 
-          if (fs.existsSync(candidatePath) && flsContentIncludesFile(content, candidateDir, sourcePath)) {
-            candidates.push({
-              filePath: candidatePath,
-              hasOutput: true,
-              hasSync: fs.existsSync(candidatePath.replace(/\.tex$/, ".synctex.gz")),
-            });
-          }
-          continue;
-        }
+    const getObservedPolicy = () => {
+      const filePath = editor.getPath();
+      return this.isCompileOnSaveEnabledForFile(filePath)
+        ? this.getCompileOnSavePolicy(filePath)
+        : null;
+    };
 
-        const candidatePath = path.join(candidateDir, entry.name);
-        if (
-          !entry.isFile() ||
-          !entry.name.endsWith(".tex") ||
-          normalizePathForTex(candidatePath) === normalizePathForTex(sourcePath)
-        ) {
-          continue;
+    const saveWhenIdle = () => {
+      idleTimeout = null;
+      if (!editor.isModified() || getObservedPolicy() !== "idle") {
+        return;
+      }
+      Promise.resolve(editor.save()).catch((error) => {
+        if (atom.config.get("latex-tools.debug")) {
+          console.error("[LaTeX Tools] Failed to save idle file:", error);
         }
+      });
+    };
 
-        let content;
-        try {
-          content = fs.readFileSync(candidatePath, "utf8");
-        } catch (error) {
-          continue;
+    const subscription = new CompositeDisposable(
+      editor.onDidSave(() => {
+        if (getObservedPolicy() === "save") {
+          this.compileOnSaveFiles.get(this.getCompileOnSaveKey(editor.getPath())).schedule();
         }
-
-        const candidateHasSync = fs.existsSync(candidatePath.replace(/\.tex$/, ".synctex.gz"));
-        const candidateHasOutput = candidateHasSync || fs.existsSync(candidatePath.replace(/\.tex$/, ".pdf"));
-
-        if (
-          texContentIncludesFile(content, candidateDir, sourcePath) &&
-          (candidateHasOutput || hasRootDocumentMarkers(content))
-        ) {
-          candidates.push({
-            filePath: candidatePath,
-            hasOutput: candidateHasOutput,
-            hasSync: candidateHasSync,
-          });
+      }),
+      // Typing restarts the idle delay, counted from the end of a change burst
+      editor.onDidChange(() => {
+        clearTimeout(idleTimeout);
+        idleTimeout = null;
+      }),
+      editor.onDidStopChanging(() => {
+        if (getObservedPolicy() === "idle") {
+          idleTimeout = setTimeout(
+            saveWhenIdle,
+            atom.config.get("latex-tools.compileOnSaveIdleDelay"),
+          );
         }
+      }),
+      new Disposable(() => clearTimeout(idleTimeout)),
+    );
+    this.subscriptions.add(subscription);
+
+    editor.onDidDestroy(() => {
+      subscription.dispose();
+      if (this.subscriptions) {
+        this.subscriptions.remove(subscription);
+      }
+    });
+  },
+
+  /**
+   * Report unknown or invalid magic comments of an editor's file to the
+   * linter and reopen the file in the encoding its comment asks for.
+   * @param {TextEditor} editor - Editor of the file
+   */
+  checkMagicComments(editor) {
+    const filePath = editor.getPath();
+    if (!filePath || !filePath.endsWith(".tex")) {
+      return;
+    }
+
+    const magicComments = detectMagicComments(filePath);
+    this.linterProvider.setFileMessages(
+      filePath,
+      magicComments.problems.map((problem) => ({ ...problem, severity: "warning" })),
+    );
+
+    if (magicComments.encoding && editor.getEncoding() !== magicComments.encoding) {
+      if (atom.config.get("latex-tools.debug")) {
+        console.log(`[LaTeX Tools] Encoding of ${filePath}: ${magicComments.encoding}`);
       }
+      editor.setEncoding(magicComments.encoding);
     }
 
-    const uniqueCandidates = [];
-    const seenCandidates = new Set();
-    for (const candidate of candidates) {
-      const normalizedCandidate = normalizePathForTex(candidate.filePath);
-      if (seenCandidates.has(normalizedCandidate)) {
-        continue;
+    if (atom.workspace.getActiveTextEditor() === editor) {
+      this.applySpellCheckLocale(editor, magicComments);
+    }
+  },
+
+  /**
+   * Give the spell-check package the language of the `% !TEX spellcheck`
+   * comment of the active LaTeX file. The locale is set in memory for the
+   * grammar scope of the editor, so it follows the active file and is never
+   * written to config.cson; files without the comment use the user's locales.
+   * @param {TextEditor} editor - Active text editor
+   * @param {Object} [magicComments] - Magic comments of its file, read if omitted
+   */
+  applySpellCheckLocale(editor, magicComments = null) {
+    const filePath = editor.getPath();
+    if (!filePath || !filePath.endsWith(".tex")) {
+      return;
+    }
+
+    const locale = (magicComments || detectMagicComments(filePath)).spellcheck;
+    const scopeSelector = `.${editor.getRootScopeDescriptor().getScopesArray()[0]}`;
+    const options = { scopeSelector, source: SETTINGS_SOURCE };
+    if (locale) {
+      if (atom.config.get("latex-tools.debug")) {
+        console.log(`[LaTeX Tools] Spell checking ${filePath} in ${locale}`);
+      }
+      atom.config.set("spell-check.locales", [locale], options);
+      this.spellCheckScopes.add(scopeSelector);
+    } else if (this.spellCheckScopes.has(scopeSelector)) {
+      atom.config.unset("spell-check.locales", options);
+      this.spellCheckScopes.delete(scopeSelector);
+    }
+  },
+
+  /**
+   * Reload project files changed on disk.
+   * @param {Array<Object>} events - File system events of the project
+   */
+  handleProjectConfigChanges(events) {
+    const configPaths = events
+      .flatMap((event) => [event.path, event.oldPath])
+      .filter((changedPath) => changedPath && path.basename(changedPath) === PROJECT_FILE_NAME);
+    if (configPaths.length === 0) {
+      return;
+    }
+
+    for (const configPath of configPaths) {
+      clearProjectConfigCache(configPath);
+      const config = readProjectConfig(configPath);
+      const problems = config.configPath === configPath ? getProjectConfigProblems(config) : [];
+      if (problems.length > 0) {
+        atom.notifications.addWarning(`Invalid ${PROJECT_FILE_NAME}`, {
+          detail: `${configPath}\n${problems.join("\n")}`,
+          dismissable: true,
+        });
+      } else if (atom.config.get("latex-tools.debug")) {
+        console.log(`[LaTeX Tools] Project file reloaded: ${configPath}`);
       }
+    }
+
+    // Declared roots and build directories may have changed
+    this.rootIndex.clear();
+    this.buildDirectories.clear();
+    for (const editor of atom.workspace.getTextEditors()) {
+      this.applyProjectCompileOnSave(editor);
+    }
 
-      seenCandidates.add(normalizedCandidate);
-      uniqueCandidates.push(candidate);
+    const activeItem = atom.workspace.getCenter().getActivePaneItem();
+    if (activeItem && atom.workspace.isTextEditor(activeItem)) {
+      this.updateStatusBarVisibility(activeItem, "editor");
     }
+  },
 
-    return uniqueCandidates
-      .sort((a, b) => Number(b.hasSync) - Number(a.hasSync) || Number(b.hasOutput) - Number(a.hasOutput))
-      .map((candidate) => candidate.filePath);
+  /**
+   * Tell the root index about the build metadata a build of a root wrote,
+   * which may live outside of the project and its file watcher.
+   * @param {string} rootPath - Path to the root .tex file
+   */
+  invalidateBuildArtifacts(rootPath) {
+    for (const ext of ["fls", "synctex.gz", "pdf"]) {
+      this.rootIndex.invalidate(this.getArtifactPathForRoot(rootPath, ext));
+    }
   },
 
   /**
@@ -2038,49 +3463,25 @@ module.exports = {
       return null;
     }
 
-    const pdfPath = rootPath.replace(/\.tex$/, ".pdf");
-    const syncPath = rootPath.replace(/\.tex$/, ".synctex.gz");
-    const fs = require("fs");
-
-    if (!fs.existsSync(syncPath)) {
-      if (atom.config.get("latex-tools.debug")) {
-        console.log("[LaTeX Tools] SyncTeX file not found:", syncPath);
-      }
-      return null;
-    }
+    const pdfPath = this.getArtifactPathForRoot(rootPath, "pdf");
+    const syncPath = this.getArtifactPathForRoot(rootPath, "synctex.gz");
+    const synctexPath = atom.config.get("latex-tools.synctexPath");
 
     try {
-      const { execFileSync } = require("child_process");
-      const synctexPath = atom.config.get("latex-tools.synctexPath") || "synctex";
-      const result = execFileSync(
-        synctexPath,
-        ["view", "-i", `${line}:${column}:${texPath}`, "-o", pdfPath],
-        {
-          encoding: "utf8",
-          timeout: 5000,
-        },
-      );
-
-      // Parse synctex output
-      const pageMatch = result.match(/Page:(\d+)/);
-      const xMatch = result.match(/x:([\d.]+)/);
-      const yMatch = result.match(/y:([\d.]+)/);
-      const widthMatch = result.match(/W:([\d.]+)/);
-      const heightMatch = result.match(/H:([\d.]+)/);
-
-      if (pageMatch) {
-        return {
-          page: parseInt(pageMatch[1], 10),
-          x: xMatch ? parseFloat(xMatch[1]) : 0,
-          y: yMatch ? parseFloat(yMatch[1]) : 0,
-          width: widthMatch ? parseFloat(widthMatch[1]) : 0,
-          height: heightMatch ? parseFloat(heightMatch[1]) : 0,
-          pdfPath,
-          rootPath,
-        };
+      let location;
+      if (synctexPath) {
+        location = await synctexView(synctexPath, { texPath, line, column, pdfPath });
+      } else {
+        const synctexFile = await this.synctexCache.load(syncPath);
+        if (!synctexFile) {
+          if (atom.config.get("latex-tools.debug")) {
+            console.log("[LaTeX Tools] SyncTeX file not found:", syncPath);
+          }
+          return null;
+        }
+        location = synctexFile.findPdfLocation(texPath, line, column);
       }
-
-      return null;
+      return location ? { ...location, pdfPath, rootPath } : null;
     } catch (error) {
       if (atom.config.get("latex-tools.debug")) {
         console.error("[LaTeX Tools] SyncTeX forward sync failed:", error);
@@ -2095,50 +3496,47 @@ module.exports = {
    * @param {number} page - Page number (1-based)
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
-   * @returns {Promise<Object|null>} Source location or null
+   * @returns {Promise<Object>} Source location { file, line, column }, or
+   *   { reason, message } when the lookup failed
    */
   async syncToSource(pdfPath, page, x, y) {
     if (!pdfPath || !pdfPath.endsWith(".pdf")) {
-      return null;
+      return syncFailure("invalid-path", `Not a PDF file: ${pdfPath}`);
     }
 
-    const syncPath = pdfPath.replace(/\.pdf$/, ".synctex.gz");
     const fs = require("fs");
-
-    if (!fs.existsSync(syncPath)) {
-      if (atom.config.get("latex-tools.debug")) {
-        console.log("[LaTeX Tools] SyncTeX file not found:", syncPath);
-      }
-      return null;
-    }
+    // The SyncTeX file is where the build of the root writes it; builds with
+    // -synctex=-1 write it uncompressed
+    const rootPath = this.findTexFileForPdf(pdfPath);
+    const compressedPath = rootPath
+      ? this.getArtifactPathForRoot(rootPath, "synctex.gz")
+      : pdfPath.replace(/\.pdf$/, ".synctex.gz");
+    const syncPath = [compressedPath, compressedPath.replace(/\.gz$/, "")].find((candidate) =>
+      fs.existsSync(candidate),
+    );
+    const synctexPath = atom.config.get("latex-tools.synctexPath");
+    let result;
 
     try {
-      const { execSync } = require("child_process");
-      const result = execSync(`synctex edit -o "${page}:${x}:${y}:${pdfPath}"`, {
-        encoding: "utf8",
-        timeout: 5000,
-      });
-
-      // Parse synctex output
-      const inputMatch = result.match(/Input:(.+)/);
-      const lineMatch = result.match(/Line:(\d+)/);
-      const columnMatch = result.match(/Column:(\d+)/);
-
-      if (inputMatch && lineMatch) {
-        return {
-          file: inputMatch[1].trim(),
-          line: parseInt(lineMatch[1], 10),
-          column: columnMatch ? parseInt(columnMatch[1], 10) : 0,
-        };
+      if (!syncPath) {
+        result = syncFailure("missing-synctex", `SyncTeX file not found: ${compressedPath}`);
+      } else if (synctexPath) {
+        result = await synctexEdit(synctexPath, { pdfPath, page, x, y });
+      } else {
+        const synctexFile = await this.synctexCache.load(syncPath);
+        result =
+          (synctexFile && synctexFile.findSourceLocation(page, x, y)) ||
+          syncFailure("no-match", `No source location on page ${page} at ${x}, ${y}`);
       }
-
-      return null;
     } catch (error) {
-      if (atom.config.get("latex-tools.debug")) {
-        console.error("[LaTeX Tools] SyncTeX backward sync failed:", error);
-      }
-      return null;
+      // Program failures are sync failures already, reading errors are not
+      result = error.reason ? error : syncFailure("failed", error.message);
+    }
+
+    if (result.reason && atom.config.get("latex-tools.debug")) {
+      console.log(`[LaTeX Tools] SyncTeX backward sync failed (${result.reason}):`, result.message);
     }
+    return result;
   },
 
   /**
@@ -2156,7 +3554,7 @@ module.exports = {
     const result = await this.syncToPdf(file, position.row + 1, position.column + 1);
     if (!result) return;
 
-    const pdfFile = result.pdfPath || file.replace(/\.tex$/, ".pdf");
+    const pdfFile = result.pdfPath || this.getPdfPathForFile(file);
 
     // open() returns existing viewer or creates new one
     const viewer = await atom.workspace.open(`${pdfFile}`, {
@@ -2164,6 +3562,18 @@ module.exports = {
       searchAllPanes: true,
     });
 
+    await this.showPdfLocation(viewer, result);
+
+    atom.views.getView(editor).focus();
+  },
+
+  /**
+   * Scroll a PDF viewer to a forward SyncTeX result and highlight its box.
+   * Highlighting needs a viewer providing highlightRect(pageIndex, x, y, width, height).
+   * @param {Object} viewer - pdf-viewer pane item
+   * @param {Object} location - Result of syncToPdf()
+   */
+  async showPdfLocation(viewer, location) {
     // Wait for viewer to be ready if it was just created
     if (viewer.whenReady) {
       await viewer.whenReady();
@@ -2171,9 +3581,126 @@ module.exports = {
 
     // Scroll to precise position if viewer supports it
     if (viewer.scrollToPosition) {
-      viewer.scrollToPosition(result.page - 1, result.x, result.y);
+      viewer.scrollToPosition(location.page - 1, location.x, location.y);
     }
 
-    atom.views.getView(editor).focus();
+    // The box extends from the baseline up by its height
+    if (viewer.highlightRect && location.width > 0 && location.height > 0) {
+      viewer.highlightRect(
+        location.page - 1,
+        location.x,
+        location.y - location.height,
+        location.width,
+        location.height,
+      );
+    }
+  },
+
+  /**
+   * Toggle follow-cursor mode for the root of the active document.
+   */
+  toggleFollowCursor() {
+    const editor = atom.workspace.getActiveTextEditor();
+    const filePath = editor?.getPath()?.endsWith(".tex") ? editor.getPath() : this.currentTexFile;
+    if (!filePath) {
+      atom.notifications.addWarning("No LaTeX file available");
+      return;
+    }
+
+    const rootPath = this.getRootFilePath(filePath) || filePath;
+    const fileName = path.basename(rootPath);
+    if (this.followCursor.toggle(rootPath)) {
+      atom.notifications.addInfo(`Following the cursor in the PDF of ${fileName}`);
+    } else {
+      atom.notifications.addInfo(`Stopped following the cursor for ${fileName}`);
+    }
+  },
+
+  /**
+   * Forward sync of follow-cursor mode. Only scrolls a PDF viewer that is
+   * already open, and leaves the focus in the editor.
+   * @param {string} filePath - Path to the .tex file
+   * @param {number} line - Line number (1-based)
+   * @param {number} column - Column number
+   */
+  async followCursorSync(filePath, line, column) {
+    const result = await this.syncToPdf(filePath, line, column);
+    if (!result) {
+      return;
+    }
+
+    const pdfPath = normalizePathForTex(result.pdfPath);
+    const viewer = atom.workspace
+      .getPaneItems()
+      .find((item) => item.filePath && normalizePathForTex(item.filePath) === pdfPath);
+    if (viewer) {
+      await this.showPdfLocation(viewer, result);
+    }
+  },
+
+  /**
+   * Backward sync of a modifier-click in a PDF viewer: opens the source
+   * file at the clicked line, next to the other editors of the document.
+   * @param {string} pdfPath - Path to the .pdf file
+   * @param {number} page - Page number (1-based)
+   * @param {number} x - X coordinate in PDF points
+   * @param {number} y - Y coordinate in PDF points
+   */
+  async reverseSyncToSource(pdfPath, page, x, y) {
+    const result = await this.syncToSource(pdfPath, page, x, y);
+    if (result.reason) {
+      atom.notifications.addWarning("Backward SyncTeX failed", { detail: result.message });
+      return;
+    }
+
+    const keepPending = atom.config.get("latex-tools.reverseSyncKeepPending");
+    const rootPath = this.findTexFileForPdf(pdfPath);
+    const rootPane = rootPath ? this.findPaneForRoot(rootPath) : null;
+    if (rootPane && !atom.workspace.paneForURI(result.file)) {
+      rootPane.activate();
+    }
+
+    const editor = await atom.workspace.open(result.file, {
+      initialLine: result.line - 1,
+      initialColumn: result.column > 0 ? result.column - 1 : 0,
+      searchAllPanes: true,
+      pending: keepPending,
+    });
+
+    const pane = atom.workspace.paneForItem(editor);
+    if (!keepPending && pane && pane.getPendingItem() === editor) {
+      pane.clearPendingItem();
+    }
+  },
+
+  /**
+   * Find the pane holding the editors of a document, preferring the one of
+   * the root file itself.
+   * @param {string} rootPath - Path to the root .tex file
+   * @returns {Pane|null}
+   */
+  findPaneForRoot(rootPath) {
+    const normalizedRoot = normalizePathForTex(rootPath);
+    const panes = atom.workspace.getCenter().getPanes();
+    const findPane = (matches) =>
+      panes.find((pane) =>
+        pane
+          .getItems()
+          .some(
+            (item) =>
+              atom.workspace.isTextEditor(item) &&
+              item.getPath()?.endsWith(".tex") &&
+              matches(item.getPath()),
+          ),
+      );
+
+    return (
+      findPane((filePath) => normalizePathForTex(filePath) === normalizedRoot) ||
+      findPane(
+        (filePath) =>
+          normalizePathForTex(this.getRootFilePath(filePath) || filePath) === normalizedRoot,
+      ) ||
+      null
+    );
   },
 };
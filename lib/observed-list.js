@@ -1,6 +1,7 @@
 const { CompositeDisposable } = require("atom");
 const { SelectListView, createTwoLineItem, highlightMatches } = require("@asiloisad/select-list");
 const path = require("path");
+const { getPolicy } = require("./compile-on-save-policies");
 
 module.exports = class ObservedFilesList {
   constructor(mainModule) {
@@ -15,14 +16,18 @@ module.exports = class ObservedFilesList {
       helpMarkdown:
         "Available commands:\n" +
         "- **Enter**: Open file\n" +
-        "- **Ctrl+D**: Stop observing selected file",
+        "- **Ctrl+D**: Stop observing selected file\n" +
+        "- **Ctrl+T**: Pin or unpin selected file (pinned files survive clearing)",
       willShow: () => this.update(),
       filterKeyForItem: (item) => item.displayPath,
       elementForItem: (item, { filterKey, matchIndices }) => {
         return createTwoLineItem({
           primary: highlightMatches(filterKey, matchIndices),
-          secondary: item.rootDisplayPath ? `Root: ${item.rootDisplayPath}` : "Root: unresolved",
-          icon: ["icon-file-text"],
+          secondary:
+            (item.rootDisplayPath ? `Root: ${item.rootDisplayPath}` : "Root: unresolved") +
+            ` | Policy: ${item.policyTitle}` +
+            (item.pinned ? " | Pinned" : ""),
+          icon: [item.pinned ? "icon-pin" : "icon-file-text"],
         });
       },
       didConfirmSelection: (item) => {
@@ -37,6 +42,7 @@ module.exports = class ObservedFilesList {
     this.disposables.add(
       atom.commands.add(this.selectList.element, {
         "latex-tools:unobserve-selected-file": () => this.unobserveSelectedFile(),
+        "latex-tools:toggle-pin-selected-file": () => this.togglePinSelectedFile(),
       }),
     );
   }
@@ -49,6 +55,8 @@ module.exports = class ObservedFilesList {
         rootPath,
         displayPath: this.displayPath(filePath),
         rootDisplayPath: rootPath ? this.displayPath(rootPath) : "",
+        pinned: this.mainModule.isCompileOnSavePinned(filePath),
+        policyTitle: getPolicy(this.mainModule.getCompileOnSavePolicy(filePath)).title,
       };
     });
   }
@@ -86,6 +94,17 @@ module.exports = class ObservedFilesList {
     }
   }
 
+  togglePinSelectedFile() {
+    const item = this.selectList.getSelectedItem();
+    if (!item) {
+      return;
+    }
+
+    const index = this.selectList.selectionIndex ?? 0;
+    this.mainModule.setCompileOnSavePinned(item.filePath, !item.pinned);
+    this.update(index);
+  }
+
   show() {
     this.selectList.show();
   }
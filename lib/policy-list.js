@@ -0,0 +1,71 @@
+const { SelectListView, createTwoLineItem, highlightMatches } = require("@asiloisad/select-list");
+const path = require("path");
+const { POLICIES, getPolicy } = require("./compile-on-save-policies");
+
+// Pseudo policy that falls back to the global setting
+const DEFAULT_ITEM = { name: null, title: "Default setting", isDefault: true };
+
+module.exports = class PolicyList {
+  constructor(mainModule) {
+    this.mainModule = mainModule;
+    this.rootPath = null;
+    this.items = [];
+
+    this.selectList = new SelectListView({
+      className: "latex-tools-policy-list",
+      placeholderText: "Select a compile-on-save policy...",
+      helpMarkdown: "- **Enter**: Use policy for the current root",
+      filterKeyForItem: (item) => item.title,
+      elementForItem: (item, { filterKey, matchIndices }) => {
+        return createTwoLineItem({
+          primary: highlightMatches(filterKey, matchIndices),
+          secondary: this.describeItem(item),
+          icon: [item.isSelected ? "icon-check" : "icon-clock"],
+        });
+      },
+      didConfirmSelection: (item) => {
+        this.selectList.hide();
+        this.mainModule.setCompileOnSavePolicyForRoot(this.rootPath, item.name);
+        const policy = getPolicy(this.mainModule.getCompileOnSavePolicy(this.rootPath));
+        atom.notifications.addInfo(
+          `Compile-on-save policy for ${path.basename(this.rootPath)}: ${policy.title}`,
+        );
+      },
+      didCancelSelection: () => {
+        this.selectList.hide();
+      },
+    });
+  }
+
+  describeItem(item) {
+    if (item.isDefault) {
+      const policy = getPolicy(this.mainModule.getDefaultCompileOnSavePolicy(this.rootPath));
+      return `Use the global setting or the project file (${policy.title})`;
+    }
+    return item.description;
+  }
+
+  update() {
+    const selected = this.mainModule.getCompileOnSavePolicySelection(this.rootPath);
+    this.items = [DEFAULT_ITEM, ...POLICIES].map((item) => ({
+      ...item,
+      isSelected: selected ? item.name === selected : Boolean(item.isDefault),
+    }));
+
+    const selectedIndex = this.items.findIndex((item) => item.isSelected);
+    this.selectList.update({
+      items: this.items,
+      initialSelectionIndex: Math.max(0, selectedIndex),
+    });
+  }
+
+  show(rootPath) {
+    this.rootPath = rootPath;
+    this.update();
+    this.selectList.show();
+  }
+
+  destroy() {
+    this.selectList.destroy();
+  }
+};
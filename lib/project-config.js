@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+const { resolveEngineName } = require("./build-backends");
+const { getPolicy } = require("./compile-on-save-policies");
+
+// Name of the project file that configures the documents of a project
+const PROJECT_FILE_NAME = ".latex-tools.json";
+
+// Configuration of files without a project file
+const EMPTY_CONFIG = Object.freeze({
+  configPath: null,
+  error: null,
+  problems: [],
+  roots: [],
+  engine: null,
+  recipe: null,
+  outputDirectory: null,
+  auxDirectory: null,
+  cleanPatterns: null,
+  latexmkArgs: [],
+  env: {},
+  compileOnSave: null,
+  compileOnSavePolicy: null,
+  recipes: [],
+});
+
+// Parsed project files by path, reloaded when their mtime or size changes
+const cache = new Map();
+
+/**
+ * Find the project directory containing a file.
+ * @param {string} filePath - Path to a file inside the project
+ * @param {Array<string>} [projectPaths] - Project folders, defaults to the open ones
+ * @returns {string|null} Project directory, or null if the file is outside any project
+ */
+function getProjectPathForFile(filePath, projectPaths = atom.project.getPaths()) {
+  const resolvedPath = path.resolve(filePath);
+  const containing = projectPaths
+    .map((projectPath) => path.resolve(projectPath))
+    .filter((projectPath) => {
+      const relativePath = path.relative(projectPath, resolvedPath);
+      return relativePath && !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
+    });
+
+  // Nested project folders: the innermost one wins
+  containing.sort((a, b) => b.length - a.length);
+  return containing[0] || null;
+}
+
+/**
+ * Find the project file applying to a file. Directories are searched from the
+ * file upwards to its project folder; outside any project only the directory
+ * of the file is searched.
+ * @param {string} filePath - Path to a file of the project
+ * @param {Array<string>} [projectPaths] - Project folders, defaults to the open ones
+ * @returns {string|null} Path of the project file, or null if there is none
+ */
+function findProjectConfigFile(filePath, projectPaths = atom.project.getPaths()) {
+  const projectPath = getProjectPathForFile(filePath, projectPaths);
+  let currentDir = path.dirname(path.resolve(filePath));
+
+  while (true) {
+    const configPath = path.join(currentDir, PROJECT_FILE_NAME);
+    if (fs.existsSync(configPath)) {
+      return configPath;
+    }
+
+    const parentDir = path.dirname(currentDir);
+    if (!projectPath || currentDir === projectPath || parentDir === currentDir) {
+      return null;
+    }
+    currentDir = parentDir;
+  }
+}
+
+function stringOrNull(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function stringList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim());
+}
+
+/**
+ * Validate the content of a project file and fill in defaults.
+ * @param {Object} content - Parsed JSON of the project file
+ * @param {string} configPath - Path of the project file
+ * @returns {Object} Normalized project configuration; `problems` lists the
+ *   values that were ignored
+ */
+function normalizeProjectConfig(content, configPath) {
+  if (!content || typeof content !== "object" || Array.isArray(content)) {
+    throw new Error("The project file must contain a JSON object");
+  }
+
+  const configDir = path.dirname(configPath);
+  const problems = [];
+  const engineName = stringOrNull(content.engine);
+  const engine = engineName ? resolveEngineName(engineName) : null;
+  if (engineName && !engine) {
+    problems.push(`Unknown engine "${engineName}"`);
+  }
+  const policyName = stringOrNull(content.compileOnSavePolicy);
+  const policy = getPolicy(policyName);
+  if (policyName && !policy) {
+    problems.push(`Unknown compile-on-save policy "${policyName}"`);
+  }
+
+  return {
+    ...EMPTY_CONFIG,
+    configPath,
+    problems,
+    roots: stringList(content.root).map((rootPath) => {
+      const resolvedPath = path.resolve(configDir, rootPath);
+      return resolvedPath.endsWith(".tex") ? resolvedPath : `${resolvedPath}.tex`;
+    }),
+    engine,
+    recipe: stringOrNull(content.recipe),
+    outputDirectory: stringOrNull(content.outputDirectory),
+    auxDirectory: stringOrNull(content.auxDirectory),
+    cleanPatterns: content.cleanPatterns === undefined ? null : stringList(content.cleanPatterns),
+    latexmkArgs: content.latexmkArgs === undefined ? [] : stringList(content.latexmkArgs),
+    env:
+      content.env && typeof content.env === "object" && !Array.isArray(content.env)
+        ? Object.fromEntries(
+            Object.entries(content.env).map(([name, value]) => [name, String(value)]),
+          )
+        : {},
+    compileOnSave: typeof content.compileOnSave === "boolean" ? content.compileOnSave : null,
+    compileOnSavePolicy: policy ? policy.name : null,
+    recipes: Array.isArray(content.recipes) ? content.recipes : [],
+  };
+}
+
+/**
+ * Read the project configuration applying to a file. The project file is
+ * parsed again whenever it changes on disk.
+ * @param {string} filePath - Path to a file of the project
+ * @param {Array<string>} [projectPaths] - Project folders, defaults to the open ones
+ * @returns {Object} Normalized project configuration; invalid project files
+ *   give the defaults with an error message
+ */
+function readProjectConfig(filePath, projectPaths = atom.project.getPaths()) {
+  const configPath = findProjectConfigFile(filePath, projectPaths);
+  if (!configPath) {
+    return EMPTY_CONFIG;
+  }
+
+  let stats;
+  try {
+    stats = fs.statSync(configPath);
+  } catch (error) {
+    cache.delete(configPath);
+    return EMPTY_CONFIG;
+  }
+
+  const cached = cache.get(configPath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached.config;
+  }
+
+  let config;
+  try {
+    config = normalizeProjectConfig(JSON.parse(fs.readFileSync(configPath, "utf8")), configPath);
+  } catch (error) {
+    if (atom.config.get("latex-tools.debug")) {
+      console.error(`[LaTeX Tools] Failed to read ${configPath}:`, error);
+    }
+    config = { ...EMPTY_CONFIG, configPath, error: error.message };
+  }
+
+  cache.set(configPath, { mtimeMs: stats.mtimeMs, size: stats.size, config });
+  return config;
+}
+
+/**
+ * Forget parsed project files.
+ * @param {string} [configPath] - Project file to forget, all if omitted
+ */
+function clearProjectConfigCache(configPath) {
+  if (configPath) {
+    cache.delete(configPath);
+  } else {
+    cache.clear();
+  }
+}
+
+module.exports = {
+  PROJECT_FILE_NAME,
+  getProjectPathForFile,
+  findProjectConfigFile,
+  normalizeProjectConfig,
+  readProjectConfig,
+  clearProjectConfigCache,
+};
@@ -0,0 +1,478 @@
+const { Disposable } = require("atom");
+const fs = require("fs");
+const path = require("path");
+
+// Packages that usually define a command or environment
+const PACKAGES = {
+  // amsmath and friends
+  align: "amsmath",
+  binom: "amsmath",
+  boldsymbol: "amsmath",
+  DeclareMathOperator: "amsmath",
+  dfrac: "amsmath",
+  eqref: "amsmath",
+  gather: "amsmath",
+  multline: "amsmath",
+  text: "amsmath",
+  tfrac: "amsmath",
+  mathbb: "amssymb",
+  mathfrak: "amssymb",
+  mathscr: "mathrsfs",
+  theorem: "amsthm",
+  proof: "amsthm",
+  // Graphics, colors and floats
+  includegraphics: "graphicx",
+  color: "xcolor",
+  definecolor: "xcolor",
+  textcolor: "xcolor",
+  tikz: "tikz",
+  tikzpicture: "tikz",
+  subcaption: "subcaption",
+  subfigure: "subcaption",
+  // Tables
+  bottomrule: "booktabs",
+  midrule: "booktabs",
+  toprule: "booktabs",
+  longtable: "longtable",
+  multirow: "multirow",
+  tabularx: "tabularx",
+  // Links and references
+  autoref: "hyperref",
+  href: "hyperref",
+  url: "url",
+  cref: "cleveref",
+  Cref: "cleveref",
+  // Bibliographies
+  citep: "natbib",
+  citet: "natbib",
+  addbibresource: "biblatex",
+  autocite: "biblatex",
+  parencite: "biblatex",
+  printbibliography: "biblatex",
+  textcite: "biblatex",
+  // Code and algorithms
+  lstinputlisting: "listings",
+  lstlisting: "listings",
+  minted: "minted",
+  algorithm: "algorithm",
+  algorithmic: "algpseudocode",
+  // Units, layout and text
+  num: "siunitx",
+  qty: "siunitx",
+  SI: "siunitx",
+  si: "siunitx",
+  unit: "siunitx",
+  multicols: "multicol",
+  lipsum: "lipsum",
+  todo: "todonotes",
+};
+
+// `\usepackage[options]{a,b}` with the package list in group 1
+const USEPACKAGE_PATTERN = /\\usepackage\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/g;
+
+// Bibliography databases, e.g. \bibliography{refs,more} or \addbibresource{refs.bib}
+const BIBLIOGRAPHY_PATTERN = /\\(?:bibliography|addbibresource)\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/g;
+
+// Entries of a .bib file, e.g. "@article{smith2020,"
+const BIB_ENTRY_PATTERN = /^\s*@\w+\s*[{(]\s*([^,\s]+)\s*,/;
+
+/**
+ * Get the package defining a command or environment, looking at the
+ * `commandPackages` setting first.
+ * @param {string} name - Command (with or without backslash) or environment name
+ * @returns {string|null} Package name
+ */
+function findPackage(name) {
+  for (const entry of atom.config.get("latex-tools.commandPackages") || []) {
+    const [command, packageName] = String(entry).split("=");
+    if (command && packageName && command.trim().replace(/^\\/, "") === name) {
+      return packageName.trim();
+    }
+  }
+  return Object.prototype.hasOwnProperty.call(PACKAGES, name) ? PACKAGES[name] : null;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function getMessageRange(message) {
+  const { start, end } = message.location.position;
+  return [
+    [start.row, start.column],
+    [end.row, end.column],
+  ];
+}
+
+/**
+ * Find the text editor of a file, opening it if needed.
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<TextEditor>}
+ */
+function openEditor(filePath) {
+  const editor = atom.workspace.getTextEditors().find((item) => item.getPath() === filePath);
+  if (editor) {
+    return Promise.resolve(editor);
+  }
+  return atom.workspace.open(filePath, { searchAllPanes: true });
+}
+
+/**
+ * Add `\usepackage{name}` to the preamble of a root document, after the
+ * last \usepackage or else right before \begin{document}.
+ * @param {string} rootPath - Path to the root .tex file
+ * @param {string} packageName - Package to load
+ */
+async function addPackage(rootPath, packageName) {
+  const editor = await openEditor(rootPath);
+  const lines = editor.getBuffer().getLines();
+  let row = -1;
+  for (let index = 0; index < lines.length; index++) {
+    if (/^\s*\\begin\s*\{document\}/.test(lines[index])) {
+      if (row === -1) {
+        row = index;
+      }
+      break;
+    }
+    if (/^\s*\\(?:usepackage|documentclass)\b/.test(lines[index])) {
+      row = index + 1;
+    }
+  }
+
+  editor.getBuffer().insert([Math.max(row, 0), 0], `\\usepackage{${packageName}}\n`);
+}
+
+function reportAddPackageError(rootPath, packageName, error) {
+  atom.notifications.addError(`Failed to add ${packageName} to ${path.basename(rootPath)}`, {
+    detail: error.message,
+    dismissable: true,
+  });
+}
+
+function wrapSelectionsInMath(filePath) {
+  const editor = atom.workspace.getTextEditors().find((item) => item.getPath() === filePath);
+  if (!editor) {
+    atom.notifications.addWarning(`Open ${path.basename(filePath)} to wrap the selection`);
+    return;
+  }
+
+  editor.transact(() => {
+    for (const selection of editor.getSelections()) {
+      const text = selection.getText();
+      const range = selection.insertText(`$${text}$`);
+      if (!text) {
+        // Leave the cursor between the dollars
+        editor.setCursorBufferPosition([range.end.row, range.end.column - 1]);
+      }
+    }
+  });
+}
+
+/**
+ * Install a LaTeX package with the configured install command.
+ * @param {string} packageName - Package name, e.g. "siunitx"
+ */
+function installPackage(packageName) {
+  const { execFile } = require("child_process");
+  const template = atom.config.get("latex-tools.packageInstallCommand") || "";
+  const [command, ...args] = template
+    .trim()
+    .split(/\s+/)
+    .map((part) => part.replace("{package}", packageName));
+
+  if (!command) {
+    atom.notifications.addWarning("No package install command configured");
+    return;
+  }
+
+  atom.notifications.addInfo(`Installing ${packageName}...`);
+  execFile(command, args, (error, stdout, stderr) => {
+    if (error) {
+      atom.notifications.addError(`Failed to install ${packageName}`, {
+        detail: `${[command, ...args].join(" ")}\n\n${stderr || error.message}\n\nThe package may have another name in your TeX distribution, or installing may require administrator rights.`,
+        dismissable: true,
+      });
+      return;
+    }
+    atom.notifications.addSuccess(`Installed ${packageName}`, { detail: stdout.trim() });
+  });
+}
+
+function isPackageLoaded(lines, packageName) {
+  const content = lines.join("\n");
+  for (const match of content.matchAll(USEPACKAGE_PATTERN)) {
+    if (match[1].split(",").some((name) => name.trim() === packageName)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find a replacement removing a package from the \usepackage of a line.
+ * @returns {Object|null} { position, currentText, replaceWith }
+ */
+function findPackageUsage(line, packageName, row) {
+  if (line === undefined) {
+    return null;
+  }
+
+  for (const match of line.matchAll(USEPACKAGE_PATTERN)) {
+    const names = match[1].split(",").map((name) => name.trim());
+    if (!names.includes(packageName)) {
+      continue;
+    }
+
+    const others = names.filter((name) => name !== packageName);
+    const replaceWith = others.length
+      ? match[0].replace(/\{[^}]*\}$/, `{${others.join(",")}}`)
+      : "";
+    return {
+      position: [
+        [row, match.index],
+        [row, match.index + match[0].length],
+      ],
+      currentText: match[0],
+      replaceWith,
+    };
+  }
+  return null;
+}
+
+function findPackageUsageInLines(lines, packageName) {
+  for (let row = 0; row < lines.length; row++) {
+    const usage = findPackageUsage(lines[row], packageName, row);
+    if (usage) {
+      return usage;
+    }
+  }
+  return null;
+}
+
+const BUILT_IN_RULES = [
+  {
+    name: "undefined-control-sequence",
+    match: /^Undefined control sequence/,
+    solutions(message, match, { rootPath, getLines }) {
+      // TeX breaks the context line right after the undefined command
+      const commands = (message.context || "").match(/\\[a-zA-Z@]+/g);
+      const command = commands ? commands[commands.length - 1].slice(1) : null;
+      const packageName = command && findPackage(command);
+      if (!packageName || isPackageLoaded(getLines(rootPath), packageName)) {
+        return [];
+      }
+      return [
+        {
+          title: `Add \\usepackage{${packageName}} for \\${command}`,
+          apply: () =>
+            addPackage(rootPath, packageName).catch((error) =>
+              reportAddPackageError(rootPath, packageName, error),
+            ),
+        },
+      ];
+    },
+  },
+  {
+    name: "undefined-environment",
+    match: /Environment (\S+) undefined/,
+    solutions(message, match, { rootPath, getLines }) {
+      const packageName = findPackage(match[1]);
+      if (!packageName || isPackageLoaded(getLines(rootPath), packageName)) {
+        return [];
+      }
+      return [
+        {
+          title: `Add \\usepackage{${packageName}} for ${match[1]}`,
+          apply: () =>
+            addPackage(rootPath, packageName).catch((error) =>
+              reportAddPackageError(rootPath, packageName, error),
+            ),
+        },
+      ];
+    },
+  },
+  {
+    name: "missing-math-shift",
+    match: /^Missing \$ inserted/,
+    solutions(message) {
+      return [
+        {
+          title: "Wrap selection in math mode",
+          apply: () => wrapSelectionsInMath(message.location.fullPath),
+        },
+      ];
+    },
+  },
+  {
+    name: "missing-package",
+    match: /File [`']([^'`]+)\.sty' not found/,
+    solutions(message, match, { getLine, getLines }) {
+      const packageName = match[1];
+      const solutions = [
+        {
+          title: `Install ${packageName}`,
+          apply: () => installPackage(packageName),
+        },
+      ];
+
+      const { fullPath } = message.location;
+      const row = message.location.position.start.row;
+      const usage = findPackageUsage(getLine(fullPath, row), packageName, row);
+      const removal = usage || findPackageUsageInLines(getLines(fullPath), packageName);
+      if (removal) {
+        solutions.push({ title: `Remove \\usepackage{${packageName}}`, ...removal });
+      }
+      return solutions;
+    },
+  },
+  {
+    name: "undefined-citation",
+    match: /Citation [`'"]([^'"]+)['"] (?:on page \S+ )?undefined/,
+    solutions(message, match, { getLine, getBibliographyKeys }) {
+      const key = match[1];
+      const { start } = message.location.position;
+      const line = getLine(message.location.fullPath, start.row);
+      const column = line ? line.indexOf(key, start.column) : -1;
+      if (column === -1) {
+        return [];
+      }
+
+      const maxDistance = Math.max(2, Math.floor(key.length / 3));
+      return getBibliographyKeys()
+        .map((candidate) => ({ candidate, distance: levenshtein(key, candidate) }))
+        .filter(({ distance }) => distance > 0 && distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 3)
+        .map(({ candidate }, index) => ({
+          title: `Change to ${candidate}`,
+          position: [
+            [start.row, column],
+            [start.row, column + key.length],
+          ],
+          currentText: key,
+          replaceWith: candidate,
+          priority: 3 - index,
+        }));
+    },
+  },
+];
+
+/**
+ * Creates linter solutions for log messages from a table of rules.
+ *
+ * A rule is `{ name, match, solutions }`. `match` is a RegExp tested against
+ * the message excerpt, and `solutions(message, match, context)` returns
+ * linter solutions, either `{ title, position, replaceWith, currentText }`
+ * or `{ title, position, apply }`. The position defaults to the range of the
+ * message. The context has the `rootPath` of the document and helpers to
+ * read source lines and bibliography keys.
+ */
+module.exports = class QuickFixes {
+  constructor() {
+    this.rules = BUILT_IN_RULES.slice();
+    this.fileLines = new Map(); // file path -> lines, for one call of getSolutions
+  }
+
+  /**
+   * Add a rule in front of the built-in ones.
+   * @param {Object} rule - { name: string, match: RegExp, solutions: Function }
+   * @returns {Disposable} Removes the rule
+   */
+  addRule(rule) {
+    if (!rule || !(rule.match instanceof RegExp) || typeof rule.solutions !== "function") {
+      throw new Error("A quick-fix rule needs a `match` RegExp and a `solutions` function");
+    }
+
+    this.rules.unshift(rule);
+    return new Disposable(() => {
+      const index = this.rules.indexOf(rule);
+      if (index !== -1) {
+        this.rules.splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Get the linter solutions of a log message.
+   * @param {Object} message - Message from LogParser or BlgParser
+   * @param {string} rootPath - Path to the root .tex file of the document
+   * @returns {Array<Object>} Linter solutions, possibly empty
+   */
+  getSolutions(message, rootPath) {
+    const context = {
+      rootPath,
+      getLine: (filePath, row) => this.readFileLines(filePath)[row],
+      getLines: (filePath) => this.readFileLines(filePath),
+      getBibliographyKeys: () => this.getBibliographyKeys(rootPath),
+    };
+    const solutions = [];
+
+    for (const rule of this.rules) {
+      const match = message.excerpt.match(rule.match);
+      if (!match) {
+        continue;
+      }
+
+      try {
+        for (const solution of rule.solutions(message, match, context) || []) {
+          solutions.push({ position: getMessageRange(message), ...solution });
+        }
+      } catch (error) {
+        if (atom.config.get("latex-tools.debug")) {
+          console.error(`[LaTeX Tools] Quick-fix rule ${rule.name} failed:`, error);
+        }
+      }
+    }
+
+    return solutions;
+  }
+
+  /**
+   * Forget cached file contents. Called once the solutions of a build are created.
+   */
+  clearCache() {
+    this.fileLines.clear();
+  }
+
+  readFileLines(filePath) {
+    if (!this.fileLines.has(filePath)) {
+      let lines = [];
+      try {
+        lines = fs.readFileSync(filePath, "utf8").split(/\r?\n/);
+      } catch (error) {
+        // Files may have been moved or deleted since the build
+      }
+      this.fileLines.set(filePath, lines);
+    }
+    return this.fileLines.get(filePath);
+  }
+
+  // Keys of the databases named by \bibliography or \addbibresource in the root file
+  getBibliographyKeys(rootPath) {
+    const content = this.readFileLines(rootPath).join("\n");
+    const keys = new Set();
+    for (const match of content.matchAll(BIBLIOGRAPHY_PATTERN)) {
+      for (const name of match[1].split(",")) {
+        const fileName = name.trim().endsWith(".bib") ? name.trim() : `${name.trim()}.bib`;
+        for (const line of this.readFileLines(path.resolve(path.dirname(rootPath), fileName))) {
+          const entry = line.match(BIB_ENTRY_PATTERN);
+          if (entry) {
+            keys.add(entry[1]);
+          }
+        }
+      }
+    }
+    return Array.from(keys);
+  }
+};
+
+module.exports.BUILT_IN_RULES = BUILT_IN_RULES;
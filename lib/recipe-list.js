@@ -0,0 +1,90 @@
+const { SelectListView, createTwoLineItem, highlightMatches } = require("@asiloisad/select-list");
+const path = require("path");
+const { getRecipes } = require("./recipes");
+
+// Pseudo recipe that falls back to the global build settings
+const DEFAULT_ITEM = { name: "Default settings", isDefault: true };
+
+module.exports = class RecipeList {
+  constructor(mainModule) {
+    this.mainModule = mainModule;
+    this.rootPath = null;
+    this.items = [];
+
+    this.selectList = new SelectListView({
+      className: "latex-tools-recipe-list",
+      emptyMessage: "No recipes defined",
+      placeholderText: "Select a build recipe...",
+      helpMarkdown:
+        "Recipes are defined in the `recipes` setting or in a `.latex-tools.json` project file.\n" +
+        "- **Enter**: Use recipe for the current root",
+      filterKeyForItem: (item) => item.name,
+      elementForItem: (item, { filterKey, matchIndices }) => {
+        return createTwoLineItem({
+          primary: highlightMatches(filterKey, matchIndices),
+          secondary: this.describeItem(item),
+          icon: [item.isSelected ? "icon-check" : "icon-gear"],
+        });
+      },
+      didConfirmSelection: (item) => {
+        this.selectList.hide();
+        this.mainModule.setRecipeForRoot(this.rootPath, item.isDefault ? null : item.name);
+        atom.notifications.addInfo(
+          `Recipe for ${path.basename(this.rootPath)}: ${item.isDefault ? "default settings" : item.name}`,
+        );
+      },
+      didCancelSelection: () => {
+        this.selectList.hide();
+      },
+    });
+  }
+
+  describeItem(item) {
+    if (item.isDefault) {
+      return "Use the global build settings";
+    }
+
+    const parts = [item.source === "project" ? "Project" : "Settings"];
+    if (item.error) {
+      parts.push(`Invalid: ${item.error}`);
+    }
+    if (item.backend) {
+      parts.push(item.backend);
+    }
+    if (item.engine) {
+      parts.push(item.engine);
+    }
+    if (item.args.length > 0) {
+      parts.push(item.args.join(" "));
+    }
+    if (item.postSteps.length > 0) {
+      parts.push(`${item.postSteps.length} post-step${item.postSteps.length === 1 ? "" : "s"}`);
+    }
+    return parts.join(" | ");
+  }
+
+  update() {
+    const selected = this.mainModule.getRecipeForRoot(this.rootPath);
+    const recipes = getRecipes(this.rootPath);
+    this.items = [DEFAULT_ITEM, ...recipes].map((item) => ({
+      ...item,
+      isSelected: selected ? item.name === selected.name : Boolean(item.isDefault),
+    }));
+
+    const selectedIndex = this.items.findIndex((item) => item.isSelected);
+    this.selectList.update({
+      items: this.items,
+      initialSelectionIndex: Math.max(0, selectedIndex),
+    });
+  }
+
+  show(rootPath) {
+    this.rootPath = rootPath;
+    this.update();
+    this.selectList.show();
+  }
+
+  destroy() {
+    this.selectList.destroy();
+  }
+};
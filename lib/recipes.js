@@ -0,0 +1,150 @@
+const { BACKENDS, resolveEngineName } = require("./build-backends");
+const { expandPlaceholders } = require("./utils");
+const { PROJECT_FILE_NAME, getProjectPathForFile, readProjectConfig } = require("./project-config");
+
+/**
+ * Validate a raw recipe definition and fill in defaults.
+ * @param {Object} recipe - Raw recipe from settings or a project file
+ * @param {string} source - Where the recipe was defined ('project' or 'settings')
+ * @returns {Object|null} Normalized recipe, or null if it has no name; `error`
+ *   tells why a recipe with an unknown backend or engine cannot be used
+ */
+function normalizeRecipe(recipe, source) {
+  if (!recipe || typeof recipe.name !== "string" || !recipe.name.trim()) {
+    return null;
+  }
+
+  const errors = [];
+  let backend = null;
+  if (recipe.backend) {
+    backend = String(recipe.backend).trim().toLowerCase();
+    if (!BACKENDS[backend]) {
+      errors.push(`Unknown backend "${recipe.backend}"`);
+    }
+  }
+  let engine = null;
+  if (recipe.engine) {
+    engine = resolveEngineName(recipe.engine);
+    if (!engine) {
+      errors.push(`Unknown engine "${recipe.engine}"`);
+    }
+  }
+
+  return {
+    name: recipe.name.trim(),
+    source,
+    backend,
+    engine,
+    synctex: typeof recipe.synctex === "boolean" ? recipe.synctex : null,
+    shellEscape: typeof recipe.shellEscape === "boolean" ? recipe.shellEscape : null,
+    args: Array.isArray(recipe.args) ? recipe.args.map(String) : [],
+    env: recipe.env && typeof recipe.env === "object" ? recipe.env : {},
+    postSteps: Array.isArray(recipe.postSteps)
+      ? recipe.postSteps.filter((step) => step && step.command)
+      : [],
+    error: errors.length > 0 ? errors.join(", ") : null,
+  };
+}
+
+/**
+ * Get all recipes available for a root document.
+ * Project recipes come first and shadow global recipes with the same name.
+ * @param {string} rootPath - Path to the root .tex file
+ * @returns {Array<Object>} Normalized recipes
+ */
+function getRecipes(rootPath) {
+  const projectRecipes = rootPath ? readProjectConfig(rootPath).recipes : [];
+  const configRecipes = atom.config.get("latex-tools.recipes") || [];
+  const recipes = [];
+  const seenNames = new Set();
+
+  for (const [source, list] of [
+    ["project", projectRecipes],
+    ["settings", configRecipes],
+  ]) {
+    for (const rawRecipe of list) {
+      const recipe = normalizeRecipe(rawRecipe, source);
+      if (recipe && !seenNames.has(recipe.name)) {
+        seenNames.add(recipe.name);
+        recipes.push(recipe);
+      }
+    }
+  }
+
+  return recipes;
+}
+
+/**
+ * Find a recipe by name for a root document.
+ * @param {string} rootPath - Path to the root .tex file
+ * @param {string} name - Recipe name
+ * @returns {Object|null} Normalized recipe, or null if not defined
+ */
+function findRecipe(rootPath, name) {
+  if (!name) {
+    return null;
+  }
+  return getRecipes(rootPath).find((recipe) => recipe.name === name) || null;
+}
+
+/**
+ * List what is wrong in a project file: the reason it could not be read, or
+ * the ignored values and a default recipe that is not defined anywhere.
+ * @param {Object} config - Normalized project configuration
+ * @returns {Array<string>} Problem descriptions, empty if the file is valid
+ */
+function getProjectConfigProblems(config) {
+  if (config.error) {
+    return [config.error];
+  }
+  const problems = [...config.problems];
+  if (config.recipe && !findRecipe(config.configPath, config.recipe)) {
+    problems.push(`Unknown recipe "${config.recipe}"`);
+  }
+  return problems;
+}
+
+/**
+ * Apply a recipe on top of a build context.
+ * @param {Object} context - Build context created from the global settings
+ * @param {Object|null} recipe - Normalized recipe
+ * @returns {Object} The updated context
+ */
+function applyRecipe(context, recipe) {
+  if (!recipe) {
+    return context;
+  }
+
+  const expand = (value) => expandPlaceholders(String(value), context.filePath);
+
+  context.recipe = recipe.name;
+  if (recipe.engine) {
+    context.engine = recipe.engine;
+  }
+  if (recipe.synctex !== null) {
+    context.synctex = recipe.synctex;
+  }
+  if (recipe.shellEscape !== null) {
+    context.shellEscape = recipe.shellEscape;
+  }
+  context.extraArgs = context.extraArgs.concat(recipe.args.map(expand));
+  for (const [name, value] of Object.entries(recipe.env)) {
+    context.env[name] = expand(value);
+  }
+  context.postSteps = recipe.postSteps.map((step) => ({
+    command: expand(step.command),
+    args: Array.isArray(step.args) ? step.args.map(expand) : [],
+    postStep: true,
+  }));
+
+  return context;
+}
+
+module.exports = {
+  PROJECT_FILE_NAME,
+  getProjectPathForFile,
+  getRecipes,
+  findRecipe,
+  getProjectConfigProblems,
+  applyRecipe,
+};
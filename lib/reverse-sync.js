@@ -0,0 +1,119 @@
+const { CompositeDisposable, Disposable } = require("atom");
+
+// pdf.js renders each page into an element like <div class="page" data-page-number="3">
+const PAGE_SELECTOR = ".page[data-page-number]";
+
+/**
+ * Check whether the configured modifier was held during a click.
+ * @param {MouseEvent} event - The click
+ * @param {string} modifier - "ctrl", "alt", "shift" or "meta"
+ * @returns {boolean}
+ */
+function matchesModifier(event, modifier) {
+  return Boolean(event[`${modifier}Key`]);
+}
+
+/**
+ * Convert a click on a rendered page to PDF points from the top left corner.
+ * @param {Object} pageRect - Bounding client rect of the page element
+ * @param {number} clientX - Horizontal position of the click
+ * @param {number} clientY - Vertical position of the click
+ * @param {number} scaleFactor - CSS pixels per PDF point
+ * @returns {Object} { x, y }
+ */
+function toPdfPoint(pageRect, clientX, clientY, scaleFactor) {
+  return {
+    x: (clientX - pageRect.left) / scaleFactor,
+    y: (clientY - pageRect.top) / scaleFactor,
+  };
+}
+
+/**
+ * Backward SyncTeX from clicks in pdf-viewer items: a click with the
+ * configured modifier asks for the source location of the clicked point.
+ */
+class ReverseSync {
+  /**
+   * @param {Object} callbacks
+   * @param {Function} callbacks.sync - Called with (pdfPath, page, x, y), page 1-based
+   */
+  constructor(callbacks) {
+    this.callbacks = callbacks;
+    this.items = new Map(); // viewer item -> Disposables of its click and destroy handlers
+  }
+
+  /**
+   * Handle modifier-clicks of a viewer, once per item.
+   * @param {Object} item - pdf-viewer pane item with a filePath
+   */
+  attach(item) {
+    const element = item.element || atom.views.getView(item);
+    if (this.items.has(item) || !element) {
+      return;
+    }
+
+    const onClick = (event) => this.handleClick(item, event);
+    element.addEventListener("click", onClick, true);
+    const disposables = new CompositeDisposable(
+      new Disposable(() => element.removeEventListener("click", onClick, true)),
+    );
+    this.items.set(item, disposables);
+
+    if (item.onDidDestroy) {
+      disposables.add(item.onDidDestroy(() => this.detach(item)));
+    }
+  }
+
+  detach(item) {
+    const disposable = this.items.get(item);
+    if (disposable) {
+      disposable.dispose();
+      this.items.delete(item);
+    }
+  }
+
+  handleClick(item, event) {
+    if (!matchesModifier(event, atom.config.get("latex-tools.reverseSyncModifier"))) {
+      return;
+    }
+
+    const pageElement = event.target.closest && event.target.closest(PAGE_SELECTOR);
+    if (!pageElement) {
+      return;
+    }
+
+    // pdf.js keeps the zoom of the pages in a CSS variable
+    const scaleFactor = parseFloat(
+      window.getComputedStyle(pageElement).getPropertyValue("--scale-factor"),
+    );
+    if (!scaleFactor) {
+      if (atom.config.get("latex-tools.debug")) {
+        console.log("[LaTeX Tools] Reverse sync: unknown page scale of", item.filePath);
+      }
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const page = parseInt(pageElement.dataset.pageNumber, 10);
+    const { x, y } = toPdfPoint(
+      pageElement.getBoundingClientRect(),
+      event.clientX,
+      event.clientY,
+      scaleFactor,
+    );
+    this.callbacks.sync(item.filePath, page, x, y);
+  }
+
+  destroy() {
+    for (const disposable of this.items.values()) {
+      disposable.dispose();
+    }
+    this.items.clear();
+  }
+}
+
+module.exports = ReverseSync;
+module.exports.matchesModifier = matchesModifier;
+module.exports.toPdfPoint = toPdfPoint;
@@ -0,0 +1,305 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Root document discovery: finds the documents that include a source file,
+ * from build metadata (.fls) and from include commands in their sources.
+ */
+
+function normalizePathForTex(filePath) {
+  const normalizedPath = path.normalize(filePath);
+  return process.platform === "win32" ? normalizedPath.toLowerCase() : normalizedPath;
+}
+
+// Records what discovery reads, so cached results can be invalidated. The
+// default tracker records nothing.
+const NO_TRACKER = { file() {}, directory() {} };
+
+function exists(filePath, tracker) {
+  tracker.file(filePath);
+  return fs.existsSync(filePath);
+}
+
+function readText(filePath, tracker) {
+  tracker.file(filePath);
+  return fs.readFileSync(filePath, "utf8");
+}
+
+function hasRootDocumentMarkers(content) {
+  return (
+    /\\documentclass(?:\[[^\]]*\])?\s*\{/.test(content) || /\\begin\s*\{document\}/.test(content)
+  );
+}
+
+function resolveTexReference(baseDir, reference) {
+  const cleanReference = reference.trim().replace(/^["']|["']$/g, "");
+  if (!cleanReference) {
+    return null;
+  }
+
+  const resolvedPath = path.resolve(baseDir, cleanReference);
+  return resolvedPath.endsWith(".tex") ? resolvedPath : `${resolvedPath}.tex`;
+}
+
+function collectTexReferences(content, candidateDir) {
+  const references = [];
+  const includePattern = /\\(?:input|include|subfile)\s*\{([^}]+)\}/g;
+  const importPattern = /\\(?:sub)?import\s*\{([^}]*)\}\s*\{([^}]+)\}/g;
+  let match;
+
+  while ((match = includePattern.exec(content))) {
+    const includedPath = resolveTexReference(candidateDir, match[1]);
+    if (includedPath) {
+      references.push(includedPath);
+    }
+  }
+
+  while ((match = importPattern.exec(content))) {
+    const importDir = path.resolve(candidateDir, match[1].trim());
+    const includedPath = resolveTexReference(importDir, match[2]);
+    if (includedPath) {
+      references.push(includedPath);
+    }
+  }
+
+  return references;
+}
+
+function texContentIncludesFile(
+  content,
+  candidateDir,
+  sourcePath,
+  visited = new Set(),
+  tracker = NO_TRACKER,
+) {
+  const normalizedSource = normalizePathForTex(sourcePath);
+  const references = collectTexReferences(content, candidateDir);
+
+  for (const includedPath of references) {
+    const normalizedIncludedPath = normalizePathForTex(includedPath);
+    if (normalizedIncludedPath === normalizedSource) {
+      return true;
+    }
+
+    if (visited.has(normalizedIncludedPath) || !exists(includedPath, tracker)) {
+      continue;
+    }
+
+    visited.add(normalizedIncludedPath);
+    let includedContent;
+    try {
+      includedContent = readText(includedPath, tracker);
+    } catch (error) {
+      continue;
+    }
+
+    if (
+      texContentIncludesFile(
+        includedContent,
+        path.dirname(includedPath),
+        sourcePath,
+        visited,
+        tracker,
+      )
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Read the files recorded in an .fls file of the -recorder option.
+ * @param {string} content - Content of the .fls file
+ * @param {string} flsDir - Directory relative INPUT and OUTPUT lines are resolved against
+ * @returns {Object} { inputs, outputs } with absolute paths, each listed once
+ */
+function readFlsFiles(content, flsDir) {
+  const inputs = new Set();
+  const outputs = new Set();
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^(INPUT|OUTPUT)\s+(.+)$/);
+    if (!match) {
+      continue;
+    }
+
+    const recordedPath = match[2].trim();
+    const resolvedPath = path.isAbsolute(recordedPath)
+      ? recordedPath
+      : path.resolve(flsDir, recordedPath);
+    (match[1] === "INPUT" ? inputs : outputs).add(resolvedPath);
+  }
+
+  return { inputs: Array.from(inputs), outputs: Array.from(outputs) };
+}
+
+function flsContentIncludesFile(content, flsDir, sourcePath) {
+  const normalizedSource = normalizePathForTex(sourcePath);
+  return readFlsFiles(content, flsDir).inputs.some(
+    (inputPath) => normalizePathForTex(inputPath) === normalizedSource,
+  );
+}
+
+function getSiblingArtifactPath(rootPath, ext) {
+  return rootPath.replace(/\.tex$/, `.${ext}`);
+}
+
+/**
+ * Find likely root documents that include a source file. The directories
+ * from the file up to its project root are scanned; candidates with SyncTeX
+ * data come first, then candidates with build output.
+ * @param {string} filePath - Path to a .tex file
+ * @param {Object} [options]
+ * @param {Array<string>} [options.projectPaths] - Project roots bounding the upward scan
+ * @param {Function} [options.getArtifactPath] - (rootPath, ext) => path of a build artifact
+ * @param {Object} [options.tracker] - { file(path), directory(path) }, told about every
+ *   file checked or read and every directory listed
+ * @returns {Array<string>} Candidate root .tex paths
+ */
+function findRootCandidatesForFile(filePath, options = {}) {
+  const sourcePath = path.resolve(filePath);
+  const sourceDir = path.dirname(sourcePath);
+  const projectPaths = (options.projectPaths || []).map((projectPath) => path.resolve(projectPath));
+  const getArtifactPath = options.getArtifactPath || getSiblingArtifactPath;
+  const tracker = options.tracker || NO_TRACKER;
+  const candidateDirs = [];
+
+  let currentDir = sourceDir;
+  while (currentDir && !candidateDirs.includes(currentDir)) {
+    candidateDirs.push(currentDir);
+
+    const reachedProjectRoot = projectPaths.some(
+      (projectPath) => normalizePathForTex(projectPath) === normalizePathForTex(currentDir),
+    );
+    if (reachedProjectRoot) {
+      break;
+    }
+
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) {
+      break;
+    }
+    currentDir = parentDir;
+  }
+
+  const candidates = [];
+  for (const candidateDir of candidateDirs) {
+    let entries;
+    tracker.directory(candidateDir);
+    try {
+      entries = fs.readdirSync(candidateDir, { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (entry.isFile() && entry.name.endsWith(".fls")) {
+        const flsPath = path.join(candidateDir, entry.name);
+        const candidatePath = flsPath.replace(/\.fls$/, ".tex");
+        if (normalizePathForTex(candidatePath) === normalizePathForTex(sourcePath)) {
+          continue;
+        }
+
+        let content;
+        try {
+          content = readText(flsPath, tracker);
+        } catch (error) {
+          continue;
+        }
+
+        if (
+          exists(candidatePath, tracker) &&
+          flsContentIncludesFile(content, candidateDir, sourcePath)
+        ) {
+          candidates.push({
+            filePath: candidatePath,
+            hasOutput: true,
+            hasSync: exists(getArtifactPath(candidatePath, "synctex.gz"), tracker),
+          });
+        }
+        continue;
+      }
+
+      const candidatePath = path.join(candidateDir, entry.name);
+      if (
+        !entry.isFile() ||
+        !entry.name.endsWith(".tex") ||
+        normalizePathForTex(candidatePath) === normalizePathForTex(sourcePath)
+      ) {
+        continue;
+      }
+
+      let content;
+      try {
+        content = readText(candidatePath, tracker);
+      } catch (error) {
+        continue;
+      }
+
+      const candidateHasSync = exists(getArtifactPath(candidatePath, "synctex.gz"), tracker);
+      const candidateHasOutput =
+        candidateHasSync || exists(getArtifactPath(candidatePath, "pdf"), tracker);
+
+      // Build metadata in a separate aux directory is not found by the .fls scan above
+      const candidateFlsPath = getArtifactPath(candidatePath, "fls");
+      let flsContent = null;
+      if (path.dirname(candidateFlsPath) !== candidateDir && exists(candidateFlsPath, tracker)) {
+        try {
+          flsContent = readText(candidateFlsPath, tracker);
+        } catch (error) {
+          continue;
+        }
+      }
+      if (flsContent !== null && flsContentIncludesFile(flsContent, candidateDir, sourcePath)) {
+        candidates.push({
+          filePath: candidatePath,
+          hasOutput: true,
+          hasSync: candidateHasSync,
+        });
+        continue;
+      }
+
+      if (
+        texContentIncludesFile(content, candidateDir, sourcePath, new Set(), tracker) &&
+        (candidateHasOutput || hasRootDocumentMarkers(content))
+      ) {
+        candidates.push({
+          filePath: candidatePath,
+          hasOutput: candidateHasOutput,
+          hasSync: candidateHasSync,
+        });
+      }
+    }
+  }
+
+  const uniqueCandidates = [];
+  const seenCandidates = new Set();
+  for (const candidate of candidates) {
+    const normalizedCandidate = normalizePathForTex(candidate.filePath);
+    if (seenCandidates.has(normalizedCandidate)) {
+      continue;
+    }
+
+    seenCandidates.add(normalizedCandidate);
+    uniqueCandidates.push(candidate);
+  }
+
+  return uniqueCandidates
+    .sort(
+      (a, b) => Number(b.hasSync) - Number(a.hasSync) || Number(b.hasOutput) - Number(a.hasOutput),
+    )
+    .map((candidate) => candidate.filePath);
+}
+
+module.exports = {
+  normalizePathForTex,
+  hasRootDocumentMarkers,
+  resolveTexReference,
+  collectTexReferences,
+  texContentIncludesFile,
+  readFlsFiles,
+  flsContentIncludesFile,
+  findRootCandidatesForFile,
+};
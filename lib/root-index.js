@@ -0,0 +1,151 @@
+const { CompositeDisposable } = require("atom");
+const path = require("path");
+const { normalizePathForTex } = require("./root-discovery");
+
+// Directory dependencies end with a separator, so they never collide with files
+function directoryKey(directoryPath) {
+  return normalizePathForTex(directoryPath).replace(/[\\/]*$/, path.sep);
+}
+
+/**
+ * Cache of root document resolution. Every resolved file remembers the files
+ * and directories discovery looked at; a change to any of them drops the
+ * cached root.
+ */
+module.exports = class RootIndex {
+  constructor() {
+    this.entries = new Map(); // normalized file path -> { result, dependencies }
+    this.dependents = new Map(); // dependency key -> Set of normalized file paths
+    this.subscriptions = null;
+  }
+
+  /**
+   * Get the cached root of a file, or discover and cache it.
+   * @param {string} filePath - Path to a .tex file
+   * @param {Function} discover - Called with a tracker { file(path), directory(path) }
+   *   that has to be told about everything discovery reads; returns the root
+   * @returns {*} Cached result of discover
+   */
+  resolve(filePath, discover) {
+    const key = normalizePathForTex(filePath);
+    const entry = this.entries.get(key);
+    if (entry) {
+      return entry.result;
+    }
+
+    const dependencies = new Set([key]);
+    const result = discover({
+      file: (dependencyPath) => dependencies.add(normalizePathForTex(dependencyPath)),
+      directory: (directoryPath) => dependencies.add(directoryKey(directoryPath)),
+    });
+
+    this.entries.set(key, { result, dependencies });
+    for (const dependency of dependencies) {
+      if (!this.dependents.has(dependency)) {
+        this.dependents.set(dependency, new Set());
+      }
+      this.dependents.get(dependency).add(key);
+    }
+    return result;
+  }
+
+  /**
+   * Drop the cached roots depending on a file that was created, changed or
+   * removed. Files appearing in a listed directory count as a change too.
+   * @param {string} changedPath - Path of the changed file or directory
+   * @returns {number} Number of dropped roots
+   */
+  invalidate(changedPath) {
+    const keys = [
+      normalizePathForTex(changedPath),
+      directoryKey(changedPath),
+      directoryKey(path.dirname(changedPath)),
+    ];
+    const affected = new Set();
+    for (const key of keys) {
+      for (const filePath of this.dependents.get(key) || []) {
+        affected.add(filePath);
+      }
+    }
+
+    for (const filePath of affected) {
+      this.remove(filePath);
+    }
+    if (affected.size > 0 && atom.config.get("latex-tools.debug")) {
+      console.log(`[LaTeX Tools] Root index: ${changedPath} invalidated ${affected.size} file(s)`);
+    }
+    return affected.size;
+  }
+
+  remove(filePath) {
+    const entry = this.entries.get(filePath);
+    if (!entry) {
+      return;
+    }
+
+    this.entries.delete(filePath);
+    for (const dependency of entry.dependencies) {
+      const dependents = this.dependents.get(dependency);
+      if (dependents) {
+        dependents.delete(filePath);
+        if (dependents.size === 0) {
+          this.dependents.delete(dependency);
+        }
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.dependents.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Invalidate on file system changes in the project, saved buffers and
+   * changed settings or project paths.
+   * @returns {Disposable}
+   */
+  watch() {
+    this.subscriptions = new CompositeDisposable();
+    this.subscriptions.add(
+      atom.project.onDidChangeFiles((events) => {
+        for (const event of events) {
+          this.invalidate(event.path);
+          if (event.oldPath) {
+            this.invalidate(event.oldPath);
+          }
+        }
+      }),
+      // Saves outside the project and renamed buffers are not seen by the watcher
+      atom.workspace.observeTextEditors((editor) => {
+        const buffer = editor.getBuffer();
+        const bufferSubscriptions = new CompositeDisposable(
+          buffer.onDidSave(({ path: savedPath }) => this.invalidate(savedPath)),
+          buffer.onDidChangePath((newPath) => this.invalidate(newPath)),
+        );
+        this.subscriptions.add(bufferSubscriptions);
+        editor.onDidDestroy(() => {
+          bufferSubscriptions.dispose();
+          if (this.subscriptions) {
+            this.subscriptions.remove(bufferSubscriptions);
+          }
+        });
+      }),
+      atom.config.onDidChange("latex-tools", () => this.clear()),
+      atom.project.onDidChangePaths(() => this.clear()),
+    );
+    return this.subscriptions;
+  }
+
+  destroy() {
+    if (this.subscriptions) {
+      this.subscriptions.dispose();
+      this.subscriptions = null;
+    }
+    this.clear();
+  }
+};
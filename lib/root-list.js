@@ -0,0 +1,74 @@
+const { SelectListView, createTwoLineItem, highlightMatches } = require("@asiloisad/select-list");
+const path = require("path");
+
+module.exports = class RootList {
+  constructor(mainModule) {
+    this.mainModule = mainModule;
+    this.filePath = null;
+    this.onDidChoose = null;
+    this.items = [];
+
+    this.selectList = new SelectListView({
+      className: "latex-tools-root-list",
+      emptyMessage: "No root documents found",
+      placeholderText: "Select the root document...",
+      helpMarkdown:
+        "The file is included by several documents.\n" +
+        "- **Enter**: Build the file as part of this document",
+      filterKeyForItem: (item) => item.name,
+      elementForItem: (item, { filterKey, matchIndices }) => {
+        return createTwoLineItem({
+          primary: highlightMatches(filterKey, matchIndices),
+          secondary: item.description,
+          icon: [item.isSelected ? "icon-check" : "icon-file-text"],
+        });
+      },
+      didConfirmSelection: (item) => {
+        this.selectList.hide();
+        this.mainModule.setRootForFile(this.filePath, item.rootPath);
+        atom.notifications.addInfo(`Root of ${path.basename(this.filePath)}: ${item.name}`);
+        if (this.onDidChoose) {
+          this.onDidChoose(item.rootPath);
+        }
+      },
+      didCancelSelection: () => {
+        this.selectList.hide();
+      },
+    });
+  }
+
+  describeRoot(rootPath) {
+    const [projectPath, relativePath] = atom.project.relativizePath(rootPath);
+    return projectPath ? relativePath : rootPath;
+  }
+
+  /**
+   * Show the root documents of a file.
+   * @param {string} filePath - Path to the included .tex file
+   * @param {Array<string>} candidates - Root .tex paths including the file
+   * @param {Function} [onDidChoose] - Called with the chosen root path
+   */
+  show(filePath, candidates, onDidChoose = null) {
+    this.filePath = filePath;
+    this.onDidChoose = onDidChoose;
+
+    const currentRoot = this.mainModule.getRootFilePath(filePath);
+    this.items = candidates.map((rootPath) => ({
+      rootPath,
+      name: path.basename(rootPath),
+      description: this.describeRoot(rootPath),
+      isSelected: rootPath === currentRoot,
+    }));
+
+    const selectedIndex = this.items.findIndex((item) => item.isSelected);
+    this.selectList.update({
+      items: this.items,
+      initialSelectionIndex: Math.max(0, selectedIndex),
+    });
+    this.selectList.show();
+  }
+
+  destroy() {
+    this.selectList.destroy();
+  }
+};
@@ -1,3 +1,5 @@
+const path = require("path");
+
 module.exports = class StatusBarView {
   constructor(callbacks = {}) {
     if (atom.config.get("latex-tools.debug")) {
@@ -9,10 +11,19 @@ module.exports = class StatusBarView {
     this.buildStartTime = null;
     this.currentStatus = "";
     this.compileOnSave = false;
+    this.continuous = false;
+    this.followCursor = false;
+    this.rootPath = null;
+    this.progress = null;
 
     this.element = document.createElement("div");
     this.element.classList.add("latex-tools-status", "inline-block");
 
+    // Create continuous mode indicator (hidden unless latexmk -pvc runs)
+    this.continuousIcon = document.createElement("span");
+    this.continuousIcon.classList.add("latex-tools-status-continuous", "icon", "icon-sync");
+    this.continuousIcon.style.display = "none";
+
     // Create TeX label
     this.label = document.createElement("span");
     this.label.classList.add("latex-tools-status-label");
@@ -22,13 +33,38 @@ module.exports = class StatusBarView {
     this.timer = document.createElement("span");
     this.timer.classList.add("latex-tools-status-timer");
 
+    // Create follow-cursor toggle, dimmed while the mode is off
+    this.followIcon = document.createElement("span");
+    this.followIcon.classList.add("latex-tools-status-follow", "icon", "icon-location");
+    this.followTooltip = null;
+
+    this.element.appendChild(this.continuousIcon);
     this.element.appendChild(this.label);
     this.element.appendChild(this.timer);
+    this.element.appendChild(this.followIcon);
 
-    // Add native Atom tooltip
+    // Add native Atom tooltip, naming the root document when known
     this.tooltip = atom.tooltips.add(this.element, {
-      title:
-        "Left click: Compile | Alt+Left click: Toggle file observation | Middle click: Split PDF/TeX | Right click: Kill & Clean",
+      title: () => {
+        const actions =
+          "Left click: Compile | Alt+Left click: Toggle file observation | Middle click: Split PDF/TeX | Right click: Kill & Clean";
+        const lines = [actions];
+        if (this.progress) {
+          lines.unshift(`Phase: ${this.progress.phase}, pass ${this.progress.pass}`);
+        }
+        if (this.rootPath) {
+          lines.unshift(`Root: ${path.basename(this.rootPath)}`);
+        }
+        return lines.join("<br>");
+      },
+    });
+
+    // The toggle handles its own clicks so they do not compile
+    this.followIcon.addEventListener("mousedown", (event) => {
+      event.stopPropagation();
+      if (event.button === 0 && this.callbacks.onToggleFollowCursor) {
+        this.callbacks.onToggleFollowCursor();
+      }
     });
 
     // Add mousedown handler for all mouse buttons
@@ -75,6 +111,7 @@ module.exports = class StatusBarView {
 
     // Initialize to idle state
     this.setStatus("idle");
+    this.setFollowCursor(false);
     if (atom.config.get("latex-tools.debug")) {
       console.log("[LaTeX Tools] StatusBarView created");
     }
@@ -115,11 +152,13 @@ module.exports = class StatusBarView {
       console.log(`[LaTeX Tools] setStatus: ${status}, message: ${message}`);
     }
     this.currentStatus = status;
+    this.setProgress(null);
     this.show();
 
     // Clear previous classes
     this.element.classList.remove(
       "status-idle",
+      "status-queued",
       "status-building",
       "status-success",
       "status-error",
@@ -140,6 +179,15 @@ module.exports = class StatusBarView {
         }
         break;
 
+      case "queued":
+        // Waiting for a free build slot
+        this.stopTimer();
+        this.element.classList.add("status-queued");
+        this.timer.style.display = "";
+        this.timer.textContent = "Queued";
+        this.buildStartTime = null;
+        break;
+
       case "success":
         if (atom.config.get("latex-tools.debug")) {
           console.log("[LaTeX Tools] Setting status to success");
@@ -197,7 +245,43 @@ module.exports = class StatusBarView {
   // Update compile-on-save indicator
   setCompileOnSave(enabled) {
     this.compileOnSave = enabled;
-    this.label.textContent = enabled ? "TeX*" : "TeX";
+    this.updateLabel();
+  }
+
+  // Update the phase of the running build, e.g. { phase: "pdflatex", pass: 2 }
+  setProgress(progress) {
+    this.progress = progress;
+    this.updateLabel();
+  }
+
+  updateLabel() {
+    const label = this.compileOnSave ? "TeX*" : "TeX";
+    this.label.textContent = this.progress
+      ? `${label} ${this.progress.phase} #${this.progress.pass}`
+      : label;
+  }
+
+  // Update continuous mode (latexmk -pvc) indicator
+  setContinuous(enabled) {
+    this.continuous = enabled;
+    this.continuousIcon.style.display = enabled ? "" : "none";
+  }
+
+  // Update follow-cursor toggle
+  setFollowCursor(enabled) {
+    this.followCursor = enabled;
+    this.followIcon.classList.toggle("active", enabled);
+    if (this.followTooltip) {
+      this.followTooltip.dispose();
+    }
+    this.followTooltip = atom.tooltips.add(this.followIcon, {
+      title: enabled ? "Following cursor in PDF (click to stop)" : "Follow cursor in PDF",
+    });
+  }
+
+  // Update the root document named in the tooltip
+  setRootPath(rootPath) {
+    this.rootPath = rootPath;
   }
 
   show() {
@@ -223,6 +307,10 @@ module.exports = class StatusBarView {
       this.tooltip.dispose();
       this.tooltip = null;
     }
+    if (this.followTooltip) {
+      this.followTooltip.dispose();
+      this.followTooltip = null;
+    }
     this.element.remove();
   }
 
@@ -0,0 +1,445 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// Records of the content section, e.g. "(1,12:4736286,6880814:25137278,655360,0"
+// type, tag, line, column?, h, v, width?, height?, depth?
+const RECORD_PATTERN =
+  /^([[(vhkg$xr])(\d+),(\d+)(?:,(-?\d+))?:(-?\d+),(-?\d+)(?::(-?\d+)(?:,(-?\d+),(-?\d+))?)?/;
+
+// Input files, e.g. "Input:2:/home/user/paper/./chapters/intro.tex"
+const INPUT_PATTERN = /^Input:(\d+):(.+)$/;
+
+// Header fields, e.g. "Magnification:1000" or "X Offset:0"
+const HEADER_PATTERN = /^(Magnification|Unit|X Offset|Y Offset):(-?\d+)$/;
+
+// Scaled points per PostScript point
+const SP_PER_BP = 65781.76;
+
+// Records that are boxes with a size, as opposed to kerns, glue and math nodes
+const HBOX_TYPES = new Set(["(", "h"]);
+
+/**
+ * Index of a SyncTeX file, answering forward (source to PDF) and backward
+ * (PDF to source) searches like `synctex view` and `synctex edit`.
+ *
+ * Positions are in PDF points from the top left corner of the page.
+ */
+class SynctexFile {
+  /**
+   * @param {string} content - Uncompressed content of the .synctex file
+   * @param {string} syncPath - Path of the .synctex(.gz) file, for relative inputs
+   */
+  constructor(content, syncPath) {
+    this.syncPath = syncPath;
+    this.inputs = new Map(); // tag -> absolute path
+    this.pages = new Map(); // page -> records in document order
+    this.lines = new Map(); // tag -> Map of line -> records
+    this.parse(content);
+  }
+
+  parse(content) {
+    const header = { Magnification: 1000, Unit: 1, "X Offset": 0, "Y Offset": 0 };
+    const lines = content.split(/\r?\n/);
+    const rawInputs = [];
+    let index = 0;
+
+    for (; index < lines.length && lines[index] !== "Content:"; index++) {
+      const inputMatch = lines[index].match(INPUT_PATTERN);
+      if (inputMatch) {
+        rawInputs.push([parseInt(inputMatch[1], 10), inputMatch[2]]);
+        continue;
+      }
+      const headerMatch = lines[index].match(HEADER_PATTERN);
+      if (headerMatch) {
+        header[headerMatch[1]] = parseInt(headerMatch[2], 10);
+      }
+    }
+
+    // Same conversion as synctex_parser.c without post magnification
+    const unitSize = header.Unit / SP_PER_BP;
+    const scale = unitSize * (header.Magnification / 1000);
+    const xOffset = header["X Offset"] * unitSize;
+    const yOffset = header["Y Offset"] * unitSize;
+
+    let page = 0;
+    let records = null;
+    const boxes = []; // open boxes, innermost last
+
+    for (index++; index < lines.length; index++) {
+      const line = lines[index];
+      const first = line.charAt(0);
+
+      if (first === "{") {
+        page = parseInt(line.slice(1), 10);
+        records = [];
+        this.pages.set(page, records);
+        boxes.length = 0;
+        continue;
+      }
+      if (first === ")" || first === "]") {
+        boxes.pop();
+        continue;
+      }
+      if (line.startsWith("Input:")) {
+        const inputMatch = line.match(INPUT_PATTERN);
+        if (inputMatch) {
+          rawInputs.push([parseInt(inputMatch[1], 10), inputMatch[2]]);
+        }
+        continue;
+      }
+      if (line === "Postamble:") {
+        break;
+      }
+
+      const match = records && line.match(RECORD_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      const record = {
+        type: match[1],
+        tag: parseInt(match[2], 10),
+        line: parseInt(match[3], 10),
+        column: match[4] !== undefined ? parseInt(match[4], 10) : -1,
+        page,
+        h: parseInt(match[5], 10) * scale + xOffset,
+        v: parseInt(match[6], 10) * scale + yOffset,
+        width: match[7] !== undefined ? parseInt(match[7], 10) * scale : 0,
+        height: match[8] !== undefined ? parseInt(match[8], 10) * scale : 0,
+        depth: match[9] !== undefined ? parseInt(match[9], 10) * scale : 0,
+        parent: boxes.length > 0 ? boxes[boxes.length - 1] : null,
+      };
+      records.push(record);
+      this.addToLines(record);
+
+      if (record.type === "(" || record.type === "[") {
+        boxes.push(record);
+      }
+    }
+
+    this.resolveInputs(rawInputs);
+  }
+
+  addToLines(record) {
+    if (!this.lines.has(record.tag)) {
+      this.lines.set(record.tag, new Map());
+    }
+    const byLine = this.lines.get(record.tag);
+    if (!byLine.has(record.line)) {
+      byLine.set(record.line, []);
+    }
+    byLine.get(record.line).push(record);
+  }
+
+  // Inputs may be relative to the directory TeX ran in, which is the one of the main file
+  resolveInputs(rawInputs) {
+    const absoluteInput = rawInputs.find(([, filePath]) => path.isAbsolute(filePath));
+    const baseDir = absoluteInput
+      ? path.dirname(path.resolve(absoluteInput[1]))
+      : path.dirname(this.syncPath);
+
+    for (const [tag, filePath] of rawInputs) {
+      this.inputs.set(tag, path.resolve(baseDir, filePath));
+    }
+  }
+
+  findTag(filePath) {
+    const resolved = path.resolve(filePath);
+    const matches = (a, b) =>
+      process.platform === "win32" ? a.toLowerCase() === b.toLowerCase() : a === b;
+
+    for (const [tag, inputPath] of this.inputs) {
+      if (matches(inputPath, resolved)) {
+        return tag;
+      }
+    }
+
+    // Inputs recorded through symbolic links
+    let realPath;
+    try {
+      realPath = fs.realpathSync(resolved);
+    } catch (error) {
+      return null;
+    }
+    for (const [tag, inputPath] of this.inputs) {
+      try {
+        if (matches(fs.realpathSync(inputPath), realPath)) {
+          return tag;
+        }
+      } catch (error) {
+        // The input no longer exists
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forward search: find where a source line is typeset.
+   * @param {string} filePath - Path to the .tex file
+   * @param {number} line - Line number (1-based)
+   * @param {number} [column] - Column number, used when the engine records columns
+   * @returns {Object|null} { page, x, y, width, height }
+   */
+  findPdfLocation(filePath, line, column = 0) {
+    const tag = this.findTag(filePath);
+    const byLine = tag !== null ? this.lines.get(tag) : null;
+    if (!byLine || byLine.size === 0) {
+      return null;
+    }
+
+    // Lines without records (comments, blank lines) use the closest typeset line
+    let candidates = byLine.get(line);
+    if (!candidates) {
+      let closest = null;
+      for (const recordLine of byLine.keys()) {
+        const distance = Math.abs(recordLine - line);
+        const closestDistance = closest === null ? Infinity : Math.abs(closest - line);
+        if (distance < closestDistance || (distance === closestDistance && recordLine > closest)) {
+          closest = recordLine;
+        }
+      }
+      candidates = byLine.get(closest);
+    }
+
+    const page = Math.min(...candidates.map((record) => record.page));
+    let onPage = candidates.filter((record) => record.page === page);
+    const withColumns = onPage.filter((record) => record.column >= 0);
+    if (column > 0 && withColumns.length > 0) {
+      const distance = (record) => Math.abs(record.column - column);
+      const closest = Math.min(...withColumns.map(distance));
+      onPage = withColumns.filter((record) => distance(record) === closest);
+    }
+    const record = onPage.find((item) => HBOX_TYPES.has(item.type)) || onPage[0];
+    const box = HBOX_TYPES.has(record.type) ? record : record.parent || record;
+
+    return {
+      page,
+      x: record.h,
+      y: record.v,
+      width: Math.abs(box.width),
+      height: box.height + box.depth,
+    };
+  }
+
+  /**
+   * Backward search: find the source line of a point of the PDF.
+   * @param {number} page - Page number (1-based)
+   * @param {number} x - Horizontal position in PDF points from the left
+   * @param {number} y - Vertical position in PDF points from the top
+   * @returns {Object|null} { file, line, column }
+   */
+  findSourceLocation(page, x, y) {
+    const records = this.pages.get(page);
+    if (!records || records.length === 0) {
+      return null;
+    }
+
+    // The smallest line box containing the point
+    let box = null;
+    let boxArea = Infinity;
+    for (const record of records) {
+      if (!HBOX_TYPES.has(record.type) || distanceToRecord(record, x, y) > 0) {
+        continue;
+      }
+      const area = Math.abs(record.width) * (record.height + record.depth);
+      if (area < boxArea) {
+        box = record;
+        boxArea = area;
+      }
+    }
+
+    let candidates;
+    if (box) {
+      // Refine with the nodes of the box, which may come from other lines or files
+      candidates = [box, ...records.filter((record) => record.parent === box)];
+    } else {
+      // Vertical boxes span whole paragraphs or pages, prefer the closest line
+      candidates = records.filter((record) => record.type !== "[" && record.type !== "v");
+      if (candidates.length === 0) {
+        candidates = records;
+      }
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const record of candidates) {
+      const distance = box
+        ? Math.abs(record.h - x) + (record === box ? Math.abs(box.width) : 0)
+        : distanceToRecord(record, x, y);
+      if (distance < bestDistance) {
+        best = record;
+        bestDistance = distance;
+      }
+    }
+
+    const file = best && this.inputs.get(best.tag);
+    if (!file) {
+      return null;
+    }
+    return { file, line: best.line, column: best.column > 0 ? best.column : 0 };
+  }
+}
+
+// Distance from a point to the box of a record, 0 inside
+function distanceToRecord(record, x, y) {
+  const left = Math.min(record.h, record.h + record.width);
+  const right = Math.max(record.h, record.h + record.width);
+  const top = record.v - record.height;
+  const bottom = record.v + record.depth;
+  const dx = x < left ? left - x : x > right ? x - right : 0;
+  const dy = y < top ? top - y : y > bottom ? y - bottom : 0;
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * Loads SyncTeX files and keeps their index until the file changes.
+ */
+class SynctexCache {
+  constructor() {
+    this.entries = new Map(); // sync path -> { mtimeMs, size, promise }
+  }
+
+  /**
+   * Get the index of a SyncTeX file, reading it only if it changed.
+   * @param {string} syncPath - Path to the .synctex.gz (or .synctex) file
+   * @returns {Promise<SynctexFile|null>} null if the file does not exist
+   */
+  async load(syncPath) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(syncPath);
+    } catch (error) {
+      this.entries.delete(syncPath);
+      return null;
+    }
+
+    const entry = this.entries.get(syncPath);
+    if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+      return entry.promise;
+    }
+
+    const promise = this.read(syncPath);
+    this.entries.set(syncPath, { mtimeMs: stats.mtimeMs, size: stats.size, promise });
+    try {
+      return await promise;
+    } catch (error) {
+      // Let the next lookup try again, e.g. after a build finished writing
+      if (this.entries.get(syncPath)?.promise === promise) {
+        this.entries.delete(syncPath);
+      }
+      throw error;
+    }
+  }
+
+  async read(syncPath) {
+    let data = await fs.promises.readFile(syncPath);
+    if (syncPath.endsWith(".gz")) {
+      data = await new Promise((resolve, reject) =>
+        zlib.gunzip(data, (error, result) => (error ? reject(error) : resolve(result))),
+      );
+    }
+
+    if (atom.config.get("latex-tools.debug")) {
+      console.log(`[LaTeX Tools] Indexing SyncTeX file ${syncPath}`);
+    }
+    return new SynctexFile(data.toString("utf8"), syncPath);
+  }
+
+  /**
+   * Forget the index of a file, or of all files.
+   * @param {string} [syncPath] - Path to the SyncTeX file
+   */
+  clear(syncPath = null) {
+    if (syncPath) {
+      this.entries.delete(syncPath);
+    } else {
+      this.entries.clear();
+    }
+  }
+}
+
+/**
+ * Describe why a SyncTeX lookup failed.
+ * @param {string} reason - "invalid-path", "missing-synctex", "binary-not-found",
+ *   "no-match" or "failed"
+ * @param {string} message - Human readable explanation
+ * @returns {Object} { reason, message }
+ */
+function syncFailure(reason, message) {
+  return { reason, message };
+}
+
+// Runs the synctex program; rejects with a sync failure
+function runSynctex(executable, args) {
+  return new Promise((resolve, reject) => {
+    execFile(executable, args, { encoding: "utf8", timeout: 5000 }, (error, stdout, stderr) => {
+      if (!error) {
+        resolve(stdout);
+      } else if (error.code === "ENOENT") {
+        reject(syncFailure("binary-not-found", `SyncTeX executable not found: ${executable}`));
+      } else {
+        reject(syncFailure("failed", (stderr || error.message).trim()));
+      }
+    });
+  });
+}
+
+/**
+ * Forward search with the synctex program (`synctex view`).
+ * @param {string} executable - Path to the synctex executable
+ * @param {Object} options - { texPath, line, column, pdfPath }
+ * @returns {Promise<Object>} { page, x, y, width, height }, rejects with a sync failure
+ */
+async function synctexView(executable, { texPath, line, column, pdfPath }) {
+  const output = await runSynctex(executable, [
+    "view",
+    "-i",
+    `${line}:${column}:${texPath}`,
+    "-o",
+    pdfPath,
+  ]);
+
+  const pageMatch = output.match(/Page:(\d+)/);
+  if (!pageMatch) {
+    throw syncFailure("no-match", `No PDF location for ${texPath}:${line}`);
+  }
+
+  const number = (pattern) => {
+    const match = output.match(pattern);
+    return match ? parseFloat(match[1]) : 0;
+  };
+  return {
+    page: parseInt(pageMatch[1], 10),
+    x: number(/x:([\d.]+)/),
+    y: number(/y:([\d.]+)/),
+    width: number(/W:([\d.]+)/),
+    height: number(/H:([\d.]+)/),
+  };
+}
+
+/**
+ * Backward search with the synctex program (`synctex edit`).
+ * @param {string} executable - Path to the synctex executable
+ * @param {Object} options - { pdfPath, page, x, y }
+ * @returns {Promise<Object>} { file, line, column }, rejects with a sync failure
+ */
+async function synctexEdit(executable, { pdfPath, page, x, y }) {
+  const output = await runSynctex(executable, ["edit", "-o", `${page}:${x}:${y}:${pdfPath}`]);
+
+  const inputMatch = output.match(/Input:(.+)/);
+  const lineMatch = output.match(/Line:(\d+)/);
+  if (!inputMatch || !lineMatch) {
+    throw syncFailure("no-match", `No source location on page ${page} at ${x}, ${y}`);
+  }
+
+  const columnMatch = output.match(/Column:(\d+)/);
+  return {
+    file: path.normalize(inputMatch[1].trim()),
+    line: parseInt(lineMatch[1], 10),
+    column: columnMatch ? parseInt(columnMatch[1], 10) : 0,
+  };
+}
+
+module.exports = { SynctexFile, SynctexCache, syncFailure, synctexView, synctexEdit };
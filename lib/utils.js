@@ -1,75 +1,249 @@
 const fs = require("fs");
 const os = require("os");
 const path = require("path");
+const { readProjectConfig } = require("./project-config");
+const { BIB_PROGRAMS, resolveEngineName } = require("./build-backends");
+
+// Magic comment in the header of a .tex file: % !TEX <name> = <value> or % !BIB <name> = <value>
+const MAGIC_COMMENT_PATTERN = /^%\s*!(TEX|BIB)\s+(?:TS-)?([\w-]+)\s*=\s*(.*)$/i;
+
+// Encoding names of TeXShop and TeXstudio, without case, spaces and dashes, as Pulsar encodings
+const ENCODINGS = {
+  utf8: "utf8",
+  utf8unicode: "utf8",
+  isolatin: "iso88591",
+  isolatin1: "iso88591",
+  iso88591: "iso88591",
+  latin1: "iso88591",
+  isolatin2: "iso88592",
+  iso88592: "iso88592",
+  latin2: "iso88592",
+  isolatin9: "iso885915",
+  iso885915: "iso885915",
+  latin9: "iso885915",
+  macosroman: "macroman",
+  macroman: "macroman",
+  windowslatin1: "windows1252",
+  windows1252: "windows1252",
+  cp1252: "windows1252",
+  shiftjis: "shiftjis",
+  sjis: "shiftjis",
+  eucjp: "eucjp",
+  gb2312: "gb2312",
+  big5: "big5",
+  koi8r: "koi8r",
+};
+
+// Spell checking languages like en_US or de-DE
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*$/i;
 
 /**
- * Detect LaTeX engine from magic comment in file header.
- * Scans comment lines at the top of the file for: % !TEX program = <engine>
- * @param {string} filePath - Path to the .tex file
- * @returns {string|null} Engine name (pdflatex, xelatex, lualatex) or null if not found
+ * Split engine options like a shell would, keeping quoted arguments together.
+ * @param {string} value - Options, e.g. -shell-escape "-jobname=a b"
+ * @returns {Array<string>} Options
  */
-function detectEngineFromMagicComment(filePath) {
-  try {
-    const content = fs.readFileSync(filePath, "utf8");
-    const lines = content.split(/\r?\n/);
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      // Stop at first non-comment, non-empty line
-      if (trimmed && !trimmed.startsWith("%")) {
-        break;
+function splitOptions(value) {
+  const options = [];
+  for (const match of value.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)) {
+    options.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return options;
+}
+
+/**
+ * Readers of the supported magic comments by family and lowercase name. Each
+ * returns the value stored in the result, or throws an Error explaining why
+ * the value is invalid.
+ */
+const MAGIC_COMMENTS = {
+  "TEX program": {
+    key: "program",
+    read(value) {
+      const engine = resolveEngineName(value);
+      if (!engine) {
+        throw new Error(`Unknown TeX engine "${value}"`);
+      }
+      return engine;
+    },
+  },
+  "TEX root": {
+    key: "root",
+    read(value, filePath) {
+      const rootPath = value.replace(/^["']|["']$/g, "");
+      if (!rootPath) {
+        throw new Error("Missing root document");
+      }
+
+      const resolvedPath = path.isAbsolute(rootPath)
+        ? rootPath
+        : path.resolve(path.dirname(filePath), rootPath);
+      return resolvedPath.endsWith(".tex") ? resolvedPath : `${resolvedPath}.tex`;
+    },
+  },
+  "TEX encoding": {
+    key: "encoding",
+    read(value) {
+      const encoding = ENCODINGS[value.toLowerCase().replace(/[\s_-]/g, "")];
+      if (!encoding) {
+        throw new Error(`Unknown encoding "${value}"`);
+      }
+      return encoding;
+    },
+  },
+  "TEX spellcheck": {
+    key: "spellcheck",
+    read(value) {
+      if (!LANGUAGE_PATTERN.test(value)) {
+        throw new Error(`Invalid spell checking language "${value}"`);
       }
-      // Check for magic comment: % !TEX program = <engine>
-      const match = trimmed.match(/^%\s*!TEX\s+(?:TS-)?program\s*=\s*(\w+)/i);
-      if (match) {
-        const engine = match[1].toLowerCase();
-        if (["pdflatex", "xelatex", "lualatex"].includes(engine)) {
-          return engine;
-        }
+      // BCP 47 form, e.g. en-US
+      const [language, ...subtags] = value.split(/[-_]/);
+      return [language.toLowerCase(), ...subtags].join("-");
+    },
+  },
+  "TEX options": {
+    key: "options",
+    read(value) {
+      const options = splitOptions(value);
+      if (options.length === 0) {
+        throw new Error("Missing engine options");
       }
+      return options;
+    },
+  },
+  "TEX outdir": {
+    key: "outdir",
+    read(value) {
+      const outdir = value.replace(/^["']|["']$/g, "");
+      if (!outdir) {
+        throw new Error("Missing output directory");
+      }
+      return outdir;
+    },
+  },
+  "BIB program": {
+    key: "bibProgram",
+    read(value) {
+      const program = value.toLowerCase();
+      if (!BIB_PROGRAMS.includes(program)) {
+        throw new Error(`Unknown bibliography program "${value}"`);
+      }
+      return program;
+    },
+  },
+};
+
+/**
+ * Parse the magic comments at the top of a .tex file. Only the comment lines
+ * before the first other line are read; the first comment of a kind wins.
+ * @param {string} content - Content of the .tex file
+ * @param {string} filePath - Path to the .tex file, used to resolve the root
+ * @returns {Object} { program, root, encoding, spellcheck, options, outdir,
+ *   bibProgram, problems } where problems lists { row, column, endColumn,
+ *   excerpt } of unknown or invalid comments
+ */
+function parseMagicComments(content, filePath) {
+  const result = {
+    program: null,
+    root: null,
+    encoding: null,
+    spellcheck: null,
+    options: [],
+    outdir: null,
+    bibProgram: null,
+    problems: [],
+  };
+  const seen = new Set();
+  const lines = content.split(/\r?\n/);
+
+  for (let row = 0; row < lines.length; row++) {
+    const line = lines[row];
+    const trimmed = line.trim();
+    // Stop at first non-comment, non-empty line
+    if (trimmed && !trimmed.startsWith("%")) {
+      break;
+    }
+
+    const match = trimmed.match(MAGIC_COMMENT_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, family, name, value] = match;
+    const comment = MAGIC_COMMENTS[`${family.toUpperCase()} ${name.toLowerCase()}`];
+    try {
+      if (!comment) {
+        throw new Error(`Unknown magic comment "!${family} ${name}"`);
+      }
+      const parsed = comment.read(value.trim(), filePath);
+      if (!seen.has(comment.key)) {
+        seen.add(comment.key);
+        result[comment.key] = parsed;
+      }
+    } catch (error) {
+      result.problems.push({
+        row,
+        column: line.indexOf("%"),
+        endColumn: line.length,
+        excerpt: error.message,
+      });
     }
-  } catch (error) {
-    // File read error - return null
   }
-  return null;
+
+  return result;
 }
 
 /**
- * Detect root document from magic comment in file header.
- * Scans comment lines at the top of the file for: % !TEX root = <path>
+ * Read the magic comments at the top of a .tex file.
  * @param {string} filePath - Path to the .tex file
- * @returns {string|null} Absolute root file path or null if not found
+ * @returns {Object} Parsed magic comments, see parseMagicComments
  */
-function detectRootFromMagicComment(filePath) {
+function detectMagicComments(filePath) {
+  let content = "";
   try {
-    const content = fs.readFileSync(filePath, "utf8");
-    const lines = content.split(/\r?\n/);
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      // Stop at first non-comment, non-empty line
-      if (trimmed && !trimmed.startsWith("%")) {
-        break;
-      }
-      // Check for magic comment: % !TEX root = <path>
-      const match = trimmed.match(/^%\s*!TEX\s+root\s*=\s*(.+)$/i);
-      if (match) {
-        const rootPath = match[1].trim().replace(/^["']|["']$/g, "");
-        if (!rootPath) {
-          return null;
-        }
-
-        const resolvedPath = path.isAbsolute(rootPath)
-          ? rootPath
-          : path.resolve(path.dirname(filePath), rootPath);
-
-        return resolvedPath.endsWith(".tex") ? resolvedPath : `${resolvedPath}.tex`;
-      }
-    }
+    content = fs.readFileSync(filePath, "utf8");
   } catch (error) {
-    // File read error - return null
+    // File read error - no magic comments
   }
-  return null;
+  return parseMagicComments(content, filePath);
+}
+
+/**
+ * Detect LaTeX engine from magic comment in file header: % !TEX program = <engine>
+ * @param {string} filePath - Path to the .tex file
+ * @returns {string|null} Engine name (see ENGINES in build-backends) or null if not found
+ */
+function detectEngineFromMagicComment(filePath) {
+  return detectMagicComments(filePath).program;
+}
+
+/**
+ * Detect root document from magic comment in file header: % !TEX root = <path>
+ * @param {string} filePath - Path to the .tex file
+ * @returns {string|null} Absolute root file path or null if not found
+ */
+function detectRootFromMagicComment(filePath) {
+  return detectMagicComments(filePath).root;
+}
+
+/**
+ * Detect the LaTeX engine set by the project file of a file.
+ * A magic comment in the file takes precedence over it.
+ * @param {string} filePath - Path to the .tex file
+ * @returns {string|null} Engine name or null if the project does not set one
+ */
+function detectEngineFromProjectConfig(filePath) {
+  return readProjectConfig(filePath).engine;
+}
+
+/**
+ * Detect the root documents declared by the project file of a file.
+ * A magic comment in the file takes precedence over them.
+ * @param {string} filePath - Path to the .tex file
+ * @returns {Array<string>} Absolute root file paths, empty if none are declared
+ */
+function detectRootsFromProjectConfig(filePath) {
+  return readProjectConfig(filePath).roots;
 }
 
 /**
@@ -94,6 +268,21 @@ function wildcardToRegex(pattern, baseName) {
   return new RegExp("^" + regexPattern + "$");
 }
 
+/**
+ * Expand path placeholders for a root document.
+ * Supports {root} (directory of the root file), {file} (root file name)
+ * and {basename} (root file name without extension).
+ * @param {string} text - Text containing placeholders
+ * @param {string} rootPath - Path to the root .tex file
+ * @returns {string} Text with placeholders replaced
+ */
+function expandPlaceholders(text, rootPath) {
+  return text
+    .replace(/\{root\}/g, path.dirname(rootPath))
+    .replace(/\{file\}/g, path.basename(rootPath))
+    .replace(/\{basename\}/g, path.basename(rootPath, ".tex"));
+}
+
 /**
  * Check if a filename matches a wildcard pattern.
  * @param {string} filename - The filename to test
@@ -149,9 +338,14 @@ function createLatexmkrc(filePath) {
 }
 
 module.exports = {
+  parseMagicComments,
+  detectMagicComments,
   detectEngineFromMagicComment,
   detectRootFromMagicComment,
+  detectEngineFromProjectConfig,
+  detectRootsFromProjectConfig,
   wildcardToRegex,
+  expandPlaceholders,
   matchesPattern,
   getLatexmkrcPath,
   createLatexmkrc,
@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+const BlgParser = require("../lib/blg-parser");
+
+const documentDir = path.join(__dirname, "fixtures", "logs", "document");
+const texFilePath = path.join(documentDir, "main.tex");
+const bibPath = path.join(documentDir, "refs.bib");
+
+function parseBlg(name) {
+  const blgPath = path.join(documentDir, name);
+  return new BlgParser().parse(fs.readFileSync(blgPath, "utf8"), texFilePath, blgPath);
+}
+
+function summarize(message) {
+  return [
+    message.severity,
+    message.location.fullPath,
+    message.location.position.start.row,
+    message.key,
+  ];
+}
+
+describe("BlgParser", () => {
+  describe("with a bibtex log", () => {
+    let messages;
+
+    beforeEach(() => {
+      messages = parseBlg("bibtex.blg");
+    });
+
+    it("maps errors and warnings to lines of the .bib file", () => {
+      expect(messages.map(summarize)).toEqual([
+        ["error", bibPath, 10, "lamport94"],
+        ["error", bibPath, 14, "knuth1984"],
+        ["warning", bibPath, 7, "lamport94"],
+        ["warning", bibPath, 21, "gutenberg"],
+      ]);
+    });
+
+    it("keeps the error text and context", () => {
+      expect(messages[0].excerpt).toBe("I was expecting a `,' or a `}'");
+      expect(messages[1].excerpt).toBe("Repeated entry");
+      expect(messages[1].context).toBe("@article{knuth1984 ,");
+      expect(messages[3].excerpt).toBe("empty journal in gutenberg");
+    });
+
+    it("points back into the .blg file", () => {
+      expect(messages[0].logPath).toBe(path.join(documentDir, "bibtex.blg"));
+      expect(messages[0].logRange[0]).toEqual([7, 0]);
+    });
+  });
+
+  describe("with a biber log", () => {
+    let messages;
+
+    beforeEach(() => {
+      messages = parseBlg("biber.blg");
+    });
+
+    it("maps errors and warnings to lines of the .bib file", () => {
+      expect(messages.map(summarize)).toEqual([
+        ["error", bibPath, 10, "lamport94"],
+        ["warning", bibPath, 0, "knuth1984"],
+        ["warning", bibPath, 21, "gutenberg"],
+        ["warning", bibPath, 7, "lamport94"],
+      ]);
+    });
+
+    it("strips the location prefix of parser errors", () => {
+      expect(messages[0].excerpt).toBe(
+        'syntax error: found "publisher", expected end of entry ("}" or ")") (skipping to next "@")',
+      );
+    });
+
+    it("ignores INFO lines", () => {
+      expect(messages.some((message) => message.excerpt.includes("This is Biber"))).toBe(false);
+    });
+  });
+});
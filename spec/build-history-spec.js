@@ -0,0 +1,146 @@
+const BuildHistory = require("../lib/build-history");
+const { collectRules } = BuildHistory;
+const { sparklinePoints } = require("../lib/build-history-view");
+
+const rootPath = "/doc/main.tex";
+
+describe("build history", () => {
+  let history;
+
+  beforeEach(() => {
+    atom.config.set("latex-tools.buildHistorySize", 50);
+    history = new BuildHistory();
+  });
+
+  afterEach(() => {
+    history.destroy();
+  });
+
+  describe("collectRules", () => {
+    it("counts the runs of the latexmk rules", () => {
+      const lines = [
+        { text: "$ latexmk -pdf main.tex", kind: "command" },
+        { text: "Latexmk: applying rule 'pdflatex'...", kind: null },
+        { text: "Run number 1 of rule 'pdflatex'", kind: null },
+        { text: "Run number 1 of rule 'biber main'", kind: null },
+        { text: "Run number 2 of rule 'pdflatex'", kind: null },
+      ];
+
+      expect(collectRules(lines)).toEqual([
+        { name: "pdflatex", runs: 2 },
+        { name: "biber", runs: 1 },
+      ]);
+    });
+
+    it("names the rules by the program they run, as the status bar does", () => {
+      const lines = [
+        { text: "Latexmk: applying rule 'cusdep glo gls main'...", kind: null },
+        { text: "Run number 1 of rule 'cusdep glo gls main'", kind: null },
+        { text: "Latexmk: applying rule 'makeindex main.idx'...", kind: null },
+      ];
+
+      expect(collectRules(lines)).toEqual([
+        { name: "makeglossaries", runs: 1 },
+        { name: "makeindex", runs: 1 },
+      ]);
+    });
+
+    it("counts the announced rules without run numbers", () => {
+      const lines = [{ text: "Latexmk: applying rule 'lualatex'...", kind: null }];
+
+      expect(collectRules(lines)).toEqual([{ name: "lualatex", runs: 1 }]);
+    });
+
+    it("counts the commands of other backends", () => {
+      const lines = [
+        { text: "$ /usr/bin/pdflatex -synctex=1 main.tex", kind: "command" },
+        { text: "This is pdfTeX", kind: null },
+        { text: "$ bibtex main", kind: "command" },
+        { text: "$ /usr/bin/pdflatex -synctex=1 main.tex", kind: "command" },
+      ];
+
+      expect(collectRules(lines)).toEqual([
+        { name: "pdflatex", runs: 2 },
+        { name: "bibtex", runs: 1 },
+      ]);
+    });
+  });
+
+  describe("BuildHistory", () => {
+    function recordDurations(...durations) {
+      for (const duration of durations) {
+        history.record(rootPath, { duration });
+      }
+    }
+
+    it("keeps the configured number of builds per root", () => {
+      atom.config.set("latex-tools.buildHistorySize", 3);
+      recordDurations(1, 2, 3, 4);
+
+      expect(history.getEntries(rootPath).map((entry) => entry.duration)).toEqual([2, 3, 4]);
+    });
+
+    it("lists the root built last at the end", () => {
+      history.record(rootPath, {});
+      history.record("/doc/other.tex", {});
+      history.record(rootPath, {});
+
+      expect(history.getRoots()).toEqual(["/doc/other.tex", rootPath]);
+    });
+
+    it("reports recorded builds", () => {
+      const updates = [];
+      history.onDidUpdate((update) => updates.push(update));
+      const entry = history.record(rootPath, { duration: 1200, status: "error", exitCode: 12 });
+
+      expect(updates).toEqual([{ rootPath, entry }]);
+      expect(entry.errors).toBe(0);
+      expect(entry.rules).toEqual([]);
+    });
+
+    it("summarizes the durations of successful builds", () => {
+      recordDurations(1000, 3000);
+      history.record(rootPath, { duration: 50, status: "error" });
+
+      const statistics = history.getStatistics(rootPath);
+      expect(statistics.count).toBe(3);
+      expect(statistics.failures).toBe(1);
+      expect(statistics.lastDuration).toBe(3000);
+      expect(statistics.averageDuration).toBe(2000);
+      expect(statistics.minDuration).toBe(1000);
+      expect(statistics.maxDuration).toBe(3000);
+      expect(statistics.trend).toBeNull();
+    });
+
+    it("compares the last five builds with the five before", () => {
+      recordDurations(1000, 1000, 1000, 1000, 1000, 1500, 1500, 1500, 1500, 1500);
+
+      expect(history.getStatistics(rootPath).trend).toBe(0.5);
+    });
+
+    it("restores serialized builds", () => {
+      recordDurations(1000);
+      const restored = new BuildHistory(JSON.parse(JSON.stringify(history.serialize())));
+
+      expect(restored.getEntries(rootPath)).toEqual(history.getEntries(rootPath));
+      restored.destroy();
+    });
+  });
+
+  describe("sparklinePoints", () => {
+    it("puts the slowest build at the top", () => {
+      expect(sparklinePoints([1000, 3000, 2000], 100, 40)).toEqual([
+        [0, 40],
+        [50, 0],
+        [100, 20],
+      ]);
+    });
+
+    it("draws equal durations on the bottom line", () => {
+      expect(sparklinePoints([500, 500], 10, 40)).toEqual([
+        [0, 40],
+        [10, 40],
+      ]);
+    });
+  });
+});
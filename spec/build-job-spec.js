@@ -0,0 +1,101 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BuildJob = require("../lib/build-job");
+const { getBackend } = require("../lib/build-backends");
+
+const fakeTexProgram = path.join(__dirname, "fixtures", "bin", "fake-tex-program");
+
+// Engine loop builds through fake pdflatex and bibtex programs put first on the PATH
+describe("BuildJob", () => {
+  let workDir, binDir, context;
+
+  function runJob(steps) {
+    const job = new BuildJob(steps, {
+      cwd: workDir,
+      env: { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+    });
+    return new Promise((resolve) => {
+      job.onDidExit(resolve);
+      job.onDidFail(({ error }) => resolve({ error }));
+      job.start();
+    });
+  }
+
+  function readInvocations() {
+    return fs
+      .readFileSync(path.join(workDir, "invocations.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line).program);
+  }
+
+  beforeEach(() => {
+    workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "latex-tools-spec-")));
+    binDir = path.join(workDir, "bin");
+    fs.mkdirSync(binDir);
+    for (const program of ["pdflatex", "bibtex"]) {
+      fs.symlinkSync(fakeTexProgram, path.join(binDir, program));
+    }
+    fs.writeFileSync(path.join(workDir, "main.tex"), "\\bibliography{refs}\n");
+
+    context = {
+      filePath: path.join(workDir, "main.tex"),
+      fileDir: workDir,
+      fileName: "main.tex",
+      baseName: "main",
+      outDir: workDir,
+      auxDir: workDir,
+      engine: "pdflatex",
+      bibProgram: null,
+      synctex: false,
+      shellEscape: false,
+      engineOptions: [],
+      extraArgs: [],
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("runs the engine again after bibtex exits with warnings", () => {
+    waitsForPromise(() =>
+      runJob(getBackend("engine").createSteps(context)).then((result) => {
+        expect(result.code).toBe(0);
+        expect(result.step).toBe(null);
+        expect(readInvocations()).toEqual(["pdflatex", "bibtex", "pdflatex"]);
+      }),
+    );
+  });
+
+  it("tells which options the Tectonic backend ignores", () => {
+    expect(getBackend("engine").describeIgnoredOptions(context)).toEqual([]);
+    expect(getBackend("tectonic").describeIgnoredOptions(context)).toEqual([
+      "Tectonic always runs XeLaTeX, the pdflatex engine is ignored",
+    ]);
+
+    context.engine = "xelatex";
+    context.engineOptions = ["-8bit"];
+    expect(getBackend("tectonic").describeIgnoredOptions(context)).toEqual([
+      "Tectonic ignores the engine options -8bit",
+    ]);
+  });
+
+  it("stops at a step exiting with a code it does not accept", () => {
+    const bibtexStep = { command: "bibtex", args: ["main"] };
+    const steps = [
+      { command: "pdflatex", args: ["main.tex"] },
+      bibtexStep,
+      { command: "pdflatex", args: ["main.tex"] },
+    ];
+
+    waitsForPromise(() =>
+      runJob(steps).then((result) => {
+        expect(result.code).toBe(1);
+        expect(result.step).toBe(bibtexStep);
+        expect(readInvocations()).toEqual(["pdflatex", "bibtex"]);
+      }),
+    );
+  });
+});
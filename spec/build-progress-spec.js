@@ -0,0 +1,96 @@
+const BuildProgress = require("../lib/build-progress");
+const { parseProgressLine } = BuildProgress;
+
+const rootPath = "/doc/main.tex";
+
+function output(...texts) {
+  return texts.map((text) => ({ text, kind: text.startsWith("$ ") ? "command" : null }));
+}
+
+describe("build progress", () => {
+  describe("parseProgressLine", () => {
+    it("reads the rules latexmk runs", () => {
+      expect(parseProgressLine("Run number 2 of rule 'pdflatex'")).toEqual({
+        phase: "pdflatex",
+        pass: 2,
+      });
+      expect(parseProgressLine("Latexmk: applying rule 'biber main'...")).toEqual({
+        phase: "biber",
+        pass: null,
+      });
+    });
+
+    it("names the programs of custom dependencies", () => {
+      expect(parseProgressLine("Run number 1 of rule 'cusdep glo gls main'").phase).toBe(
+        "makeglossaries",
+      );
+      expect(parseProgressLine("Run number 1 of rule 'makeindex main.idx'").phase).toBe(
+        "makeindex",
+      );
+    });
+
+    it("ignores other lines", () => {
+      expect(parseProgressLine("This is pdfTeX, Version 3.141592653")).toBeNull();
+      expect(parseProgressLine("Rule 'pdflatex':  File changes, etc:")).toBeNull();
+    });
+  });
+
+  describe("BuildProgress", () => {
+    let progress, changes;
+
+    beforeEach(() => {
+      progress = new BuildProgress();
+      changes = [];
+      progress.onDidChange(({ phase, pass }) => changes.push(`${phase} ${pass}`));
+      progress.start(rootPath);
+    });
+
+    afterEach(() => {
+      progress.destroy();
+    });
+
+    it("follows the passes of latexmk", () => {
+      progress.handleLines(
+        rootPath,
+        output(
+          "$ latexmk -pdf main.tex",
+          "Latexmk: applying rule 'pdflatex'...",
+          "Run number 1 of rule 'pdflatex'",
+          "Latexmk: applying rule 'bibtex main'...",
+          "Run number 1 of rule 'bibtex main'",
+          "Latexmk: applying rule 'pdflatex'...",
+          "Run number 2 of rule 'pdflatex'",
+        ),
+      );
+
+      expect(changes).toEqual(["pdflatex 1", "bibtex 1", "pdflatex 2"]);
+      expect(progress.get(rootPath)).toEqual({ phase: "pdflatex", pass: 2 });
+    });
+
+    it("counts the commands of the other backends", () => {
+      progress.handleLines(
+        rootPath,
+        output("$ xelatex main.tex", "$ biber main", "$ xelatex main.tex", "$ xelatex main.tex"),
+      );
+
+      expect(changes).toEqual(["xelatex 1", "biber 1", "xelatex 2", "xelatex 3"]);
+    });
+
+    it("ignores the output of builds that are not running", () => {
+      progress.finish(rootPath);
+      progress.handleLines(rootPath, output("Run number 1 of rule 'pdflatex'"));
+
+      expect(changes).toEqual([]);
+      expect(progress.get(rootPath)).toBeNull();
+    });
+
+    it("counts the passes again for the next build", () => {
+      progress.handleLines(rootPath, output("$ pdflatex main.tex"));
+      progress.start(rootPath);
+
+      expect(progress.get(rootPath)).toBeNull();
+      progress.handleLines(rootPath, output("$ pdflatex main.tex"));
+      expect(changes).toEqual(["pdflatex 1", "pdflatex 1"]);
+    });
+  });
+});
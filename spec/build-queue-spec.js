@@ -0,0 +1,52 @@
+const BuildQueue = require("../lib/build-queue");
+
+describe("BuildQueue", () => {
+  let started, failures, queue;
+
+  beforeEach(() => {
+    atom.config.set("latex-tools.maxConcurrentBuilds", 1);
+    started = [];
+    failures = [];
+    queue = new BuildQueue((rootPath) => {
+      started.push(rootPath);
+      if (rootPath.startsWith("/broken")) {
+        throw new Error("Invalid project file");
+      }
+    });
+    queue.onDidFailToStart(({ rootPath, error }) => failures.push([rootPath, error.message]));
+  });
+
+  afterEach(() => {
+    queue.destroy();
+  });
+
+  it("coalesces requests of a waiting root", () => {
+    expect(queue.request("/a.tex")).toBe("started");
+    expect(queue.request("/b.tex")).toBe("queued");
+    expect(queue.request("/b.tex")).toBe("coalesced");
+
+    queue.finish("/a.tex");
+    expect(started).toEqual(["/a.tex", "/b.tex"]);
+    expect(queue.isRunning("/b.tex")).toBe(true);
+  });
+
+  it("frees the root of a build that throws while starting", () => {
+    expect(queue.request("/broken.tex")).toBe("started");
+
+    expect(queue.isRunning("/broken.tex")).toBe(false);
+    expect(failures).toEqual([["/broken.tex", "Invalid project file"]]);
+    expect(queue.request("/broken.tex")).toBe("started");
+    expect(failures.length).toBe(2);
+  });
+
+  it("starts the waiting builds after a build throws while starting", () => {
+    queue.request("/a.tex");
+    queue.request("/broken.tex");
+    queue.request("/b.tex");
+
+    queue.finish("/a.tex");
+    expect(started).toEqual(["/a.tex", "/broken.tex", "/b.tex"]);
+    expect(queue.isRunning("/b.tex")).toBe(true);
+    expect(queue.getPendingRoots()).toEqual([]);
+  });
+});
@@ -0,0 +1,106 @@
+const BuildService = require("../lib/build-service");
+const { createServiceV1_0 } = BuildService;
+const { syncFailure } = require("../lib/synctex");
+
+describe("latex-tools service", () => {
+  let service, locations, requests;
+
+  beforeEach(() => {
+    service = new BuildService();
+    locations = {
+      1: { file: "/doc/main.tex", line: 7, column: 0 },
+      2: syncFailure("no-match", "No source position at this point of the PDF"),
+    };
+    requests = [];
+    service.setMainModule({
+      syncToSource: async (pdfPath, page) => locations[page],
+      getRootFilePath: (filePath) => filePath,
+      isBuildQueued: (filePath) => requests.includes(filePath),
+      runCompilation: (filePath) => {
+        requests.push(filePath);
+        return service.isBuilding(filePath) ? "queued" : "started";
+      },
+    });
+  });
+
+  afterEach(() => {
+    service.destroy();
+  });
+
+  it("reports why backward SyncTeX lookups fail in version 1.1.0", () => {
+    waitsForPromise(() =>
+      service.syncToSource("/doc/main.pdf", 2, 0, 0).then((location) => {
+        expect(location.reason).toBe("no-match");
+      }),
+    );
+  });
+
+  it("queues another build of a file that is building in version 1.1.0", () => {
+    service.startBuild("/doc/main.tex");
+
+    expect(service.compile("/doc/main.tex")).toBe(true);
+    expect(requests).toEqual(["/doc/main.tex"]);
+  });
+
+  describe("version 1.0.0", () => {
+    let api;
+
+    beforeEach(() => {
+      api = createServiceV1_0(service);
+    });
+
+    it("resolves failed backward SyncTeX lookups to null", () => {
+      waitsForPromise(() =>
+        Promise.all([
+          api.syncToSource("/doc/main.pdf", 1, 0, 0),
+          api.syncToSource("/doc/main.pdf", 2, 0, 0),
+        ]).then(([found, failed]) => {
+          expect(found).toEqual(locations[1]);
+          expect(failed).toBeNull();
+        }),
+      );
+    });
+
+    it("reports queued builds as idle without the queue fields", () => {
+      const events = [];
+      api.onDidChangeBuildStatus(({ status }) => events.push(status));
+      service.queueBuild("/doc/main.tex");
+
+      expect(service.getStatus().status).toBe("queued");
+      expect(events).toEqual(["idle"]);
+      expect(api.getStatus("/doc/main.tex").status).toBe("idle");
+      expect(api.getStatus("/doc/main.tex").queued).toBeUndefined();
+
+      const status = api.getStatus();
+      expect(status.status).toBe("idle");
+      expect(status.queuedCount).toBeUndefined();
+      expect(status.files).toEqual([
+        { file: "/doc/main.tex", status: "idle", startTime: null, endTime: null },
+      ]);
+    });
+
+    it("does not queue builds of a file that is building", () => {
+      expect(api.compile("/doc/main.tex")).toBe(true);
+      service.startBuild("/doc/main.tex");
+
+      expect(api.compile("/doc/main.tex")).toBe(false);
+      expect(requests).toEqual(["/doc/main.tex"]);
+    });
+
+    it("only has the methods of version 1.0.0", () => {
+      expect(typeof api.onDidFinishBuild).toBe("function");
+      expect(typeof api.getCompileOnSaveFiles).toBe("function");
+      expect(api.getBuildHistory).toBeUndefined();
+      expect(api.onDidProgressBuild).toBeUndefined();
+      expect(api.getMagicComments).toBeUndefined();
+    });
+
+    it("forwards to the service", () => {
+      const files = [];
+      api.onDidFinishBuild(({ file }) => files.push(file));
+      service.finishBuild("/doc/main.tex", "");
+
+      expect(files).toEqual(["/doc/main.tex"]);
+    });
+  });
+});
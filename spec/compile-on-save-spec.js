@@ -0,0 +1,239 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Compile-on-save across sessions. These run inside Pulsar (`pulsar --test spec`).
+describe("compile-on-save persistence", () => {
+  let main, workDir, mainPath, chapterPath;
+
+  function activate(state) {
+    runs(() => {
+      if (state) {
+        atom.packages.setPackageState("latex-tools", state);
+      }
+    });
+    waitsForPromise(() => atom.packages.activatePackage("latex-tools"));
+    runs(() => {
+      main = atom.packages.getActivePackage("latex-tools").mainModule;
+    });
+  }
+
+  function reactivate() {
+    let state;
+    runs(() => {
+      state = main.serialize();
+    });
+    waitsForPromise(() => atom.packages.deactivatePackage("latex-tools"));
+    runs(() => activate(state));
+  }
+
+  beforeEach(() => {
+    workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "latex-tools-spec-")));
+    mainPath = path.join(workDir, "main.tex");
+    chapterPath = path.join(workDir, "chapter.tex");
+    fs.writeFileSync(mainPath, "\\documentclass{book}\n\\begin{document}\n\\input{chapter}\n");
+    fs.writeFileSync(chapterPath, "\\chapter{Results}\n");
+
+    atom.project.setPaths([workDir]);
+    spyOn(atom.notifications, "addInfo");
+    activate();
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("serializes the observed files per project with their root", () => {
+    main.setCompileOnSaveForFile(chapterPath, true);
+    main.setCompileOnSavePinned(chapterPath, true);
+
+    expect(main.serialize().compileOnSave).toEqual({
+      [workDir]: [{ filePath: chapterPath, rootPath: mainPath, pinned: true }],
+    });
+  });
+
+  it("observes the files again in the next session", () => {
+    runs(() => {
+      main.setCompileOnSaveForFile(chapterPath, true);
+      main.setCompileOnSavePinned(chapterPath, true);
+    });
+    reactivate();
+
+    runs(() => {
+      expect(main.getCompileOnSaveFiles()).toEqual([chapterPath]);
+      expect(main.isCompileOnSavePinned(chapterPath)).toBe(true);
+    });
+  });
+
+  it("watches the dependencies of the restored root of a file", () => {
+    const otherPath = path.join(workDir, "other.tex");
+    const dataPath = path.join(workDir, "data.tex");
+
+    runs(() => {
+      fs.writeFileSync(otherPath, "\\documentclass{book}\n\\begin{document}\n\\input{chapter}\n");
+      fs.writeFileSync(dataPath, "1 2 3\n");
+      fs.writeFileSync(
+        path.join(workDir, "other.fls"),
+        `PWD ${workDir}\nINPUT other.tex\nINPUT chapter.tex\nINPUT data.tex\n`,
+      );
+      atom.config.set("latex-tools.watchDependencies", true);
+      main.setRootForFile(chapterPath, otherPath);
+      main.setCompileOnSaveForFile(chapterPath, true);
+    });
+    reactivate();
+
+    runs(() => {
+      expect(main.getRootFilePath(chapterPath)).toBe(otherPath);
+      expect(main.dependencyWatcher.getRootPaths()).toEqual([otherPath]);
+      expect(main.dependencyWatcher.getDependencies(otherPath)).toEqual([otherPath, dataPath]);
+    });
+  });
+
+  it("asks once for the root of a saved file included by several documents", () => {
+    const otherPath = path.join(workDir, "other.tex");
+    fs.writeFileSync(otherPath, "\\documentclass{book}\n\\begin{document}\n\\input{chapter}\n");
+    const runCompilation = main.runCompilation;
+    const builds = [];
+    main.runCompilation = (rootPath) => builds.push(rootPath);
+    const prompts = () =>
+      atom.notifications
+        .getNotifications()
+        .filter((notification) => notification.getMessage().startsWith("chapter.tex is included"));
+
+    try {
+      main.compileFilePath(chapterPath);
+      main.compileFilePath(chapterPath);
+      expect(builds).toEqual([]);
+      expect(prompts().length).toBe(1);
+
+      main.setRootForFile(chapterPath, otherPath);
+      main.compileFilePath(chapterPath);
+      expect(builds).toEqual([otherPath]);
+    } finally {
+      main.runCompilation = runCompilation;
+    }
+  });
+
+  it("skips files that no longer exist", () => {
+    runs(() => {
+      main.setCompileOnSaveForFile(chapterPath, true);
+      main.setCompileOnSaveForFile(mainPath, true);
+    });
+    runs(() => {
+      fs.unlinkSync(chapterPath);
+    });
+    reactivate();
+
+    runs(() => {
+      expect(main.getCompileOnSaveFiles()).toEqual([mainPath]);
+    });
+  });
+
+  it("keeps the files of projects that are not open", () => {
+    const otherProject = { [path.join(os.tmpdir(), "elsewhere")]: [{ filePath: "/x.tex" }] };
+    waitsForPromise(() => atom.packages.deactivatePackage("latex-tools"));
+    activate({ compileOnSave: otherProject });
+
+    runs(() => {
+      expect(main.getCompileOnSaveFiles()).toEqual([]);
+      expect(main.serialize().compileOnSave).toEqual(otherProject);
+    });
+  });
+
+  it("keeps pinned files when all observed files are cleared", () => {
+    main.setCompileOnSaveForFile(chapterPath, true);
+    main.setCompileOnSaveForFile(mainPath, true);
+    main.setCompileOnSavePinned(chapterPath, true);
+
+    expect(main.clearCompileOnSaveFiles()).toBe(true);
+    expect(main.getCompileOnSaveFiles()).toEqual([chapterPath]);
+    expect(main.clearCompileOnSaveFiles()).toBe(false);
+  });
+
+  describe("policies", () => {
+    let compileFilePath, compiled;
+
+    // Record the builds instead of running them
+    beforeEach(() => {
+      runs(() => {
+        atom.config.set("latex-tools.compileOnSaveDelay", 0);
+        compiled = [];
+        compileFilePath = main.compileFilePath;
+        main.compileFilePath = (filePath) => compiled.push(filePath);
+      });
+    });
+
+    afterEach(() => {
+      main.compileFilePath = compileFilePath;
+    });
+
+    it("applies the policy selected for the root to its files", () => {
+      atom.config.set("latex-tools.compileOnSavePolicy", "idle");
+      expect(main.getCompileOnSavePolicy(chapterPath)).toBe("idle");
+
+      main.setCompileOnSavePolicyForRoot(chapterPath, "save");
+      expect(main.getCompileOnSavePolicy(mainPath)).toBe("save");
+      expect(main.getCompileOnSavePolicy(chapterPath)).toBe("save");
+
+      main.setCompileOnSavePolicyForRoot(chapterPath, null);
+      expect(main.getCompileOnSavePolicy(chapterPath)).toBe("idle");
+    });
+
+    it("remembers the selected policies in the next session", () => {
+      runs(() => {
+        main.setCompileOnSavePolicyForRoot(mainPath, "save");
+      });
+      reactivate();
+
+      runs(() => {
+        expect(main.getCompileOnSavePolicySelection(chapterPath)).toBe("save");
+      });
+    });
+
+    it("ignores external changes under the explicit save policy", () => {
+      let editor;
+      runs(() => {
+        main.setCompileOnSavePolicyForRoot(mainPath, "save");
+        main.setCompileOnSaveForFile(chapterPath, true);
+        fs.writeFileSync(chapterPath, "\\chapter{Discussion}\n");
+      });
+      waits(500);
+
+      runs(() => {
+        expect(compiled).toEqual([]);
+      });
+      waitsForPromise(() =>
+        atom.workspace.open(chapterPath).then((item) => {
+          editor = item;
+        }),
+      );
+      runs(() => {
+        editor.insertText("% Draft\n");
+      });
+      waitsForPromise(() => editor.save());
+      waitsFor("the save to compile", () => compiled.length > 0, 2000);
+    });
+
+    it("saves and compiles modified files when typing stops under the idle policy", () => {
+      let editor;
+      runs(() => {
+        atom.config.set("latex-tools.compileOnSaveIdleDelay", 200);
+        main.setCompileOnSavePolicyForRoot(mainPath, "idle");
+        main.setCompileOnSaveForFile(chapterPath, true);
+      });
+      waitsForPromise(() =>
+        atom.workspace.open(chapterPath).then((item) => {
+          editor = item;
+        }),
+      );
+      runs(() => {
+        editor.insertText("% Draft\n");
+      });
+
+      waitsFor("the idle save to compile", () => compiled.length > 0, 5000);
+      runs(() => {
+        expect(editor.isModified()).toBe(false);
+      });
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const path = require("path");
+const DependencyWatcher = require("../lib/dependency-watcher");
+const { selectDependencies } = DependencyWatcher;
+const { readFlsFiles } = require("../lib/root-discovery");
+
+const projectDir = path.join(__dirname, "fixtures", "projects", "recorder");
+const rootPath = path.join(projectDir, "main.tex");
+const resultsPath = path.join(projectDir, "chapters", "results.tex");
+
+function readFixtureFls() {
+  const flsPath = path.join(projectDir, "main.fls");
+  return readFlsFiles(fs.readFileSync(flsPath, "utf8"), projectDir);
+}
+
+describe("dependency watcher", () => {
+  describe("selectDependencies", () => {
+    it("keeps the project inputs without the files of the build", () => {
+      const dependencies = selectDependencies(readFixtureFls(), {
+        rootPath,
+        buildDirs: [projectDir],
+        projectPaths: [projectDir],
+      });
+
+      expect(dependencies).toEqual([rootPath, resultsPath]);
+    });
+
+    it("skips the artifacts of the root in its build directories", () => {
+      const buildDir = path.join(projectDir, "build");
+      const files = {
+        inputs: [path.join(buildDir, "main.aux"), path.join(projectDir, "refs.bib")],
+        outputs: [],
+      };
+
+      expect(
+        selectDependencies(files, { rootPath, buildDirs: [buildDir], projectPaths: [] }),
+      ).toEqual([path.join(projectDir, "refs.bib")]);
+    });
+
+    it("skips files written by the build", () => {
+      const figurePath = path.join(projectDir, "figures", "plot.pdf");
+      const files = { inputs: [figurePath], outputs: [figurePath] };
+
+      expect(selectDependencies(files, { rootPath, buildDirs: [], projectPaths: [] })).toEqual([]);
+    });
+
+    it("keeps files of other project folders", () => {
+      const stylePath = path.join(path.dirname(projectDir), "includes", "macros.sty");
+      const files = { inputs: [stylePath], outputs: [] };
+
+      expect(selectDependencies(files, { rootPath, buildDirs: [], projectPaths: [] })).toEqual([]);
+      expect(
+        selectDependencies(files, {
+          rootPath,
+          buildDirs: [],
+          projectPaths: [path.dirname(stylePath)],
+        }),
+      ).toEqual([stylePath]);
+    });
+  });
+
+  describe("DependencyWatcher", () => {
+    let watcher, changes, changed, listeners, disposed;
+
+    beforeEach(() => {
+      changes = [];
+      listeners = new Map();
+      disposed = [];
+      let resolveChanged;
+      changed = new Promise((resolve) => {
+        resolveChanged = resolve;
+      });
+      watcher = new DependencyWatcher({
+        onDidChange: (changedRoot, changedPath) => {
+          changes.push([changedRoot, changedPath]);
+          resolveChanged();
+        },
+      });
+      // Record the watches instead of watching the file system
+      watcher.watchFile = (filePath, callback) => {
+        listeners.set(filePath, callback);
+        return { dispose: () => disposed.push(filePath) };
+      };
+    });
+
+    afterEach(() => {
+      watcher.destroy();
+    });
+
+    it("replaces the watched files of a root", () => {
+      watcher.watch(rootPath, ["/a.bib", "/b.png"]);
+      watcher.watch(rootPath, ["/b.png", "/c.tex"]);
+
+      expect(watcher.getDependencies(rootPath)).toEqual(["/b.png", "/c.tex"]);
+      expect(disposed).toEqual(["/a.bib"]);
+    });
+
+    it("reports a burst of changes once", () => {
+      watcher.watch(rootPath, ["/a.bib", "/b.png"]);
+
+      listeners.get("/a.bib")(false);
+      listeners.get("/b.png")(false);
+
+      waitsForPromise(() =>
+        changed.then(() => {
+          expect(changes).toEqual([[rootPath, "/b.png"]]);
+        }),
+      );
+    });
+
+    it("drops the watch of deleted files", () => {
+      watcher.watch(rootPath, ["/a.bib"]);
+      listeners.get("/a.bib")(true);
+
+      expect(watcher.getDependencies(rootPath)).toEqual([]);
+      expect(disposed).toEqual(["/a.bib"]);
+    });
+
+    it("stops watching removed roots", () => {
+      watcher.watch(rootPath, ["/a.bib"]);
+      watcher.remove(rootPath);
+
+      expect(watcher.getRootPaths()).toEqual([]);
+      expect(disposed).toEqual(["/a.bib"]);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const FollowCursor = require("../lib/follow-cursor");
+
+// Minimal text editor that lets the spec move the cursor
+function createEditor(filePath) {
+  const callbacks = [];
+  return {
+    getPath: () => filePath,
+    onDidChangeCursorPosition(callback) {
+      callbacks.push(callback);
+      return { dispose: () => callbacks.splice(callbacks.indexOf(callback), 1) };
+    },
+    moveCursor(row, column = 0) {
+      for (const callback of callbacks.slice()) {
+        callback({ newBufferPosition: { row, column } });
+      }
+    },
+    subscriberCount: () => callbacks.length,
+  };
+}
+
+describe("FollowCursor", () => {
+  let followCursor, syncs, changes;
+
+  beforeEach(() => {
+    atom.config.set("latex-tools.followCursorDelay", 300);
+    syncs = [];
+    changes = [];
+    followCursor = new FollowCursor({
+      getRootPath: (filePath) => (filePath.startsWith("/doc/") ? "/doc/main.tex" : filePath),
+      sync: (filePath, line, column) => syncs.push([filePath, line, column]),
+    });
+    followCursor.onDidChange((change) => changes.push(change));
+  });
+
+  afterEach(() => {
+    followCursor.destroy();
+  });
+
+  it("syncs the last line the cursor moved to once the delay is over", () => {
+    const editor = createEditor("/doc/intro.tex");
+    followCursor.toggle("/doc/main.tex");
+    followCursor.observeEditor(editor);
+
+    editor.moveCursor(3, 4);
+    editor.moveCursor(9, 2);
+    expect(syncs).toEqual([]);
+
+    followCursor.flush();
+    expect(syncs).toEqual([["/doc/intro.tex", 10, 3]]);
+  });
+
+  it("ignores moves within the synced line", () => {
+    const editor = createEditor("/doc/intro.tex");
+    followCursor.toggle("/doc/main.tex");
+    followCursor.observeEditor(editor);
+
+    editor.moveCursor(9, 2);
+    followCursor.flush();
+    editor.moveCursor(9, 20);
+    followCursor.flush();
+
+    expect(syncs.length).toBe(1);
+  });
+
+  it("does nothing for roots without the mode", () => {
+    const editor = createEditor("/other/paper.tex");
+    followCursor.toggle("/doc/main.tex");
+    followCursor.observeEditor(editor);
+
+    editor.moveCursor(1);
+    followCursor.flush();
+    expect(syncs).toEqual([]);
+  });
+
+  it("stops following when the mode is switched off", () => {
+    const editor = createEditor("/doc/main.tex");
+    expect(followCursor.toggle("/doc/main.tex")).toBe(true);
+    followCursor.observeEditor(editor);
+
+    editor.moveCursor(1);
+    expect(followCursor.toggle("/doc/main.tex")).toBe(false);
+    followCursor.flush();
+
+    expect(syncs).toEqual([]);
+    expect(changes).toEqual([
+      { rootPath: "/doc/main.tex", enabled: true },
+      { rootPath: "/doc/main.tex", enabled: false },
+    ]);
+  });
+
+  it("only observes the active .tex editor", () => {
+    const first = createEditor("/doc/main.tex");
+    const second = createEditor("/doc/notes.txt");
+    followCursor.observeEditor(first);
+    followCursor.observeEditor(second);
+
+    expect(first.subscriberCount()).toBe(0);
+    expect(second.subscriberCount()).toBe(0);
+  });
+});
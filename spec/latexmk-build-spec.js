@@ -0,0 +1,287 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const fixturesDir = path.join(__dirname, "fixtures");
+const fakeLatexmk = path.join(fixturesDir, "bin", "fake-latexmk");
+const documentDir = path.join(fixturesDir, "logs", "document");
+
+function copyDirectory(source, target) {
+  fs.mkdirSync(target, { recursive: true });
+  for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+    const sourcePath = path.join(source, entry.name);
+    const targetPath = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      copyDirectory(sourcePath, targetPath);
+    } else {
+      fs.copyFileSync(sourcePath, targetPath);
+    }
+  }
+}
+
+function readFixtureLog(name) {
+  return fs.readFileSync(path.join(documentDir, name), "utf8");
+}
+
+// Builds of a copy of the fixture document through the fake latexmk.
+// These run inside Pulsar (`pulsar --test spec`) and need `node` on the PATH.
+describe("latexmk builds", () => {
+  let main, service, workDir, texPath, scenarioPath, recordPath, linter, events;
+
+  function useScenario(scenario) {
+    fs.writeFileSync(scenarioPath, JSON.stringify({ recordFile: recordPath, ...scenario }));
+  }
+
+  function readInvocations() {
+    return fs
+      .readFileSync(recordPath, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+  }
+
+  function build() {
+    runs(() => {
+      expect(service.compile(texPath)).toBe(true);
+    });
+    waitsFor("the build to finish", () => !main.buildQueue.isRunning(texPath), 10000);
+  }
+
+  function lastLinterMessages() {
+    const calls = linter.setAllMessages.calls;
+    return calls.length > 0 ? calls[calls.length - 1].args[0] : null;
+  }
+
+  beforeEach(() => {
+    workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "latex-tools-spec-")));
+    copyDirectory(documentDir, workDir);
+    for (const name of fs.readdirSync(workDir)) {
+      if (/\.(log|blg)$/.test(name)) {
+        fs.unlinkSync(path.join(workDir, name));
+      }
+    }
+    texPath = path.join(workDir, "main.tex");
+    scenarioPath = path.join(workDir, "scenario.json");
+    recordPath = path.join(workDir, "invocations.jsonl");
+    process.env.LATEX_TOOLS_FAKE_SCENARIO = scenarioPath;
+
+    atom.project.setPaths([workDir]);
+    atom.config.set("latex-tools.buildBackend", "latexmk");
+    atom.config.set("latex-tools.latexmkPath", fakeLatexmk);
+
+    spyOn(atom.notifications, "addInfo");
+    spyOn(atom.notifications, "addSuccess");
+    spyOn(atom.notifications, "addError");
+
+    linter = {
+      setAllMessages: jasmine.createSpy("setAllMessages"),
+      clearMessages: jasmine.createSpy("clearMessages"),
+      dispose() {},
+    };
+
+    waitsForPromise(() => atom.packages.activatePackage("latex-tools"));
+
+    runs(() => {
+      main = atom.packages.getActivePackage("latex-tools").mainModule;
+      main.consumeIndie(() => linter);
+      service = main.provideLatexTools();
+
+      events = [];
+      service.onDidChangeBuildStatus(({ status }) => events.push(["status", status]));
+      service.onDidFinishBuild((event) => events.push(["finish", event]));
+      service.onDidFailBuild((event) => events.push(["fail", event]));
+      service.onDidUpdateMessages(({ messages }) => events.push(["messages", messages]));
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.LATEX_TOOLS_FAKE_SCENARIO;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe("when latexmk succeeds", () => {
+    beforeEach(() => {
+      useScenario({
+        stdout: "Latexmk: All targets (main.pdf) are up-to-date\n",
+        files: { log: readFixtureLog("lualatex.log"), pdf: "%PDF-1.5\n" },
+      });
+      build();
+    });
+
+    it("runs latexmk on the root file with the configured engine", () => {
+      const [invocation] = readInvocations();
+      expect(invocation.cwd).toBe(workDir);
+      expect(invocation.args).toContain("-pdf");
+      expect(invocation.args).toContain("-interaction=nonstopmode");
+      expect(invocation.args[invocation.args.length - 1]).toBe("main.tex");
+    });
+
+    it("goes from building to success", () => {
+      expect(events.filter(([type]) => type === "status").map(([, status]) => status)).toEqual([
+        "building",
+        "success",
+      ]);
+      expect(main.getBuildState(texPath).status).toBe("success");
+      expect(main.getBuildState(texPath).message).toBe("main.tex compiled successfully");
+    });
+
+    it("emits the output and the PDF path", () => {
+      const [, event] = events.find(([type]) => type === "finish");
+      expect(event.file).toBe(texPath);
+      expect(event.output).toContain("All targets (main.pdf) are up-to-date");
+      expect(event.outputPath).toBe(path.join(workDir, "main.pdf"));
+    });
+
+    it("notifies about the start and the success", () => {
+      expect(atom.notifications.addInfo).toHaveBeenCalledWith("Compiling main.tex...");
+      expect(atom.notifications.addSuccess.calls[0].args[0]).toBe("main.tex compiled successfully");
+      expect(atom.notifications.addError).not.toHaveBeenCalled();
+    });
+
+    it("sends the warnings of the log to the linter", () => {
+      const messages = lastLinterMessages();
+      const citation = messages.find((message) => message.excerpt.includes("'lamport94'"));
+      expect(citation.severity).toBe("warning");
+      expect(citation.location.file).toBe(texPath);
+      expect(citation.location.position).toEqual([
+        [7, 34],
+        [7, 51],
+      ]);
+      expect(citation.reference.file).toBe(path.join(workDir, "main.log"));
+    });
+  });
+
+  describe("when latexmk fails with a log", () => {
+    beforeEach(() => {
+      useScenario({
+        stdout: "Latexmk: Errors, so I did not complete making targets\n",
+        files: { log: readFixtureLog("xelatex.log") },
+        exitCode: 12,
+      });
+      build();
+    });
+
+    it("goes from building to error with the exit code description", () => {
+      expect(events.filter(([type]) => type === "status").map(([, status]) => status)).toEqual([
+        "building",
+        "error",
+      ]);
+      expect(main.getBuildState(texPath).message).toBe(
+        "Compilation failed: Failure in making files (exit code 12)",
+      );
+    });
+
+    it("shows an error notification", () => {
+      const [title, options] = atom.notifications.addError.calls[0].args;
+      expect(title).toBe("main.tex compilation failed");
+      expect(options.detail).toContain("Exit code 12: Failure in making files");
+    });
+
+    it("sends only the errors of the log to the linter", () => {
+      const messages = lastLinterMessages();
+      expect(messages.map((message) => message.severity)).toEqual(["error", "error"]);
+      expect(messages[0].location.file).toBe(path.join(workDir, "chapters", "intro.tex"));
+      expect(messages[0].location.position[0]).toEqual([3, 0]);
+      expect(messages[1].location.file).toBe(path.join(workDir, "rozdziały", "wstęp.tex"));
+    });
+
+    it("emits the messages and the failure", () => {
+      const [, messages] = events.find(([type]) => type === "messages");
+      expect(messages.length).toBe(2);
+      const [, event] = events.find(([type]) => type === "fail");
+      expect(event.file).toBe(texPath);
+      expect(event.error).toBe("Failure in making files (exit code 12)");
+      expect(event.output).toContain("Errors, so I did not complete making targets");
+    });
+  });
+
+  describe("when latexmk fails without a log", () => {
+    beforeEach(() => {
+      useScenario({ stderr: "Latexmk: Could not find file 'main.tex'\n", exitCode: 11 });
+      build();
+    });
+
+    it("reports a critical error on the root file", () => {
+      const messages = lastLinterMessages();
+      expect(messages.length).toBe(1);
+      expect(messages[0].excerpt).toBe("Critical error: File not found (exit code 11)");
+      expect(messages[0].location.file).toBe(texPath);
+    });
+
+    it("emits the standard error as output", () => {
+      const [, event] = events.find(([type]) => type === "fail");
+      expect(event.output).toContain("Could not find file 'main.tex'");
+    });
+  });
+
+  describe("when latexmk exits with an unknown code", () => {
+    beforeEach(() => {
+      useScenario({ exitCode: 1 });
+      build();
+    });
+
+    it("describes it as a compiler error", () => {
+      expect(main.getBuildState(texPath).message).toBe(
+        "Compilation failed: LaTeX compiler error (exit code 1)",
+      );
+    });
+  });
+
+  describe("when latexmk is terminated by a signal", () => {
+    beforeEach(() => {
+      useScenario({ signal: "SIGKILL" });
+      build();
+    });
+
+    it("reports the build as failed", () => {
+      expect(main.getBuildState(texPath).status).toBe("error");
+      expect(main.getBuildState(texPath).message).toBe("Compilation failed: Terminated by SIGKILL");
+      const [, event] = events.find(([type]) => type === "fail");
+      expect(event.error).toBe("Terminated by SIGKILL");
+      expect(atom.notifications.addError).toHaveBeenCalled();
+    });
+  });
+
+  describe("when the build is interrupted", () => {
+    beforeEach(() => {
+      useScenario({ stdout: "Latexmk: Run number 1 of rule 'pdflatex'\n", delay: 10000 });
+      runs(() => {
+        service.compile(texPath);
+      });
+      waitsFor("latexmk to start", () => fs.existsSync(recordPath), 5000);
+      runs(() => {
+        expect(service.interrupt(texPath)).toBe(true);
+      });
+      waitsFor("latexmk to exit", () => !main.buildQueue.isRunning(texPath), 5000);
+    });
+
+    it("goes back to idle without notifications", () => {
+      expect(main.getBuildState(texPath).status).toBe("idle");
+      expect(main.getBuildState(texPath).message).toBe("Build interrupted");
+      expect(atom.notifications.addError).not.toHaveBeenCalled();
+      expect(atom.notifications.addSuccess).not.toHaveBeenCalled();
+    });
+
+    it("emits the interruption as a failure", () => {
+      const failures = events.filter(([type]) => type === "fail");
+      expect(failures.length).toBe(1);
+      expect(failures[0][1].error).toBe("Build interrupted by user");
+    });
+  });
+
+  describe("when latexmk cannot be started", () => {
+    beforeEach(() => {
+      atom.config.set("latex-tools.latexmkPath", path.join(workDir, "missing-latexmk"));
+      useScenario({});
+      build();
+    });
+
+    it("reports the missing executable", () => {
+      const command = path.join(workDir, "missing-latexmk");
+      expect(main.getBuildState(texPath).message).toBe(`${command} not found`);
+      expect(atom.notifications.addError.calls[0].args[0]).toBe(`Failed to run ${command}`);
+      const [, event] = events.find(([type]) => type === "fail");
+      expect(event.error).toBe(`${command} not found`);
+    });
+  });
+});
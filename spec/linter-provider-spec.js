@@ -0,0 +1,97 @@
+const LinterProvider = require("../lib/linter-provider");
+
+function createMessage(fullPath, excerpt, severity = "error") {
+  return {
+    severity,
+    excerpt,
+    location: {
+      fullPath,
+      position: { start: { row: 0, column: 0 }, end: { row: 0, column: 5 } },
+    },
+  };
+}
+
+describe("LinterProvider", () => {
+  let provider, indie;
+
+  function publishedExcerpts() {
+    return indie.published.map((message) => message.excerpt);
+  }
+
+  beforeEach(() => {
+    // Records what the provider sends, like the indie linter of the linter package
+    indie = {
+      published: null,
+      setAllMessages(messages) {
+        this.published = messages;
+      },
+      clearMessages() {
+        this.published = [];
+      },
+    };
+    provider = new LinterProvider();
+    provider.register(indie);
+  });
+
+  it("keeps the messages of other roots when one root is updated", () => {
+    provider.setMessages("/a/main.tex", [createMessage("/a/main.tex", "A1")]);
+    provider.setMessages("/b/paper.tex", [createMessage("/b/paper.tex", "B1")]);
+    provider.setMessages("/a/main.tex", [createMessage("/a/intro.tex", "A2")]);
+
+    expect(publishedExcerpts()).toEqual(["A2", "B1"]);
+  });
+
+  it("clears the messages of one root", () => {
+    provider.setMessages("/a/main.tex", [createMessage("/a/main.tex", "A1")]);
+    provider.setMessages("/b/paper.tex", [createMessage("/b/paper.tex", "B1")]);
+    provider.clearMessages("/a/main.tex");
+
+    expect(publishedExcerpts()).toEqual(["B1"]);
+    expect(provider.getRootPaths()).toEqual(["/b/paper.tex"]);
+  });
+
+  it("clears the messages of all roots", () => {
+    provider.setMessages("/a/main.tex", [createMessage("/a/main.tex", "A1")]);
+    provider.clearAllMessages();
+
+    expect(indie.published).toEqual([]);
+    expect(provider.getRootPaths()).toEqual([]);
+  });
+
+  it("sends messages set before the linter registered", () => {
+    const lateProvider = new LinterProvider();
+    spyOn(console, "warn");
+    lateProvider.setMessages("/a/main.tex", [createMessage("/a/main.tex", "A1")]);
+    lateProvider.register(indie);
+
+    expect(publishedExcerpts()).toEqual(["A1"]);
+  });
+
+  it("removes duplicates within a root", () => {
+    provider.setMessages("/a/main.tex", [
+      createMessage("/a/main.tex", "A1"),
+      createMessage("/a/main.tex", "A1"),
+    ]);
+
+    expect(publishedExcerpts()).toEqual(["A1"]);
+  });
+
+  it("keeps the messages about a file apart from the build messages", () => {
+    const problem = { severity: "warning", excerpt: "F1", row: 2, column: 0, endColumn: 20 };
+    provider.setMessages("/a/main.tex", [createMessage("/a/main.tex", "A1")]);
+    provider.setFileMessages("/a/main.tex", [problem]);
+    provider.clearMessages("/a/main.tex");
+
+    expect(publishedExcerpts()).toEqual(["F1"]);
+    expect(indie.published[0].location).toEqual({
+      file: "/a/main.tex",
+      position: [
+        [2, 0],
+        [2, 20],
+      ],
+    });
+
+    provider.setFileMessages("/a/main.tex", []);
+    expect(indie.published).toEqual([]);
+  });
+});
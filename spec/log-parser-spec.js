@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const LogParser = require("../lib/log-parser");
+
+const documentDir = path.join(__dirname, "fixtures", "logs", "document");
+const texFilePath = path.join(documentDir, "main.tex");
+const introPath = path.join(documentDir, "chapters", "intro.tex");
+const wstepPath = path.join(documentDir, "rozdziały", "wstęp.tex");
+
+function parseLog(name) {
+  const logPath = path.join(documentDir, name);
+  const parser = new LogParser();
+  const messages = parser.parse(fs.readFileSync(logPath, "utf8"), texFilePath, logPath);
+  return { parser, messages, logPath };
+}
+
+function findMessage(messages, excerpt) {
+  return messages.find((message) => message.excerpt.includes(excerpt));
+}
+
+function findMessages(messages, excerpt) {
+  return messages.filter((message) => message.excerpt.includes(excerpt));
+}
+
+// [fullPath, startRow, startColumn, endRow, endColumn]
+function locationOf(message) {
+  const { start, end } = message.location.position;
+  return [message.location.fullPath, start.row, start.column, end.row, end.column];
+}
+
+describe("LogParser", () => {
+  describe("with a pdflatex log", () => {
+    let result;
+
+    beforeEach(() => {
+      result = parseLog("pdflatex.log");
+    });
+
+    it("finds the output file", () => {
+      expect(result.parser.getOutputFilePath()).toBe(path.join(documentDir, "main.pdf"));
+    });
+
+    it("attributes box warnings to the file on top of the stack", () => {
+      const message = findMessage(result.messages, "Overfull \\hbox");
+      expect(message.severity).toBe("info");
+      expect(message.excerpt).toBe("Overfull \\hbox (15.60004pt too wide)");
+      expect(message.location.fullPath).toBe(introPath);
+      expect(message.location.position.start.row).toBe(1);
+      expect(message.location.position.end.row).toBe(2);
+    });
+
+    it("keeps package files on the stack across parenthesized banner text", () => {
+      const message = findMessage(result.messages, "Redefining \\cite");
+      expect(path.basename(message.location.fullPath)).toBe("natbib.sty");
+    });
+
+    it("places undefined references on the \\ref token", () => {
+      const message = findMessage(result.messages, "Reference `sec:missing'");
+      expect(message.severity).toBe("warning");
+      expect(message.key).toBe("sec:missing");
+      expect(locationOf(message)).toEqual([texFilePath, 6, 12, 6, 29]);
+    });
+
+    it("places undefined references in included files", () => {
+      const message = findMessage(result.messages, "Reference `eq:none'");
+      expect(message.key).toBe("eq:none");
+      expect(locationOf(message)).toEqual([introPath, 4, 9, 4, 24]);
+    });
+
+    it("resolves non-ASCII file paths", () => {
+      const message = findMessage(result.messages, "Reference `fig:brak'");
+      expect(message.key).toBe("fig:brak");
+      expect(locationOf(message)).toEqual([wstepPath, 1, 15, 1, 29]);
+    });
+
+    it("joins line numbers wrapped in the middle", () => {
+      const message = findMessage(result.messages, "tab:results-2023");
+      expect(message.excerpt).toBe(
+        "Reference `tab:results-2023' on page 1 undefined on input line 12.",
+      );
+      expect(locationOf(message)).toEqual([texFilePath, 11, 6, 11, 28]);
+    });
+
+    it("joins line numbers wrapped onto the next line", () => {
+      const message = findMessage(result.messages, "Citation `knuth1984'");
+      expect(message.excerpt).toBe(
+        "Package natbib: Citation `knuth1984' on page 1 undefined on input line 8.",
+      );
+      expect(message.key).toBe("knuth1984");
+      expect(locationOf(message)).toEqual([texFilePath, 7, 12, 7, 29]);
+    });
+
+    it("places citations within a list of keys", () => {
+      const message = findMessage(result.messages, "Citation `lamport94'");
+      expect(locationOf(message)).toEqual([texFilePath, 7, 34, 7, 51]);
+    });
+
+    it("reports multiply-defined labels at every \\label", () => {
+      const messages = findMessages(result.messages, "Label `sec:dup' multiply defined");
+      expect(messages.length).toBe(2);
+      expect(messages.map((message) => message.key)).toEqual(["sec:dup", "sec:dup"]);
+      expect(messages.map(locationOf)).toEqual([
+        [texFilePath, 8, 0, 8, 15],
+        [introPath, 0, 22, 0, 37],
+      ]);
+    });
+
+    it("reports reference summaries on the root file", () => {
+      for (const excerpt of [
+        "There were undefined references.",
+        "There were multiply-defined labels.",
+        "There were undefined citations.",
+      ]) {
+        const message = findMessage(result.messages, excerpt);
+        expect(message.location.fullPath).toBe(texFilePath);
+        expect(message.location.position.start.row).toBe(0);
+      }
+    });
+
+    it("sets the log path on every message", () => {
+      expect(result.messages.length).toBeGreaterThan(0);
+      for (const message of result.messages) {
+        expect(message.logPath).toBe(result.logPath);
+      }
+    });
+  });
+
+  describe("with a xelatex log", () => {
+    let result;
+
+    beforeEach(() => {
+      result = parseLog("xelatex.log");
+    });
+
+    it("reports fatal errors at the l.<number> context of the current file", () => {
+      const errors = result.messages.filter((message) => message.severity === "error");
+      expect(errors.length).toBe(2);
+      expect(errors[0].excerpt).toBe("Undefined control sequence.");
+      expect(errors[0].context).toBe("\\foo");
+      expect(locationOf(errors[0])[0]).toBe(introPath);
+      expect(errors[0].location.position.start.row).toBe(3);
+      expect(locationOf(errors[1])[0]).toBe(wstepPath);
+      expect(errors[1].context).toBe("Tekst \\nieznane");
+      expect(errors[1].location.position.start.row).toBe(2);
+    });
+
+    it("joins package continuation lines and drops repeated warnings", () => {
+      const messages = findMessages(result.messages, "Token not allowed in a PDF string");
+      expect(messages.length).toBe(1);
+      expect(messages[0].excerpt).toBe(
+        "Package hyperref: Token not allowed in a PDF string (Unicode): removing `math shift' on input line 1.",
+      );
+      expect(messages[0].location.fullPath).toBe(wstepPath);
+      expect(messages[0].location.position.start.row).toBe(0);
+    });
+
+    it("places undefined citations on the \\cite token", () => {
+      const message = findMessage(result.messages, "Citation `knuth1984'");
+      expect(locationOf(message)).toEqual([texFilePath, 7, 12, 7, 29]);
+    });
+
+    it("has no output file when none was written", () => {
+      expect(result.parser.getOutputFilePath()).toBeNull();
+    });
+  });
+
+  describe("with a lualatex log", () => {
+    let result;
+
+    beforeEach(() => {
+      result = parseLog("lualatex.log");
+    });
+
+    it("reports file:line:error messages", () => {
+      const message = result.messages.find((item) => item.severity === "error");
+      expect(message.excerpt).toBe("Undefined control sequence.");
+      expect(message.context).toBe("\\foo");
+      expect(message.location.fullPath).toBe(introPath);
+      expect(message.location.position.start.row).toBe(3);
+    });
+
+    it("places biblatex citation warnings using straight quotes", () => {
+      const message = findMessage(result.messages, "Citation 'lamport94'");
+      expect(message.key).toBe("lamport94");
+      expect(locationOf(message)).toEqual([texFilePath, 7, 34, 7, 51]);
+    });
+
+    it("joins multi-line package warnings", () => {
+      const message = findMessage(result.messages, "Please (re)run Biber");
+      expect(message.excerpt).toBe(
+        "Package biblatex: Please (re)run Biber on the file: main and rerun LaTeX afterwards.",
+      );
+    });
+
+    it("finds the output file", () => {
+      expect(result.parser.getOutputFilePath()).toBe(path.join(documentDir, "main.pdf"));
+    });
+  });
+
+  describe("::getStatistics", () => {
+    it("counts messages by severity", () => {
+      const { parser, messages } = parseLog("xelatex.log");
+      const statistics = parser.getStatistics();
+      expect(statistics.total).toBe(messages.length);
+      expect(statistics.errors).toBe(2);
+      expect(statistics.warnings).toBe(2);
+      expect(statistics.info).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const path = require("path");
+const { parseMagicComments } = require("../lib/utils");
+const { getBackend } = require("../lib/build-backends");
+
+const filePath = path.join(__dirname, "fixtures", "paper", "chapter.tex");
+
+function parse(...lines) {
+  return parseMagicComments(lines.join("\n"), filePath);
+}
+
+// Build context of paper/main.tex with the options magic comments control
+function createContext(overrides) {
+  const fileDir = path.join(__dirname, "fixtures", "paper");
+  return {
+    backendName: "latexmk",
+    executable: "latexmk",
+    filePath: path.join(fileDir, "main.tex"),
+    fileName: "main.tex",
+    fileDir,
+    baseName: "main",
+    outDir: fileDir,
+    auxDir: fileDir,
+    engine: "pdflatex",
+    verbosity: "default",
+    synctex: true,
+    shellEscape: false,
+    cleanAuxFiles: false,
+    engineOptions: [],
+    bibProgram: null,
+    extraArgs: [],
+    env: {},
+    postSteps: [],
+    ...overrides,
+  };
+}
+
+describe("magic comments", () => {
+  describe("parseMagicComments", () => {
+    it("reads the TeXShop and TeXstudio comments of the header", () => {
+      const comments = parse(
+        "% !TEX TS-program = upLaTeX",
+        "% !TeX root = ../main",
+        "% !TEX encoding = UTF-8 Unicode",
+        "% !TEX spellcheck = en_US",
+        '% !TEX options = -shell-escape "-jobname=final draft"',
+        "% !TEX outdir = build",
+        "% !BIB TS-program = biber",
+        "\\chapter{Results}",
+      );
+
+      expect(comments.program).toBe("uplatex");
+      expect(comments.root).toBe(path.join(__dirname, "fixtures", "main.tex"));
+      expect(comments.encoding).toBe("utf8");
+      expect(comments.spellcheck).toBe("en-US");
+      expect(comments.options).toEqual(["-shell-escape", "-jobname=final draft"]);
+      expect(comments.outdir).toBe("build");
+      expect(comments.bibProgram).toBe("biber");
+      expect(comments.problems).toEqual([]);
+    });
+
+    it("resolves engine aliases", () => {
+      expect(parse("% !TEX program = pdflatexmk").program).toBe("pdflatex");
+      expect(parse("% !TEX program = lualatex-dev").program).toBe("lualatex-dev");
+      expect(parse("% !TEX program = ConTeXt").program).toBe("context");
+    });
+
+    it("stops at the first line that is not a comment", () => {
+      expect(parse("", "% !TEX program = xelatex").program).toBe("xelatex");
+      expect(parse("\\documentclass{article}", "% !TEX program = xelatex").program).toBeNull();
+    });
+
+    it("keeps the first comment of a kind", () => {
+      expect(parse("% !TEX program = xelatex", "% !TEX program = lualatex").program).toBe(
+        "xelatex",
+      );
+    });
+
+    it("reports unknown comments and invalid values on their line", () => {
+      const comments = parse(
+        "% Chapter of the paper",
+        "% !TEX program = word",
+        "  % !TEX colour = blue",
+        "% !BIB program = endnote",
+        "% !TEX encoding = EBCDIC",
+        "% !TEX root =",
+      );
+
+      expect(comments.program).toBeNull();
+      expect(comments.root).toBeNull();
+      expect(comments.problems.map((problem) => problem.row)).toEqual([1, 2, 3, 4, 5]);
+      expect(comments.problems[0].excerpt).toBe('Unknown TeX engine "word"');
+      expect(comments.problems[1]).toEqual({
+        row: 2,
+        column: 2,
+        endColumn: 22,
+        excerpt: 'Unknown magic comment "!TEX colour"',
+      });
+      expect(comments.problems[2].excerpt).toBe('Unknown bibliography program "endnote"');
+      expect(comments.problems[3].excerpt).toBe('Unknown encoding "EBCDIC"');
+      expect(comments.problems[4].excerpt).toBe("Missing root document");
+    });
+  });
+
+  describe("build steps", () => {
+    function latexmkArgs(overrides) {
+      return getBackend("latexmk").createSteps(createContext(overrides))[0].args;
+    }
+
+    it("selects the engine in latexmk", () => {
+      expect(latexmkArgs({ engine: "xelatex" })).toContain("-xelatex");
+      expect(latexmkArgs({ engine: "lualatex-dev" })).toContain("-lualatex=lualatex-dev %O %S");
+
+      const args = latexmkArgs({ engine: "platex" });
+      expect(args).toContain("-pdfdvi");
+      expect(args).toContain("-latex=platex %O %S");
+    });
+
+    it("passes the engine options and bibliography program to latexmk", () => {
+      const args = latexmkArgs({ engineOptions: ["-8bit"], bibProgram: "upbibtex" });
+
+      expect(args).toContain("-latexoption=-8bit");
+      expect(args).toContain("$bibtex = q/upbibtex %O %S/");
+    });
+
+    it("runs ConTeXt by itself", () => {
+      const steps = getBackend("latexmk").createSteps(createContext({ engine: "context" }));
+
+      expect(steps.length).toBe(1);
+      expect(steps[0].command).toBe("context");
+      expect(steps[0].args).toEqual(["--nonstopmode", "--synctex", "main.tex"]);
+    });
+
+    it("converts the DVI of pLaTeX in the engine loop", () => {
+      const steps = getBackend("engine").createSteps(
+        createContext({ backendName: "engine", engine: "platex", bibProgram: "pbibtex" }),
+      );
+
+      expect(steps[0].command).toBe("platex");
+      expect(steps[2].command).toBe("pbibtex");
+      expect(steps[steps.length - 1].command).toBe("dvipdfmx");
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getProjectPathForFile,
+  findProjectConfigFile,
+  readProjectConfig,
+  clearProjectConfigCache,
+} = require("../lib/project-config");
+
+const projectDir = path.join(__dirname, "fixtures", "projects", "configured");
+const configPath = path.join(projectDir, ".latex-tools.json");
+const introPath = path.join(projectDir, "chapters", "intro.tex");
+
+describe("project config", () => {
+  afterEach(() => {
+    clearProjectConfigCache();
+  });
+
+  describe("getProjectPathForFile", () => {
+    it("finds the innermost project folder containing a file", () => {
+      const projectsDir = path.dirname(projectDir);
+
+      expect(getProjectPathForFile(introPath, [projectsDir, projectDir])).toBe(projectDir);
+      expect(getProjectPathForFile(introPath, [projectsDir])).toBe(projectsDir);
+      expect(getProjectPathForFile(introPath, [path.join(projectsDir, "includes")])).toBeNull();
+    });
+  });
+
+  describe("findProjectConfigFile", () => {
+    it("searches from the file up to its project folder", () => {
+      expect(findProjectConfigFile(introPath, [projectDir])).toBe(configPath);
+      expect(findProjectConfigFile(introPath, [path.dirname(introPath)])).toBeNull();
+    });
+
+    it("searches only the directory of files outside any project", () => {
+      expect(findProjectConfigFile(path.join(projectDir, "thesis.tex"), [])).toBe(configPath);
+      expect(findProjectConfigFile(introPath, [])).toBeNull();
+    });
+  });
+
+  describe("readProjectConfig", () => {
+    it("normalizes the project file", () => {
+      const config = readProjectConfig(introPath, [projectDir]);
+
+      expect(config.configPath).toBe(configPath);
+      expect(config.error).toBeNull();
+      expect(config.problems).toEqual([]);
+      expect(config.roots).toEqual([
+        path.join(projectDir, "thesis.tex"),
+        path.join(projectDir, "paper.tex"),
+      ]);
+      expect(config.engine).toBe("lualatex");
+      expect(config.recipe).toBe("Draft");
+      expect(config.outputDirectory).toBe("build");
+      expect(config.auxDirectory).toBeNull();
+      expect(config.cleanPatterns).toEqual(["*.aux", "{basename}.log"]);
+      expect(config.latexmkArgs).toEqual(["-interaction=nonstopmode"]);
+      expect(config.env).toEqual({ TEXINPUTS: "{root}/styles//:" });
+      expect(config.compileOnSave).toBe(true);
+      expect(config.compileOnSavePolicy).toBe("idle");
+      expect(config.recipes.length).toBe(1);
+    });
+
+    it("gives the defaults to files without a project file", () => {
+      const config = readProjectConfig(introPath, []);
+
+      expect(config.configPath).toBeNull();
+      expect(config.roots).toEqual([]);
+      expect(config.cleanPatterns).toBeNull();
+      expect(config.compileOnSave).toBeNull();
+    });
+
+    describe("with a project file on disk", () => {
+      let tempDir, tempConfigPath, texPath;
+
+      beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "latex-tools-project-"));
+        tempConfigPath = path.join(tempDir, ".latex-tools.json");
+        texPath = path.join(tempDir, "main.tex");
+      });
+
+      afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      });
+
+      it("reloads the project file when it changes", () => {
+        fs.writeFileSync(tempConfigPath, JSON.stringify({ engine: "xelatex" }));
+        expect(readProjectConfig(texPath, [tempDir]).engine).toBe("xelatex");
+
+        fs.writeFileSync(tempConfigPath, JSON.stringify({ engine: "pdflatex", root: "main" }));
+        const config = readProjectConfig(texPath, [tempDir]);
+        expect(config.engine).toBe("pdflatex");
+        expect(config.roots).toEqual([texPath]);
+      });
+
+      it("reports invalid project files", () => {
+        fs.writeFileSync(tempConfigPath, '{ "engine": ');
+        const config = readProjectConfig(texPath, [tempDir]);
+
+        expect(config.configPath).toBe(tempConfigPath);
+        expect(config.error).toContain("JSON");
+        expect(config.engine).toBeNull();
+
+        fs.writeFileSync(tempConfigPath, "[]");
+        expect(readProjectConfig(texPath, [tempDir]).error).toContain("JSON object");
+      });
+
+      it("ignores unknown engines and policies", () => {
+        fs.writeFileSync(
+          tempConfigPath,
+          JSON.stringify({ engine: "tex", compileOnSavePolicy: "hourly" }),
+        );
+        const config = readProjectConfig(texPath, [tempDir]);
+
+        expect(config.engine).toBeNull();
+        expect(config.compileOnSavePolicy).toBeNull();
+        expect(config.error).toBeNull();
+        expect(config.problems).toEqual([
+          'Unknown engine "tex"',
+          'Unknown compile-on-save policy "hourly"',
+        ]);
+      });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const path = require("path");
+const QuickFixes = require("../lib/quick-fixes");
+
+const projectDir = path.join(__dirname, "fixtures", "projects", "quickfix");
+const rootPath = path.join(projectDir, "main.tex");
+
+function createMessage(excerpt, { row = 0, column = 0, endColumn, context } = {}) {
+  return {
+    severity: "error",
+    excerpt,
+    context,
+    location: {
+      file: path.basename(rootPath),
+      fullPath: rootPath,
+      position: {
+        start: { row, column },
+        end: { row, column: endColumn === undefined ? Number.MAX_SAFE_INTEGER : endColumn },
+      },
+    },
+  };
+}
+
+describe("QuickFixes", () => {
+  let quickFixes;
+
+  beforeEach(() => {
+    atom.config.set("latex-tools.commandPackages", []);
+    quickFixes = new QuickFixes();
+  });
+
+  describe("undefined control sequences", () => {
+    it("offers the package defining the command", () => {
+      const message = createMessage("Undefined control sequence.", {
+        row: 4,
+        context: "As shown by $\\mathbb",
+      });
+      const solutions = quickFixes.getSolutions(message, rootPath);
+
+      expect(solutions.length).toBe(1);
+      expect(solutions[0].title).toBe("Add \\usepackage{amssymb} for \\mathbb");
+      expect(typeof solutions[0].apply).toBe("function");
+      expect(solutions[0].position).toEqual([
+        [4, 0],
+        [4, Number.MAX_SAFE_INTEGER],
+      ]);
+    });
+
+    it("offers nothing when the package is loaded already", () => {
+      const message = createMessage("Undefined control sequence.", { context: "\\eqref" });
+      expect(quickFixes.getSolutions(message, rootPath)).toEqual([]);
+    });
+
+    it("uses the commandPackages setting first", () => {
+      atom.config.set("latex-tools.commandPackages", ["\\ce=mhchem", "mathbb=bbold"]);
+      const titles = (context) =>
+        quickFixes
+          .getSolutions(createMessage("Undefined control sequence.", { context }), rootPath)
+          .map((solution) => solution.title);
+
+      expect(titles("\\ce")).toEqual(["Add \\usepackage{mhchem} for \\ce"]);
+      expect(titles("\\mathbb")).toEqual(["Add \\usepackage{bbold} for \\mathbb"]);
+    });
+  });
+
+  it("offers the package of undefined environments", () => {
+    const message = createMessage("LaTeX Error: Environment tikzpicture undefined.");
+    const [solution] = quickFixes.getSolutions(message, rootPath);
+    expect(solution.title).toBe("Add \\usepackage{tikz} for tikzpicture");
+  });
+
+  it("offers to wrap the selection in math mode", () => {
+    const [solution] = quickFixes.getSolutions(createMessage("Missing $ inserted."), rootPath);
+    expect(solution.title).toBe("Wrap selection in math mode");
+    expect(typeof solution.apply).toBe("function");
+  });
+
+  describe("missing packages", () => {
+    it("offers to install the package or remove it from its \\usepackage", () => {
+      const message = createMessage("LaTeX Error: File `foo.sty' not found.", { row: 2 });
+      const [install, remove] = quickFixes.getSolutions(message, rootPath);
+
+      expect(install.title).toBe("Install foo");
+      expect(typeof install.apply).toBe("function");
+      expect(remove.title).toBe("Remove \\usepackage{foo}");
+      expect(remove.position).toEqual([
+        [2, 0],
+        [2, 34],
+      ]);
+      expect(remove.currentText).toBe("\\usepackage{graphicx,foo,booktabs}");
+      expect(remove.replaceWith).toBe("\\usepackage{graphicx,booktabs}");
+    });
+
+    it("removes the whole \\usepackage of a single package", () => {
+      const message = createMessage("LaTeX Error: File `amsmath.sty' not found.");
+      const remove = quickFixes.getSolutions(message, rootPath)[1];
+
+      expect(remove.position).toEqual([
+        [1, 0],
+        [1, 20],
+      ]);
+      expect(remove.replaceWith).toBe("");
+    });
+  });
+
+  it("offers the closest bibliography keys for undefined citations", () => {
+    const message = createMessage(
+      "Package natbib: Citation `knuht1984' on page 1 undefined on input line 5.",
+      { row: 4, column: 12, endColumn: 29 },
+    );
+    const solutions = quickFixes.getSolutions(message, rootPath);
+
+    expect(solutions.map((solution) => solution.replaceWith)).toEqual(["knuth1984", "knuth1986"]);
+    expect(solutions[0].title).toBe("Change to knuth1984");
+    expect(solutions[0].currentText).toBe("knuht1984");
+    expect(solutions[0].position).toEqual([
+      [4, 19],
+      [4, 28],
+    ]);
+  });
+
+  describe("::addRule", () => {
+    it("runs added rules before the built-in ones until disposed", () => {
+      const disposable = quickFixes.addRule({
+        name: "custom",
+        match: /^Missing \$ inserted/,
+        solutions: () => [{ title: "Custom", replaceWith: "$" }],
+      });
+      const message = createMessage("Missing $ inserted.");
+
+      expect(quickFixes.getSolutions(message, rootPath).map((solution) => solution.title)).toEqual([
+        "Custom",
+        "Wrap selection in math mode",
+      ]);
+
+      disposable.dispose();
+      expect(quickFixes.getSolutions(message, rootPath).map((solution) => solution.title)).toEqual([
+        "Wrap selection in math mode",
+      ]);
+    });
+
+    it("rejects rules without a pattern or solutions", () => {
+      expect(() => quickFixes.addRule({ name: "broken" })).toThrow();
+    });
+
+    it("ignores rules that throw", () => {
+      quickFixes.addRule({
+        name: "failing",
+        match: /./,
+        solutions: () => {
+          throw new Error("failed");
+        },
+      });
+      const [solution] = quickFixes.getSolutions(createMessage("Missing $ inserted."), rootPath);
+      expect(solution.title).toBe("Wrap selection in math mode");
+    });
+  });
+});
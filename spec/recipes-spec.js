@@ -0,0 +1,54 @@
+const { getRecipes, findRecipe, getProjectConfigProblems } = require("../lib/recipes");
+
+describe("recipes", () => {
+  beforeEach(() => {
+    atom.config.set("latex-tools.recipes", [
+      { name: "Tectonic", backend: "Tectonic" },
+      { name: "XeLaTeX", engine: "XeLaTeX", args: ["-f"] },
+      { name: "TeXShop", engine: "pdflatexmk" },
+      { name: "Typo", backend: "latexmkk", engine: "luatex" },
+      { engine: "lualatex" },
+    ]);
+  });
+
+  afterEach(() => {
+    atom.config.set("latex-tools.recipes", []);
+  });
+
+  it("skips recipes without a name", () => {
+    expect(getRecipes(null).map((recipe) => recipe.name)).toEqual([
+      "Tectonic",
+      "XeLaTeX",
+      "TeXShop",
+      "Typo",
+    ]);
+  });
+
+  it("resolves backend and engine names", () => {
+    expect(findRecipe(null, "Tectonic").backend).toBe("tectonic");
+    expect(findRecipe(null, "XeLaTeX").engine).toBe("xelatex");
+    expect(findRecipe(null, "TeXShop").engine).toBe("pdflatex");
+    expect(findRecipe(null, "XeLaTeX").error).toBeNull();
+  });
+
+  it("reports unknown backends and engines", () => {
+    expect(findRecipe(null, "Typo").error).toBe(
+      'Unknown backend "latexmkk", Unknown engine "luatex"',
+    );
+  });
+
+  it("reports project files selecting a recipe that is not defined", () => {
+    const config = { configPath: null, error: null, problems: ['Unknown engine "tex"'] };
+
+    expect(getProjectConfigProblems({ ...config, recipe: "XeLaTeX" })).toEqual([
+      'Unknown engine "tex"',
+    ]);
+    expect(getProjectConfigProblems({ ...config, recipe: "Draft" })).toEqual([
+      'Unknown engine "tex"',
+      'Unknown recipe "Draft"',
+    ]);
+    expect(getProjectConfigProblems({ ...config, error: "Unexpected end of JSON input" })).toEqual([
+      "Unexpected end of JSON input",
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+const { Disposable } = require("atom");
+const ReverseSync = require("../lib/reverse-sync");
+
+const { matchesModifier, toPdfPoint } = ReverseSync;
+
+describe("ReverseSync", () => {
+  describe("matchesModifier", () => {
+    it("checks the configured key of the click", () => {
+      const click = { ctrlKey: true, altKey: false, shiftKey: false, metaKey: false };
+
+      expect(matchesModifier(click, "ctrl")).toBe(true);
+      expect(matchesModifier(click, "alt")).toBe(false);
+      expect(matchesModifier({ metaKey: true }, "meta")).toBe(true);
+    });
+  });
+
+  describe("toPdfPoint", () => {
+    it("converts a click to PDF points from the top left corner of the page", () => {
+      const pageRect = { left: 100, top: 50 };
+
+      expect(toPdfPoint(pageRect, 100, 50, 2)).toEqual({ x: 0, y: 0 });
+      expect(toPdfPoint(pageRect, 244, 194, 2)).toEqual({ x: 72, y: 72 });
+    });
+  });
+
+  describe("::attach", () => {
+    let reverseSync, element, destroyCallbacks, item;
+
+    beforeEach(() => {
+      reverseSync = new ReverseSync({ sync: () => {} });
+      destroyCallbacks = [];
+
+      // Records the listeners of a viewer element
+      element = {
+        listeners: [],
+        addEventListener(type, listener) {
+          this.listeners.push(listener);
+        },
+        removeEventListener(type, listener) {
+          this.listeners.splice(this.listeners.indexOf(listener), 1);
+        },
+      };
+      item = {
+        filePath: "/doc/main.pdf",
+        element,
+        onDidDestroy: (callback) => {
+          destroyCallbacks.push(callback);
+          return new Disposable(() =>
+            destroyCallbacks.splice(destroyCallbacks.indexOf(callback), 1),
+          );
+        },
+      };
+    });
+
+    it("handles the clicks of a viewer once until it is destroyed", () => {
+      reverseSync.attach(item);
+      reverseSync.attach(item);
+      expect(element.listeners.length).toBe(1);
+
+      destroyCallbacks.forEach((callback) => callback());
+      expect(element.listeners.length).toBe(0);
+    });
+
+    it("removes its handlers when destroyed", () => {
+      reverseSync.attach(item);
+      reverseSync.destroy();
+      expect(element.listeners.length).toBe(0);
+      expect(destroyCallbacks.length).toBe(0);
+    });
+
+    it("stops observing the viewer when detached", () => {
+      reverseSync.attach(item);
+      reverseSync.detach(item);
+      expect(element.listeners.length).toBe(0);
+      expect(destroyCallbacks.length).toBe(0);
+    });
+  });
+});
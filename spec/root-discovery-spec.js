@@ -0,0 +1,204 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  collectTexReferences,
+  texContentIncludesFile,
+  flsContentIncludesFile,
+  readFlsFiles,
+  findRootCandidatesForFile,
+} = require("../lib/root-discovery");
+
+const projectsDir = path.join(__dirname, "fixtures", "projects");
+
+function fixturePath(...segments) {
+  return path.join(projectsDir, ...segments);
+}
+
+function findRoots(filePath, projectName, options = {}) {
+  return findRootCandidatesForFile(filePath, {
+    projectPaths: [fixturePath(projectName)],
+    ...options,
+  });
+}
+
+describe("root discovery", () => {
+  describe("collectTexReferences", () => {
+    it("resolves \\input, \\include and \\subfile relative to a directory", () => {
+      const content = [
+        "\\input{body}",
+        "\\include{chapters/appendix}",
+        "\\subfile{parts/one.tex}",
+        '\\input{"quoted name"}',
+      ].join("\n");
+      expect(collectTexReferences(content, "/doc")).toEqual([
+        path.resolve("/doc/body.tex"),
+        path.resolve("/doc/chapters/appendix.tex"),
+        path.resolve("/doc/parts/one.tex"),
+        path.resolve("/doc/quoted name.tex"),
+      ]);
+    });
+
+    it("resolves \\import and \\subimport through their directory", () => {
+      const content = "\\import{parts/}{part1}\n\\subimport {sub/} {leaf}";
+      expect(collectTexReferences(content, "/doc")).toEqual([
+        path.resolve("/doc/parts/part1.tex"),
+        path.resolve("/doc/sub/leaf.tex"),
+      ]);
+    });
+
+    it("ignores empty references", () => {
+      expect(collectTexReferences("\\input{ }", "/doc")).toEqual([]);
+    });
+  });
+
+  describe("texContentIncludesFile", () => {
+    it("follows nested includes", () => {
+      const mainPath = fixturePath("includes", "main.tex");
+      const content = fs.readFileSync(mainPath, "utf8");
+      const mainDir = path.dirname(mainPath);
+
+      expect(
+        texContentIncludesFile(content, mainDir, fixturePath("includes", "chapters", "intro.tex")),
+      ).toBe(true);
+      expect(
+        texContentIncludesFile(
+          content,
+          mainDir,
+          fixturePath("includes", "chapters", "methods.tex"),
+        ),
+      ).toBe(true);
+      expect(
+        texContentIncludesFile(content, mainDir, fixturePath("includes", "chapters", "unused.tex")),
+      ).toBe(false);
+    });
+
+    it("follows \\subimport relative to the importing file", () => {
+      const mainPath = fixturePath("imports", "main.tex");
+      const content = fs.readFileSync(mainPath, "utf8");
+      const leafPath = fixturePath("imports", "parts", "sub", "leaf.tex");
+      expect(texContentIncludesFile(content, path.dirname(mainPath), leafPath)).toBe(true);
+    });
+  });
+
+  describe("flsContentIncludesFile", () => {
+    const flsPath = fixturePath("recorder", "main.fls");
+
+    it("matches relative INPUT lines", () => {
+      const content = fs.readFileSync(flsPath, "utf8");
+      const resultsPath = fixturePath("recorder", "chapters", "results.tex");
+      expect(flsContentIncludesFile(content, path.dirname(flsPath), resultsPath)).toBe(true);
+    });
+
+    it("matches absolute INPUT lines", () => {
+      const content = fs.readFileSync(flsPath, "utf8");
+      const classPath = "/usr/local/texlive/2023/texmf-dist/tex/latex/base/article.cls";
+      expect(flsContentIncludesFile(content, path.dirname(flsPath), classPath)).toBe(true);
+    });
+
+    it("ignores OUTPUT lines", () => {
+      const content = fs.readFileSync(flsPath, "utf8");
+      const pdfPath = fixturePath("recorder", "main.pdf");
+      expect(flsContentIncludesFile(content, path.dirname(flsPath), pdfPath)).toBe(false);
+    });
+  });
+
+  describe("readFlsFiles", () => {
+    it("resolves the recorded inputs and outputs once each", () => {
+      const flsPath = fixturePath("recorder", "main.fls");
+      const files = readFlsFiles(fs.readFileSync(flsPath, "utf8"), path.dirname(flsPath));
+
+      expect(files.inputs).toContain(fixturePath("recorder", "chapters", "results.tex"));
+      expect(files.inputs.length).toBe(7);
+      expect(files.outputs).toEqual([
+        fixturePath("recorder", "main.log"),
+        fixturePath("recorder", "main.pdf"),
+      ]);
+    });
+  });
+
+  describe("findRootCandidatesForFile", () => {
+    it("finds the root of a nested include", () => {
+      const introPath = fixturePath("includes", "chapters", "intro.tex");
+      expect(findRoots(introPath, "includes")).toEqual([fixturePath("includes", "main.tex")]);
+    });
+
+    it("does not offer files without a document as roots", () => {
+      const introPath = fixturePath("includes", "chapters", "intro.tex");
+      expect(findRoots(introPath, "includes")).not.toContain(fixturePath("includes", "body.tex"));
+    });
+
+    it("returns nothing for files included nowhere", () => {
+      const unusedPath = fixturePath("includes", "chapters", "unused.tex");
+      expect(findRoots(unusedPath, "includes")).toEqual([]);
+    });
+
+    it("tells the tracker about the files and directories it reads", () => {
+      const files = [];
+      const directories = [];
+      const tracker = {
+        file: (filePath) => files.push(filePath),
+        directory: (directoryPath) => directories.push(directoryPath),
+      };
+      findRoots(fixturePath("includes", "chapters", "intro.tex"), "includes", { tracker });
+
+      expect(directories).toEqual([fixturePath("includes", "chapters"), fixturePath("includes")]);
+      expect(files).toContain(fixturePath("includes", "main.tex"));
+      expect(files).toContain(fixturePath("includes", "body.tex"));
+    });
+
+    it("finds roots through \\import and \\subimport", () => {
+      const leafPath = fixturePath("imports", "parts", "sub", "leaf.tex");
+      expect(findRoots(leafPath, "imports")).toEqual([fixturePath("imports", "main.tex")]);
+    });
+
+    it("finds roots from the .fls recorder file", () => {
+      const resultsPath = fixturePath("recorder", "chapters", "results.tex");
+      expect(findRoots(resultsPath, "recorder")).toEqual([fixturePath("recorder", "main.tex")]);
+    });
+
+    it("finds roots from an .fls file in the auxiliary directory", () => {
+      const chapterPath = fixturePath("auxdir", "chapter.tex");
+      const getArtifactPath = (rootPath, ext) =>
+        path.join(path.dirname(rootPath), "build", `${path.basename(rootPath, ".tex")}.${ext}`);
+
+      expect(findRoots(chapterPath, "auxdir")).toEqual([]);
+      expect(findRoots(chapterPath, "auxdir", { getArtifactPath })).toEqual([
+        fixturePath("auxdir", "main.tex"),
+      ]);
+    });
+
+    it("skips roots whose .fls file in the auxiliary directory cannot be read", () => {
+      const chapterPath = fixturePath("auxdir", "chapter.tex");
+      // A directory in place of the recorder file makes reading it fail
+      const getArtifactPath = (rootPath, ext) =>
+        ext === "fls"
+          ? path.dirname(rootPath)
+          : path.join(path.dirname(rootPath), `${path.basename(rootPath, ".tex")}.${ext}`);
+
+      expect(findRoots(chapterPath, "auxdir", { getArtifactPath })).toEqual([]);
+    });
+
+    it("ranks roots with SyncTeX data first", () => {
+      const commonPath = fixturePath("shared", "common.tex");
+      expect(findRoots(commonPath, "shared")).toEqual([
+        fixturePath("shared", "slides.tex"),
+        fixturePath("shared", "article.tex"),
+      ]);
+    });
+
+    it("handles non-ASCII file names", () => {
+      const wstepPath = fixturePath("wielojęzyczny", "rozdziały", "wstęp.tex");
+      expect(findRoots(wstepPath, "wielojęzyczny")).toEqual([
+        fixturePath("wielojęzyczny", "główny.tex"),
+      ]);
+    });
+
+    it("stops scanning at the project root", () => {
+      const sectionPath = fixturePath("bounded", "inner", "section.tex");
+      expect(
+        findRootCandidatesForFile(sectionPath, { projectPaths: [fixturePath("bounded", "inner")] }),
+      ).toEqual([]);
+      expect(findRoots(sectionPath, "bounded")).toEqual([fixturePath("bounded", "main.tex")]);
+    });
+  });
+});
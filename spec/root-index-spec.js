@@ -0,0 +1,97 @@
+const path = require("path");
+const RootIndex = require("../lib/root-index");
+const { findRootCandidatesForFile } = require("../lib/root-discovery");
+
+const projectDir = path.join(__dirname, "fixtures", "projects", "includes");
+const mainPath = path.join(projectDir, "main.tex");
+const introPath = path.join(projectDir, "chapters", "intro.tex");
+
+describe("RootIndex", () => {
+  let rootIndex, discoveries;
+
+  // Discovery of the includes fixture, counting how often it runs
+  function resolve(filePath) {
+    return rootIndex.resolve(filePath, (tracker) => {
+      discoveries++;
+      const [rootPath] = findRootCandidatesForFile(filePath, {
+        projectPaths: [projectDir],
+        tracker,
+      });
+      return rootPath || filePath;
+    });
+  }
+
+  beforeEach(() => {
+    rootIndex = new RootIndex();
+    discoveries = 0;
+  });
+
+  it("discovers the root of a file once", () => {
+    expect(resolve(introPath)).toBe(mainPath);
+    expect(resolve(introPath)).toBe(mainPath);
+    expect(discoveries).toBe(1);
+    expect(rootIndex.size).toBe(1);
+  });
+
+  it("discovers again after a file read during discovery changed", () => {
+    resolve(introPath);
+    expect(rootIndex.invalidate(path.join(projectDir, "body.tex"))).toBe(1);
+
+    resolve(introPath);
+    expect(discoveries).toBe(2);
+  });
+
+  it("discovers again after the file itself changed", () => {
+    resolve(introPath);
+    expect(rootIndex.invalidate(introPath)).toBe(1);
+  });
+
+  it("discovers again after a file appeared in a scanned directory", () => {
+    resolve(introPath);
+    expect(rootIndex.invalidate(path.join(projectDir, "book.tex"))).toBe(1);
+  });
+
+  it("keeps roots unrelated to the change", () => {
+    resolve(introPath);
+    expect(rootIndex.invalidate(path.join(__dirname, "fixtures", "logs", "other.tex"))).toBe(0);
+    expect(rootIndex.invalidate(path.join(projectDir, "figures", "plot.tex"))).toBe(0);
+
+    resolve(introPath);
+    expect(discoveries).toBe(1);
+  });
+
+  it("forgets the dependencies of dropped roots", () => {
+    resolve(introPath);
+    rootIndex.invalidate(introPath);
+
+    expect(rootIndex.dependents.size).toBe(0);
+  });
+
+  it("caches whatever discovery returns", () => {
+    const sharedDir = path.join(__dirname, "fixtures", "projects", "shared");
+    const commonPath = path.join(sharedDir, "common.tex");
+    const discover = (tracker) => {
+      discoveries++;
+      const candidates = findRootCandidatesForFile(commonPath, {
+        projectPaths: [sharedDir],
+        tracker,
+      });
+      return { rootPath: candidates[0], candidates };
+    };
+
+    const info = rootIndex.resolve(commonPath, discover);
+    expect(info.candidates.length).toBe(2);
+    expect(rootIndex.resolve(commonPath, discover)).toBe(info);
+    expect(discoveries).toBe(1);
+  });
+
+  it("drops everything when cleared", () => {
+    resolve(introPath);
+    resolve(mainPath);
+    rootIndex.clear();
+
+    expect(rootIndex.size).toBe(0);
+    resolve(mainPath);
+    expect(discoveries).toBe(3);
+  });
+});
@@ -0,0 +1,209 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { SynctexFile, SynctexCache, synctexView, synctexEdit } = require("../lib/synctex");
+
+const fixtureDir = path.join(__dirname, "fixtures", "synctex");
+const fixturePath = path.join(fixtureDir, "document.synctex");
+const mainPath = path.join(fixtureDir, "main.tex");
+const introPath = path.join(fixtureDir, "chapters", "intro.tex");
+
+// The fixture is written in scaled points, lookups use PDF points
+const toBp = (sp) => sp / 65781.76;
+
+const fakeSynctex = path.join(__dirname, "fixtures", "bin", "fake-synctex");
+
+describe("SynctexFile", () => {
+  let synctexFile;
+
+  beforeEach(() => {
+    synctexFile = new SynctexFile(fs.readFileSync(fixturePath, "utf8"), fixturePath);
+  });
+
+  it("resolves relative inputs against the directory of the SyncTeX file", () => {
+    expect(synctexFile.inputs.get(1)).toBe(mainPath);
+    expect(synctexFile.inputs.get(2)).toBe(introPath);
+    expect(synctexFile.inputs.get(3)).toBe(path.join(fixtureDir, "figure.tex"));
+  });
+
+  it("resolves relative inputs against the directory of the main file", () => {
+    const mainFile = path.join(os.tmpdir(), "paper", "main.tex");
+    const content = [
+      `Input:1:${path.dirname(mainFile)}${path.sep}.${path.sep}main.tex`,
+      "Input:2:chapters/a.tex",
+      "Content:",
+    ].join("\n");
+    const file = new SynctexFile(content, path.join(os.tmpdir(), "build", "main.synctex.gz"));
+
+    expect(file.inputs.get(1)).toBe(mainFile);
+    expect(file.inputs.get(2)).toBe(path.join(os.tmpdir(), "paper", "chapters", "a.tex"));
+  });
+
+  describe("::findPdfLocation", () => {
+    it("returns the line box of a source line", () => {
+      const location = synctexFile.findPdfLocation(mainPath, 5);
+
+      expect(location.page).toBe(1);
+      expect(location.x).toBeCloseTo(toBp(4736286), 5);
+      expect(location.y).toBeCloseTo(toBp(6000000), 5);
+      expect(location.width).toBeCloseTo(toBp(26673152), 5);
+      expect(location.height).toBeCloseTo(toBp(655360 + 196608), 5);
+    });
+
+    it("uses the closest typeset line for lines without records", () => {
+      expect(synctexFile.findPdfLocation(mainPath, 7).y).toBeCloseTo(toBp(6000000), 5);
+      expect(synctexFile.findPdfLocation(mainPath, 9).page).toBe(2);
+    });
+
+    it("uses the enclosing box of kerns and math nodes", () => {
+      const location = synctexFile.findPdfLocation(introPath, 4);
+
+      expect(location.page).toBe(1);
+      expect(location.x).toBeCloseTo(toBp(12000000), 5);
+      expect(location.width).toBeCloseTo(toBp(26673152), 5);
+    });
+
+    it("prefers the records closest to the column when columns are recorded", () => {
+      const content = fs
+        .readFileSync(fixturePath, "utf8")
+        .replace("g1,5:5000000", "g1,5,3:5000000")
+        .replace("x1,5:9000000", "x1,5,20:9000000");
+      const file = new SynctexFile(content, fixturePath);
+
+      expect(file.findPdfLocation(mainPath, 5, 18).x).toBeCloseTo(toBp(9000000), 5);
+      expect(file.findPdfLocation(mainPath, 5).x).toBeCloseTo(toBp(4736286), 5);
+    });
+
+    it("finds inputs declared in the content section", () => {
+      expect(synctexFile.findPdfLocation(path.join(fixtureDir, "figure.tex"), 2).page).toBe(3);
+    });
+
+    it("returns null for files that are not part of the document", () => {
+      expect(synctexFile.findPdfLocation(path.join(fixtureDir, "other.tex"), 1)).toBeNull();
+    });
+  });
+
+  describe("::findSourceLocation", () => {
+    it("returns the node closest to the point within its line box", () => {
+      const y = toBp(8000000);
+
+      expect(synctexFile.findSourceLocation(1, toBp(11500000), y)).toEqual({
+        file: introPath,
+        line: 4,
+        column: 0,
+      });
+      expect(synctexFile.findSourceLocation(1, toBp(7100000), y).line).toBe(3);
+      expect(synctexFile.findSourceLocation(1, toBp(5100000), toBp(6000000)).file).toBe(mainPath);
+    });
+
+    it("returns the closest line box outside of line boxes", () => {
+      const location = synctexFile.findSourceLocation(1, toBp(8000000), toBp(40000000));
+      expect(location.file).toBe(introPath);
+      expect(location.line).toBe(3);
+    });
+
+    it("returns null for pages without records", () => {
+      expect(synctexFile.findSourceLocation(9, 100, 100)).toBeNull();
+    });
+  });
+
+  it("scales positions by the magnification", () => {
+    const content = fs
+      .readFileSync(fixturePath, "utf8")
+      .replace("Magnification:1000", "Magnification:2000");
+    const location = new SynctexFile(content, fixturePath).findPdfLocation(mainPath, 5);
+
+    expect(location.y).toBeCloseTo(toBp(12000000), 5);
+  });
+});
+
+describe("SynctexCache", () => {
+  let tempDir, syncPath, cache;
+
+  function writeSynctex(content) {
+    fs.writeFileSync(syncPath, zlib.gzipSync(content));
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "latex-tools-synctex-"));
+    syncPath = path.join(tempDir, "document.synctex.gz");
+    cache = new SynctexCache();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("reads compressed files once until they change", () => {
+    const content = fs.readFileSync(fixturePath, "utf8");
+    writeSynctex(content);
+
+    waitsForPromise(async () => {
+      const first = await cache.load(syncPath);
+      expect(first.findPdfLocation(path.join(tempDir, "main.tex"), 5).page).toBe(1);
+      expect(await cache.load(syncPath)).toBe(first);
+
+      writeSynctex(content.replace("{2\n[1,10", "{2\n[1,120").replace("(1,10", "(1,120"));
+      const second = await cache.load(syncPath);
+      expect(second).not.toBe(first);
+      expect(second.findSourceLocation(2, toBp(5000000), toBp(7000000)).line).toBe(120);
+    });
+  });
+
+  it("returns null for missing files", () => {
+    waitsForPromise(async () => {
+      expect(await cache.load(syncPath)).toBeNull();
+    });
+  });
+});
+
+describe("synctex program", () => {
+  // Quotes and dollar signs used to break the shell command line
+  const pdfPath = path.join(os.tmpdir(), `it's $HOME`, "main.pdf");
+
+  function expectFailure(promise, reason) {
+    return promise.then(
+      () => expect("resolved").toBe(reason),
+      (failure) => expect(failure.reason).toBe(reason),
+    );
+  }
+
+  it("passes paths with quotes and dollar signs to backward search unchanged", () => {
+    waitsForPromise(async () => {
+      const location = await synctexEdit(fakeSynctex, { pdfPath, page: 1, x: 72, y: 100 });
+      expect(location).toEqual({
+        file: pdfPath.replace(/\.pdf$/, ".tex"),
+        line: 7,
+        column: 0,
+      });
+    });
+  });
+
+  it("parses forward search results", () => {
+    waitsForPromise(async () => {
+      const texPath = pdfPath.replace(/\.pdf$/, ".tex");
+      const location = await synctexView(fakeSynctex, { texPath, line: 3, column: 0, pdfPath });
+      expect(location).toEqual({ page: 2, x: 72.27, y: 144.5, width: 345, height: 10 });
+    });
+  });
+
+  it("reports lookups without results", () => {
+    waitsForPromise(() =>
+      expectFailure(synctexEdit(fakeSynctex, { pdfPath, page: 99, x: 0, y: 0 }), "no-match"),
+    );
+  });
+
+  it("reports failing runs", () => {
+    waitsForPromise(() =>
+      expectFailure(synctexEdit(fakeSynctex, { pdfPath, page: 0, x: 0, y: 0 }), "failed"),
+    );
+  });
+
+  it("reports a missing executable", () => {
+    const missing = path.join(__dirname, "fixtures", "bin", "missing-synctex");
+    waitsForPromise(() =>
+      expectFailure(synctexEdit(missing, { pdfPath, page: 1, x: 0, y: 0 }), "binary-not-found"),
+    );
+  });
+});